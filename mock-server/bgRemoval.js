@@ -0,0 +1,154 @@
+/**
+ * Mock Background Removal Server
+ * Stand-in for a real background removal endpoint during development, so
+ * AIControls can be exercised without calling Hugging Face. Answers
+ * POST /remove-background (PNG request body) with a PNG of the same size
+ * whose alpha is a soft elliptical matte around the centre.
+ *
+ * Usage: yarn mock:bg
+ *   MOCK_BG_PORT   Port to listen on (default 3001)
+ *   MOCK_BG_DELAY  Milliseconds to wait before answering (default 500)
+ *   MOCK_BG_FAIL   Set to an HTTP status (e.g. 503) to make every removal fail
+ */
+
+import { createServer } from "node:http";
+import { deflateSync } from "node:zlib";
+
+const PORT = Number(process.env.MOCK_BG_PORT) || 3001;
+const DELAY = Number(process.env.MOCK_BG_DELAY ?? 500);
+const FAIL_STATUS = Number(process.env.MOCK_BG_FAIL) || 0;
+
+// Keep generated mattes to a reasonable size
+const MAX_PIXELS = 40_000_000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (const byte of buffer) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(body));
+	return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Read the dimensions from a PNG header
+ * @param {Buffer} buffer
+ * @returns {Object|null} - {width, height}, or null when not a PNG
+ */
+const readPngSize = (buffer) => {
+	if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+		return null;
+	}
+	return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+/**
+ * Encode a white RGBA image whose alpha fades out towards the edges
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer} - PNG file
+ */
+const createMattePng = (width, height) => {
+	const stride = width * 4 + 1;
+	const raw = Buffer.alloc(stride * height);
+
+	for (let y = 0; y < height; y++) {
+		raw[y * stride] = 0; // No row filter
+		const dy = (y + 0.5) / height - 0.5;
+		for (let x = 0; x < width; x++) {
+			const dx = (x + 0.5) / width - 0.5;
+			// 0 at the centre, 1 on the ellipse touching 80% of the image
+			const distance = Math.sqrt(dx * dx + dy * dy) / 0.4;
+			const alpha = Math.round(255 * Math.min(Math.max((1.1 - distance) / 0.2, 0), 1));
+			raw.fill(255, y * stride + 1 + x * 4, y * stride + 4 + x * 4);
+			raw[y * stride + 4 + x * 4] = alpha;
+		}
+	}
+
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header[8] = 8; // Bit depth
+	header[9] = 6; // RGBA
+
+	return Buffer.concat([
+		PNG_SIGNATURE,
+		chunk("IHDR", header),
+		chunk("IDAT", deflateSync(raw)),
+		chunk("IEND", Buffer.alloc(0)),
+	]);
+};
+
+const readBody = (req) =>
+	new Promise((resolve, reject) => {
+		const chunks = [];
+		req.on("data", (data) => chunks.push(data));
+		req.on("end", () => resolve(Buffer.concat(chunks)));
+		req.on("error", reject);
+	});
+
+const sendJson = (res, status, body) => {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+};
+
+const server = createServer(async (req, res) => {
+	// The app runs on another port in development
+	res.setHeader("Access-Control-Allow-Origin", "*");
+	res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+	res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+	if (req.method === "OPTIONS") {
+		res.writeHead(204);
+		res.end();
+		return;
+	}
+
+	if (req.method === "GET" && req.url === "/health") {
+		sendJson(res, 200, { status: "ok", model: "mock" });
+		return;
+	}
+
+	if (req.method !== "POST" || req.url !== "/remove-background") {
+		sendJson(res, 404, { error: "Not found" });
+		return;
+	}
+
+	const size = readPngSize(await readBody(req));
+	await new Promise((resolve) => setTimeout(resolve, DELAY));
+
+	if (FAIL_STATUS) {
+		sendJson(res, FAIL_STATUS, { error: "Simulated failure" });
+	} else if (!size) {
+		sendJson(res, 415, { error: "Expected a PNG request body" });
+	} else if (size.width * size.height > MAX_PIXELS) {
+		sendJson(res, 413, { error: "Image too large" });
+	} else {
+		res.writeHead(200, { "Content-Type": "image/png" });
+		res.end(createMattePng(size.width, size.height));
+	}
+
+	console.log(`${req.method} ${req.url} -> ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+	console.log(`Mock background removal server on http://localhost:${PORT}`);
+});
@@ -0,0 +1,126 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { inflateSync } from "node:zlib";
+import { createHttpProvider } from "../src/services/bgRemovalProviders";
+import { startMockServer } from "./startMockServer";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Start of a PNG file: enough for the server to read the image size
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+const createPngHeader = (width, height) => {
+	const header = Buffer.alloc(25);
+	PNG_SIGNATURE.copy(header);
+	header.writeUInt32BE(13, 8);
+	header.write("IHDR", 12, "ascii");
+	header.writeUInt32BE(width, 16);
+	header.writeUInt32BE(height, 20);
+	return header;
+};
+
+/**
+ * Stand-in for a canvas small enough to be uploaded as it is
+ * @param {number} width
+ * @param {number} height
+ * @param {Buffer} [body] - What toBlob encodes, a PNG header by default
+ */
+const createFakeCanvas = (width, height, body = createPngHeader(width, height)) => ({
+	width,
+	height,
+	toBlob: (callback, type) => callback(new Blob([body], { type })),
+});
+
+/**
+ * Read the size and alpha channel of the RGBA PNGs the server writes
+ * @param {Buffer} png
+ * @returns {Object} - {width, height, alphaAt(x, y)}
+ */
+const decodeMatte = (png) => {
+	const width = png.readUInt32BE(16);
+	const height = png.readUInt32BE(20);
+	const idatLength = png.readUInt32BE(33);
+	const raw = inflateSync(png.subarray(41, 41 + idatLength));
+	const stride = width * 4 + 1;
+	return { width, height, alphaAt: (x, y) => raw[y * stride + 1 + x * 4 + 3] };
+};
+
+describe("mock background removal server", () => {
+	let server;
+
+	beforeAll(async () => {
+		server = await startMockServer("bgRemoval.js", (port) => ({
+			MOCK_BG_PORT: String(port),
+			MOCK_BG_DELAY: "0",
+		}));
+	});
+
+	afterAll(() => server?.stop());
+
+	const createProvider = () =>
+		createHttpProvider({
+			label: "Mock server",
+			url: `${server.url}/remove-background`,
+			healthUrl: `${server.url}/health`,
+		});
+
+	it("passes the provider health check", async () => {
+		const status = await createProvider().healthCheck();
+
+		expect(status.ok).toBe(true);
+		expect(status.message).toMatch(/^Mock server is up/);
+	});
+
+	it("answers with a matte the size of the upload, opaque at the centre", async () => {
+		const blob = await createProvider().remove(createFakeCanvas(40, 30));
+
+		expect(blob.type).toBe("image/png");
+		const png = Buffer.from(await blob.arrayBuffer());
+		expect(png.subarray(0, 8).equals(PNG_SIGNATURE)).toBe(true);
+
+		const matte = decodeMatte(png);
+		expect([matte.width, matte.height]).toEqual([40, 30]);
+		expect(matte.alphaAt(20, 15)).toBe(255);
+		expect(matte.alphaAt(0, 0)).toBe(0);
+	});
+
+	it("rejects uploads that are not PNGs, without retrying", async () => {
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		const canvas = createFakeCanvas(40, 30, Buffer.from("not an image"));
+
+		await expect(createProvider().remove(canvas)).rejects.toMatchObject({
+			message: expect.stringMatching(/^Background removal failed: 415/),
+			status: 415,
+		});
+		vi.restoreAllMocks();
+	});
+});
+
+describe("mock background removal server set to fail", () => {
+	let server;
+
+	beforeAll(async () => {
+		server = await startMockServer("bgRemoval.js", (port) => ({
+			MOCK_BG_PORT: String(port),
+			MOCK_BG_DELAY: "0",
+			MOCK_BG_FAIL: "503",
+		}));
+	});
+
+	afterAll(() => server?.stop());
+
+	it("fails removals with the configured status but stays healthy", async () => {
+		const response = await fetch(`${server.url}/remove-background`, {
+			method: "POST",
+			headers: { "Content-Type": "image/png" },
+			body: createPngHeader(4, 4),
+		});
+		const health = await fetch(`${server.url}/health`);
+
+		expect(response.status).toBe(503);
+		expect(await response.json()).toEqual({ error: "Simulated failure" });
+		expect(health.ok).toBe(true);
+	});
+});
@@ -0,0 +1,173 @@
+/**
+ * Mock LLM Server
+ * Stand-in for an OpenAI-compatible chat completions endpoint, so the AI
+ * command parser can be exercised without an API key or a local model.
+ * Answers POST /v1/chat/completions with actions picked by keyword from the
+ * user's command: as a tool call when the request has tools, as bare JSON
+ * in JSON mode, and wrapped in prose and a code fence otherwise.
+ *
+ * Usage: yarn mock:llm
+ *   MOCK_LLM_PORT      Port to listen on (default 3002)
+ *   MOCK_LLM_DELAY     Milliseconds to wait before answering (default 300)
+ *   MOCK_LLM_FAIL      Set to an HTTP status (e.g. 503) to make every request fail;
+ *                      429 answers come with Retry-After: 2
+ *   MOCK_LLM_NO_TOOLS  Set to 1 to reject tools and JSON mode with 400, like
+ *                      servers without them
+ *   MOCK_LLM_INVALID   Set to 1 to answer the first attempt with an action the
+ *                      schema rejects, to exercise the repair loop
+ */
+
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 3002;
+const DELAY = Number(process.env.MOCK_LLM_DELAY ?? 300);
+const FAIL_STATUS = Number(process.env.MOCK_LLM_FAIL) || 0;
+const NO_TOOLS = process.env.MOCK_LLM_NO_TOOLS === "1";
+const INVALID_FIRST = process.env.MOCK_LLM_INVALID === "1";
+
+const COLORS = ["red", "blue", "green", "yellow", "purple", "black", "white", "orange", "pink"];
+const SHAPES = ["circle", "ellipse", "rectangle", "square", "triangle", "star", "arrow", "line"];
+
+// Keyword rules, first match wins
+const RULES = [
+	[/remove (?:the )?background/, () => ({ action: "removeBackground" })],
+	[/bright/, () => ({ action: "adjust", adjustment: "brightness", value: 20 })],
+	[/dark/, () => ({ action: "adjust", adjustment: "brightness", value: -20 })],
+	[/contrast/, () => ({ action: "adjust", adjustment: "contrast", value: 20 })],
+	[/rotate/, () => ({ action: "transform", operation: "rotate", angle: 90 })],
+	[/flip/, () => ({ action: "transform", operation: "flip", direction: "horizontal" })],
+	[/blur/, () => ({ action: "filter", filter: "blur" })],
+];
+
+/**
+ * Actions for a command
+ * @param {string} text - The user's command
+ * @returns {Array}
+ */
+const getActions = (text) => {
+	const command = text.toLowerCase();
+	const rule = RULES.find(([pattern]) => pattern.test(command));
+	if (rule) {
+		return [rule[1]()];
+	}
+
+	return [
+		{
+			action: "draw",
+			shape: SHAPES.find((shape) => command.includes(shape)) || "circle",
+			color: COLORS.find((color) => command.includes(color)) || "red",
+			position: { x: 0.5, y: 0.5 },
+			size: 80,
+		},
+	];
+};
+
+const readBody = (req) =>
+	new Promise((resolve, reject) => {
+		const chunks = [];
+		req.on("data", (data) => chunks.push(data));
+		req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+		req.on("error", reject);
+	});
+
+const sendJson = (res, status, body) => {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+};
+
+/**
+ * Build a chat completion response
+ * @param {Object} request - Parsed request body
+ * @returns {Object}
+ */
+const createCompletion = (request) => {
+	const messages = request.messages || [];
+	// The command is the first user message; later ones are repair requests
+	const command = messages.find((message) => message.role === "user")?.content || "";
+	const isFirstAttempt = !messages.some((message) => message.role === "assistant");
+
+	const actions =
+		INVALID_FIRST && isFirstAttempt
+			? [{ action: "draw", shape: "blob", size: "big" }]
+			: getActions(command);
+	const reply = JSON.stringify({ actions });
+
+	const message = request.tools
+		? {
+				role: "assistant",
+				content: null,
+				tool_calls: [
+					{
+						id: `call_${Date.now()}`,
+						type: "function",
+						function: { name: request.tools[0].function.name, arguments: reply },
+					},
+				],
+			}
+		: {
+				role: "assistant",
+				content: request.response_format
+					? reply
+					: `Here are the actions:\n\`\`\`json\n${reply}\n\`\`\``,
+			};
+
+	return {
+		id: `chatcmpl-mock-${Date.now()}`,
+		object: "chat.completion",
+		created: Math.floor(Date.now() / 1000),
+		model: request.model || "mock",
+		choices: [{ index: 0, message, finish_reason: request.tools ? "tool_calls" : "stop" }],
+	};
+};
+
+const server = createServer(async (req, res) => {
+	// The app runs on another port in development
+	res.setHeader("Access-Control-Allow-Origin", "*");
+	res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+	res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+	if (req.method === "OPTIONS") {
+		res.writeHead(204);
+		res.end();
+		return;
+	}
+
+	if (req.method === "GET" && req.url === "/health") {
+		sendJson(res, 200, { status: "ok", model: "mock" });
+		return;
+	}
+
+	if (req.method === "GET" && req.url === "/v1/models") {
+		sendJson(res, 200, { object: "list", data: [{ id: "mock", object: "model" }] });
+		return;
+	}
+
+	if (req.method !== "POST" || req.url !== "/v1/chat/completions") {
+		sendJson(res, 404, { error: { message: "Not found" } });
+		return;
+	}
+
+	let request;
+	try {
+		request = JSON.parse(await readBody(req));
+	} catch (error) {
+		sendJson(res, 400, { error: { message: "Request body is not JSON" } });
+		return;
+	}
+	await new Promise((resolve) => setTimeout(resolve, DELAY));
+
+	if (FAIL_STATUS) {
+		if (FAIL_STATUS === 429) res.setHeader("Retry-After", "2");
+		sendJson(res, FAIL_STATUS, { error: { message: "Simulated failure" } });
+	} else if (NO_TOOLS && (request.tools || request.response_format)) {
+		sendJson(res, 400, { error: { message: "tools and response_format are not supported" } });
+	} else {
+		sendJson(res, 200, createCompletion(request));
+	}
+
+	console.log(`${req.method} ${req.url} -> ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+	console.log(`Mock LLM server on http://localhost:${PORT}`);
+});
@@ -0,0 +1,132 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { createOpenAICompatibleProvider } from "../src/services/llmProviders";
+import { validateCommandReply } from "../src/services/commandSchema";
+import { startMockServer } from "./startMockServer";
+
+const ACTIONS_TOOL = {
+	name: "apply_actions",
+	description: "Apply editing actions",
+	parameters: { type: "object", properties: { actions: { type: "array" } } },
+};
+
+/**
+ * Run the mock LLM server for the tests of a describe block
+ * @param {Object} [env] - MOCK_LLM_* settings
+ * @returns {Function} - () => base URL, once started
+ */
+const useMockServer = (env = {}) => {
+	let server;
+
+	beforeAll(async () => {
+		server = await startMockServer("llm.js", (port) => ({
+			MOCK_LLM_PORT: String(port),
+			MOCK_LLM_DELAY: "0",
+			...env,
+		}));
+	});
+
+	afterAll(() => server?.stop());
+
+	return () => server.url;
+};
+
+const createProvider = (url) =>
+	createOpenAICompatibleProvider({
+		label: "Mock server",
+		url: `${url}/v1/chat/completions`,
+		models: ["mock"],
+		capabilities: { tools: true, jsonMode: true },
+	});
+
+const ask = (command) => [{ role: "user", content: command }];
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	vi.unstubAllEnvs();
+	vi.resetModules();
+});
+
+describe("mock LLM server", () => {
+	const getUrl = useMockServer();
+
+	it("answers with a tool call when given a tool", async () => {
+		const content = await createProvider(getUrl()).complete(ask("draw a blue star"), {
+			tool: ACTIONS_TOOL,
+		});
+
+		expect(validateCommandReply(content).commands).toEqual([
+			{ action: "draw", shape: "star", color: "blue", position: { x: 0.5, y: 0.5 }, size: 80 },
+		]);
+	});
+
+	it("answers in JSON mode without a tool", async () => {
+		const content = await createProvider(getUrl()).complete(ask("rotate it"));
+
+		expect(JSON.parse(content)).toEqual({
+			actions: [{ action: "transform", operation: "rotate", angle: 90 }],
+		});
+	});
+
+	it("is offered to the command parser when configured", async () => {
+		vi.stubEnv("VITE_LLM_MOCK_URL", getUrl());
+		const { parseCommand } = await import("../src/services/llmCommandParser");
+
+		await expect(parseCommand("remove the background", { provider: "mock" })).resolves.toEqual([
+			{ action: "removeBackground" },
+		]);
+	});
+});
+
+describe("mock LLM server without tools or JSON mode", () => {
+	const getUrl = useMockServer({ MOCK_LLM_NO_TOOLS: "1" });
+
+	it("falls back to a prompt-only reply in a code fence", async () => {
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+		const provider = createProvider(getUrl());
+
+		const content = await provider.complete(ask("blur the photo"), { tool: ACTIONS_TOOL });
+
+		expect(content).toMatch(/^Here are the actions:\n```json/);
+		expect(validateCommandReply(content).commands).toEqual([
+			{ action: "filter", filter: "blur", params: {} },
+		]);
+		// Both structured modes were turned down and are not tried again
+		expect(console.warn).toHaveBeenCalledTimes(2);
+		await provider.complete(ask("blur the photo"), { tool: ACTIONS_TOOL });
+		expect(console.warn).toHaveBeenCalledTimes(2);
+	});
+});
+
+describe("mock LLM server answering invalid actions first", () => {
+	const getUrl = useMockServer({ MOCK_LLM_INVALID: "1" });
+
+	it("is repaired by sending the schema errors back", async () => {
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+		vi.stubEnv("VITE_LLM_MOCK_URL", getUrl());
+		const { parseCommand } = await import("../src/services/llmCommandParser");
+
+		const commands = await parseCommand("draw a green square", { provider: "mock" });
+
+		expect(commands).toEqual([
+			{ action: "draw", shape: "square", color: "green", position: { x: 0.5, y: 0.5 }, size: 80 },
+		]);
+		expect(console.warn).toHaveBeenCalledWith(
+			"Invalid AI response (attempt 1):",
+			expect.any(String),
+			expect.arrayContaining([expect.stringMatching(/shape: must be one of/)])
+		);
+	});
+});
+
+describe("mock LLM server set to fail", () => {
+	const getUrl = useMockServer({ MOCK_LLM_FAIL: "402" });
+
+	it("fails with a quota error that is not retried", async () => {
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+
+		await expect(
+			createProvider(getUrl()).complete(ask("draw a circle"), { tool: ACTIONS_TOOL })
+		).rejects.toMatchObject({ name: "QuotaError", status: 402 });
+		expect(console.warn).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,63 @@
+/**
+ * Start a mock server in a child process for tests, on a free port
+ */
+
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+
+const STARTUP_TIMEOUT = 10000;
+
+/**
+ * Find a port nothing listens on
+ * @returns {Promise<number>}
+ */
+const getFreePort = () =>
+	new Promise((resolve, reject) => {
+		const probe = createServer();
+		probe.on("error", reject);
+		probe.listen(0, () => {
+			const { port } = probe.address();
+			probe.close(() => resolve(port));
+		});
+	});
+
+/**
+ * Run a mock server until stopped
+ * @param {string} script - File name in mock-server/, e.g. "llm.js"
+ * @param {Function} getEnv - (port) => environment variables for the server
+ * @returns {Promise<Object>} - {url, stop}; stop() resolves once the process has exited
+ */
+export const startMockServer = async (script, getEnv) => {
+	const port = await getFreePort();
+	const child = spawn(process.execPath, [fileURLToPath(new URL(script, import.meta.url))], {
+		env: getEnv(port),
+		stdio: ["ignore", "pipe", "inherit"],
+	});
+	const exited = new Promise((resolve) => child.once("exit", resolve));
+
+	await new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			child.kill();
+			reject(new Error(`${script} did not start within ${STARTUP_TIMEOUT / 1000}s`));
+		}, STARTUP_TIMEOUT);
+		child.stdout.on("data", (data) => {
+			if (data.toString().includes(`localhost:${port}`)) {
+				clearTimeout(timer);
+				resolve();
+			}
+		});
+		child.once("exit", (code) => {
+			clearTimeout(timer);
+			reject(new Error(`${script} exited with code ${code}`));
+		});
+	});
+
+	return {
+		url: `http://localhost:${port}`,
+		stop: () => {
+			child.kill();
+			return exited;
+		},
+	};
+};
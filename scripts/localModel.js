@@ -0,0 +1,95 @@
+/**
+ * Local Background Removal Model
+ * Downloads RMBG-1.4 into public/models/ so the app serves it from its own
+ * assets (see src/services/localBgRemoval.js). The build does this through
+ * the Vite plugin below; `yarn fetch:model` does it on its own.
+ *
+ * Usage: yarn fetch:model
+ *   LOCAL_BG_MODEL_SOURCE  URL to download from (default: briaai/RMBG-1.4 on Hugging Face)
+ */
+
+import { createWriteStream } from "node:fs";
+import { mkdir, rename, rm, stat } from "node:fs/promises";
+import { dirname } from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { fileURLToPath } from "node:url";
+
+export const MODEL_FILE = fileURLToPath(new URL("../public/models/rmbg-1.4.onnx", import.meta.url));
+export const MODEL_SOURCE = "https://huggingface.co/briaai/RMBG-1.4/resolve/main/onnx/model.onnx";
+
+/**
+ * Download the model unless it is already there. The file only appears
+ * once it is complete, so an interrupted download is started over.
+ * @param {Object} [options]
+ * @param {string} [options.source] - URL to download from
+ * @param {string} [options.destination] - File to write
+ * @returns {Promise<boolean>} - False when the model was already there
+ */
+export const fetchModel = async ({ source = MODEL_SOURCE, destination = MODEL_FILE } = {}) => {
+	if (await stat(destination).catch(() => null)) return false;
+
+	const response = await fetch(source);
+	if (!response.ok) {
+		throw new Error(`Failed to download the model from ${source}: ${response.status}`);
+	}
+
+	await mkdir(dirname(destination), { recursive: true });
+	const partial = `${destination}.download`;
+	try {
+		await pipeline(Readable.fromWeb(response.body), createWriteStream(partial));
+		const expected = Number(response.headers.get("Content-Length")) || 0;
+		const { size } = await stat(partial);
+		if (expected && size !== expected) {
+			throw new Error(`Model download stopped after ${size} of ${expected} bytes`);
+		}
+		await rename(partial, destination);
+	} catch (error) {
+		await rm(partial, { force: true });
+		throw error;
+	}
+	return true;
+};
+
+/**
+ * Vite plugin fetching the model when the dev server or build starts. A
+ * failed download does not stop either; the provider's health check then
+ * reports the model missing. Skipped when VITE_LOCAL_BG_MODEL_URL serves
+ * the model from elsewhere, and in tests.
+ * @param {Object} [options] - See fetchModel
+ */
+export const localModel = (options) => {
+	let skip = false;
+	let logger = null;
+
+	return {
+		name: "local-model",
+		configResolved(config) {
+			skip = Boolean(config.env.VITE_LOCAL_BG_MODEL_URL) || config.mode === "test";
+			logger = config.logger;
+		},
+		async buildStart() {
+			if (skip) return;
+
+			try {
+				if (await fetchModel(options)) {
+					logger.info("Downloaded the local background removal model");
+				}
+			} catch (error) {
+				logger.warn(
+					`Local background removal model unavailable (${error.message}); run yarn fetch:model`
+				);
+			}
+		},
+	};
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	fetchModel({ source: process.env.LOCAL_BG_MODEL_SOURCE || MODEL_SOURCE }).then(
+		(downloaded) => console.log(downloaded ? `Saved ${MODEL_FILE}` : `${MODEL_FILE} is already there`),
+		(error) => {
+			console.error(error.message);
+			process.exitCode = 1;
+		}
+	);
+}
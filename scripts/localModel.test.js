@@ -0,0 +1,104 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { createServer as createHttpServer } from "node:http";
+import { mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createServer } from "vite";
+import { fetchModel, localModel } from "./localModel";
+
+const MODEL = Buffer.alloc(3 * 1024 * 1024, 7);
+
+/**
+ * Serve the stand-in model at /model.onnx, or fail every request
+ * @param {number} [failStatus]
+ * @returns {Promise<Object>} - {url, close}
+ */
+const startModelHost = (failStatus) =>
+	new Promise((resolve) => {
+		const server = createHttpServer((req, res) => {
+			if (failStatus || req.url !== "/model.onnx") {
+				res.writeHead(failStatus || 404).end();
+				return;
+			}
+			res.writeHead(200, {
+				"Content-Type": "application/octet-stream",
+				"Content-Length": MODEL.length,
+			});
+			res.end(MODEL);
+		});
+		server.listen(0, () =>
+			resolve({
+				url: `http://localhost:${server.address().port}/model.onnx`,
+				close: () => new Promise((done) => server.close(done)),
+			})
+		);
+	});
+
+let host;
+let root;
+
+beforeAll(async () => {
+	host = await startModelHost();
+});
+
+afterAll(() => host.close());
+
+afterEach(async () => {
+	vi.unstubAllEnvs();
+	vi.resetModules();
+	await rm(root, { recursive: true, force: true });
+});
+
+describe("fetchModel", () => {
+	it("downloads the model once", async () => {
+		root = await mkdtemp(join(tmpdir(), "local-model-"));
+		const destination = join(root, "models", "rmbg-1.4.onnx");
+
+		await expect(fetchModel({ source: host.url, destination })).resolves.toBe(true);
+		await expect(fetchModel({ source: host.url, destination })).resolves.toBe(false);
+		expect((await readFile(destination)).equals(MODEL)).toBe(true);
+	});
+
+	it("leaves nothing behind when the download fails", async () => {
+		root = await mkdtemp(join(tmpdir(), "local-model-"));
+		const failing = await startModelHost(503);
+
+		await expect(
+			fetchModel({ source: failing.url, destination: join(root, "rmbg-1.4.onnx") })
+		).rejects.toThrow(`Failed to download the model from ${failing.url}: 503`);
+		expect(await readdir(root)).toEqual([]);
+		await failing.close();
+	});
+});
+
+describe("local model on a clean checkout", () => {
+	it("is downloaded when the dev server starts and passes the health check", async () => {
+		root = await mkdtemp(join(tmpdir(), "local-model-"));
+		const server = await createServer({
+			configFile: false,
+			root,
+			mode: "development",
+			logLevel: "silent",
+			server: { port: 0 },
+			plugins: [
+				localModel({ source: host.url, destination: join(root, "public/models/rmbg-1.4.onnx") }),
+			],
+		});
+
+		try {
+			await server.listen();
+			vi.stubEnv(
+				"VITE_LOCAL_BG_MODEL_URL",
+				new URL("models/rmbg-1.4.onnx", server.resolvedUrls.local[0]).href
+			);
+			const { checkLocalModel } = await import("../src/services/localBgRemoval");
+
+			await expect(checkLocalModel()).resolves.toEqual({
+				ok: true,
+				message: "Model available (3.0 MB)",
+			});
+		} finally {
+			await server.close();
+		}
+	});
+});
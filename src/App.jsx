@@ -1,15 +1,31 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import ImageUploader from "./components/ImageUploader";
 import CanvasEditor from "./components/CanvasEditor";
 import FilterControls from "./components/FilterControls";
+import TransformControls from "./components/TransformControls";
 import AIControls from "./components/AIControls";
+import MacroControls from "./components/MacroControls";
 import CommandInput from "./components/CommandInput";
+import BatchProcessor from "./components/BatchProcessor";
+import RecentDocuments from "./components/RecentDocuments";
+import AutosaveStatus from "./components/AutosaveStatus";
 import LoadingSpinner from "./components/LoadingSpinner";
+import { EditorProvider } from "./context/EditorContext";
+import { createId } from "./services/ids";
+import { loadSession } from "./services/sessionPersistence";
+import { loadImageFile } from "./services/imageFiles";
 
 function App() {
 	const [currentImage, setCurrentImage] = useState(null);
-	const [isLoading, setIsLoading] = useState(false);
-	const [loadingText, setLoadingText] = useState("");
+	const [batchFiles, setBatchFiles] = useState(null); // [{file, path}] in the batch view
+	const [session, setSession] = useState(null); // Saved session currentImage was restored from
+	const [hasUnsavedWork, setHasUnsavedWork] = useState(false);
+	const [loading, setLoading] = useState({
+		show: false,
+		text: "",
+		progress: null,
+		onCancel: null,
+	});
 	const [toast, setToast] = useState({
 		show: false,
 		message: "",
@@ -24,14 +40,76 @@ function App() {
 		);
 	};
 
+	// Warn before leaving while autosave is behind
+	useEffect(() => {
+		if (!hasUnsavedWork) return;
+
+		const handleBeforeUnload = (e) => {
+			e.preventDefault();
+			e.returnValue = "";
+		};
+		window.addEventListener("beforeunload", handleBeforeUnload);
+		return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+	}, [hasUnsavedWork]);
+
 	const handleImageLoad = (imageData) => {
-		setCurrentImage(imageData);
+		// Each opened image is autosaved as its own document
+		setCurrentImage({ ...imageData, sessionId: createId("session") });
+		setSession(null);
 		showToast("Image loaded successfully!", "success");
 	};
 
-	const handleLoadingChange = (loading, text = "Processing...") => {
-		setIsLoading(loading);
-		setLoadingText(text);
+	/**
+	 * Open an autosaved document with its history and panel settings
+	 * @param {string} id - Session id
+	 */
+	const handleRestore = async (id) => {
+		handleLoadingChange(true, "Restoring document...");
+		try {
+			const saved = await loadSession(id);
+			const image = await loadImageFile(saved.source);
+			setSession(saved);
+			setCurrentImage({ ...image, fileName: saved.fileName, sessionId: id });
+			showToast(`Restored ${saved.fileName}`, "success");
+		} catch (error) {
+			console.error("Restoring the document failed:", error);
+			showToast(`Failed to restore the document: ${error.message}`, "error");
+		} finally {
+			handleLoadingChange(false);
+		}
+	};
+
+	const handleLoadNewImage = () => {
+		if (
+			hasUnsavedWork &&
+			!window.confirm("Your latest changes have not been saved yet. Discard them?")
+		) {
+			return;
+		}
+
+		setCurrentImage(null);
+		setSession(null);
+		setHasUnsavedWork(false);
+		showToast("Ready for new image", "info");
+	};
+
+	const handleBatchLoad = (files) => {
+		setBatchFiles(files);
+		showToast(`${files.length} images ready for batch processing`, "success");
+	};
+
+	/**
+	 * Show or hide the global loading overlay
+	 * @param {boolean} show
+	 * @param {string} [text]
+	 * @param {Object} [options] - {progress: 0-1, onCancel}
+	 */
+	const handleLoadingChange = (
+		show,
+		text = "Processing...",
+		{ progress = null, onCancel = null } = {}
+	) => {
+		setLoading({ show, text, progress, onCancel });
 	};
 
 	return (
@@ -43,18 +121,38 @@ function App() {
 
 			<main className="app-main">
 				{/* Image Upload Section */}
-				{!currentImage && (
+				{!currentImage && !batchFiles && (
 					<ImageUploader
 						onImageLoad={handleImageLoad}
+						onBatchLoad={handleBatchLoad}
+						onError={(error) => showToast(error, "error")}
+					/>
+				)}
+
+				{/* Autosaved Documents */}
+				{!currentImage && !batchFiles && (
+					<RecentDocuments
+						onRestore={handleRestore}
+						onError={(error) => showToast(error, "error")}
+					/>
+				)}
+
+				{/* Batch Processing */}
+				{batchFiles && (
+					<BatchProcessor
+						files={batchFiles}
+						onClose={() => setBatchFiles(null)}
+						onSuccess={(message) => showToast(message, "success")}
 						onError={(error) => showToast(error, "error")}
 					/>
 				)}
 
 				{/* Canvas Editor */}
 				{currentImage && (
-					<>
+					<EditorProvider>
 						<CanvasEditor
 							imageData={currentImage}
+							session={session}
 							onError={(error) => showToast(error, "error")}
 						/>
 
@@ -66,6 +164,13 @@ function App() {
 								onError={(error) => showToast(error, "error")}
 							/>
 
+							{/* Crop, Rotate, Flip and Resize */}
+							<TransformControls
+								imageData={currentImage}
+								onLoadingChange={handleLoadingChange}
+								onError={(error) => showToast(error, "error")}
+							/>
+
 							{/* AI Background Removal */}
 							<AIControls
 								imageData={currentImage}
@@ -81,25 +186,37 @@ function App() {
 								onSuccess={(message) => showToast(message, "success")}
 								onError={(error) => showToast(error, "error")}
 							/>
+
+							{/* Recorded Macros */}
+							<MacroControls
+								imageData={currentImage}
+								onLoadingChange={handleLoadingChange}
+								onSuccess={(message) => showToast(message, "success")}
+								onError={(error) => showToast(error, "error")}
+							/>
 						</div>
 
 						{/* Reset Button */}
 						<div className="reset-section">
-							<button
-								className="reset-button"
-								onClick={() => {
-									setCurrentImage(null);
-									showToast("Ready for new image", "info");
-								}}
-							>
+							<button className="reset-button" onClick={handleLoadNewImage}>
 								Load New Image
 							</button>
+							<AutosaveStatus
+								onUnsavedChange={setHasUnsavedWork}
+								onError={(error) => showToast(error, "error")}
+							/>
 						</div>
-					</>
+					</EditorProvider>
 				)}
 
 				{/* Global Loading Overlay */}
-				{isLoading && <LoadingSpinner text={loadingText} />}
+				{loading.show && (
+					<LoadingSpinner
+						text={loading.text}
+						progress={loading.progress}
+						onCancel={loading.onCancel}
+					/>
+				)}
 
 				{/* Toast Notifications */}
 				{toast.show && (
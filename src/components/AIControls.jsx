@@ -1,72 +1,106 @@
 import React, { useState, useEffect } from "react";
 import {
-	removeBackground,
-	applyBackgroundRemovedImage,
-	getAccountInfo,
-} from "../services/huggingFaceBgRemoval";
+	BG_REMOVAL_PROVIDERS,
+	DEFAULT_BG_REMOVAL_PROVIDER,
+	getBgRemovalProvider,
+} from "../services/bgRemovalProviders";
+import { useEditorStore } from "../context/EditorContext";
+import { useActionRunner } from "../hooks/useActionRunner";
+import { usePanelSettings } from "../hooks/usePanelSettings";
+import MaskRefineControls from "./MaskRefineControls";
+import BackgroundReplacementControls from "./BackgroundReplacementControls";
+
+const HEALTH_ICONS = { success: "✅", warning: "⚠️", error: "❌" };
+const DEFAULT_SETTINGS = { providerId: DEFAULT_BG_REMOVAL_PROVIDER };
 
 const AIControls = ({ imageData, onLoadingChange, onSuccess, onError }) => {
-	const [isProcessing, setIsProcessing] = useState(false);
-	const [accountInfo, setAccountInfo] = useState(null);
+	const [settings, updateSettings] = usePanelSettings("backgroundRemoval", DEFAULT_SETTINGS);
+	// A restored session may name a provider this build does not offer
+	const providerId = BG_REMOVAL_PROVIDERS[settings.providerId]
+		? settings.providerId
+		: DEFAULT_BG_REMOVAL_PROVIDER;
+	const [health, setHealth] = useState(null);
+	const [healthCheckId, setHealthCheckId] = useState(0); // Bumped to check again
+	const editor = useEditorStore();
+	const { run, isRunning: isProcessing } = useActionRunner({
+		onLoadingChange,
+		onSuccess,
+		onError,
+	});
+	const provider = getBgRemovalProvider(providerId);
+
 	useEffect(() => {
-		const fetchAccountInfo = async () => {
-			const accountInfo = await getAccountInfo();
-			setAccountInfo(accountInfo);
+		let active = true;
+		setHealth(null);
+		provider
+			.healthCheck()
+			.catch((error) => ({ ok: false, message: `Health check failed: ${error.message}` }))
+			.then((result) => {
+				if (active) setHealth(result);
+			});
+		return () => {
+			active = false;
 		};
-		fetchAccountInfo();
-	}, []);
-	
-	const handleRemoveBackground = async () => {
-		if (!window.currentCanvas) {
+	}, [provider, healthCheckId]);
+
+	const handleRemoveBackground = () => {
+		if (!editor.getState().canvas) {
 			onError("No image loaded");
 			return;
 		}
 
-		setIsProcessing(true);
-		onLoadingChange(true, "Removing background with AI...");
-
-		try {
-			const canvas = window.currentCanvas;
-
-			// Call Hugging Face RMBG-1.4
-			const processedBlob = await removeBackground(canvas);
-
-			// Apply the processed image back to canvas
-			await applyBackgroundRemovedImage(canvas, processedBlob);
-
-			// Save state for undo/redo
-			if (window.saveCanvasState) {
-				window.saveCanvasState();
-			}
-
-			onSuccess("Background removed successfully!");
-
-		} catch (error) {
-			console.error("Background removal error:", error);
-			onError(error.message);
-		} finally {
-			setIsProcessing(false);
-			onLoadingChange(false);
-		}
+		// Kept as a stage so it survives filter edits
+		run("Remove background", [{ action: "removeBackground", provider: providerId }], {
+			successMessage: "Background removed successfully!",
+		});
 	};
 
+	const details = health?.details;
+	const healthLevel = !health?.ok ? "error" : health.degraded ? "warning" : "success";
+
 	return (
 		<div className="control-group">
-			<h3>🤖 Hugging Face RMBG-1.4</h3>
+			<h3>🤖 Background Removal</h3>
 
 			<div className="ai-section">
+				<div className="form-group">
+					<label className="form-label">Provider:</label>
+					<select
+						className="form-control"
+						value={providerId}
+						onChange={(e) => updateSettings({ providerId: e.target.value })}
+						disabled={isProcessing}
+					>
+						{Object.entries(BG_REMOVAL_PROVIDERS).map(([id, { label }]) => (
+							<option key={id} value={id}>
+								{label}
+							</option>
+						))}
+					</select>
+				</div>
+
 				<div className="api-status">
-					<div className="status-success">
-						<p>✅ Hugging Face RMBG-1.4 Ready</p>
-						{accountInfo && (
-						<>
-							<p>Credits: {accountInfo?.data?.attributes?.api?.free_calls || 0}</p>
-							<p>Service: {accountInfo?.service}</p>
-							<p>Model: {accountInfo?.model}</p>
-							<p>Provider: {accountInfo?.provider}</p>
-						</>
+					{!health ? (
+						<p>🔄 Checking {provider.label}...</p>
+					) : (
+						<div className={`status-${healthLevel}`}>
+							<p>
+								{HEALTH_ICONS[healthLevel]} {health.message}
+							</p>
+							{!provider.capabilities.uploadsImage && (
+								<p>🔒 Runs on this device — the image is never uploaded</p>
+							)}
+							{details?.space && <small>Space: {details.space}</small>}
+							{details?.hardware && <small>Hardware: {details.hardware}</small>}
+							<button
+								className="btn btn-secondary status-refresh"
+								onClick={() => setHealthCheckId((id) => id + 1)}
+								disabled={isProcessing}
+							>
+								🔄 Check again
+							</button>
+						</div>
 					)}
-					</div>
 				</div>
 
 				<button
@@ -77,6 +111,14 @@ const AIControls = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 					{isProcessing ? "🔄 Processing..." : "✂️ Remove Background"}
 				</button>
 
+				<MaskRefineControls />
+
+				<BackgroundReplacementControls
+					onLoadingChange={onLoadingChange}
+					onSuccess={onSuccess}
+					onError={onError}
+				/>
+
 				<div className="ai-info">
 					<h4>How it works:</h4>
 					<ul>
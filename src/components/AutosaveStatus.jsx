@@ -0,0 +1,27 @@
+import React, { useEffect } from "react";
+import { useEditorState } from "../context/EditorContext";
+import { useAutosave } from "../hooks/useAutosave";
+
+const STATUS_TEXT = {
+	saved: "💾 All changes saved",
+	pending: "💾 Saving...",
+	saving: "💾 Saving...",
+	error: "⚠️ Not saved",
+};
+
+const AutosaveStatus = ({ onUnsavedChange, onError }) => {
+	const status = useAutosave({ onError });
+	const hasEdits = useEditorState((state) => state.history.size > 0);
+	const unsaved = status !== "saved" && hasEdits;
+
+	useEffect(() => {
+		onUnsavedChange(unsaved);
+	}, [unsaved]);
+
+	// Nothing worth reporting until the first edit
+	if (!hasEdits) return null;
+
+	return <span className={`autosave-status autosave-${status}`}>{STATUS_TEXT[status]}</span>;
+};
+
+export default AutosaveStatus;
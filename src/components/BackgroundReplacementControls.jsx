@@ -0,0 +1,230 @@
+import React, { useState } from "react";
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+import {
+	BACKGROUND_TYPES,
+	getDefaultReplacement,
+} from "../services/backgroundReplacement";
+
+const BackgroundReplacementControls = ({ onLoadingChange, onSuccess, onError }) => {
+	const [replacement, setReplacement] = useState(getDefaultReplacement);
+	const [isApplying, setIsApplying] = useState(false);
+	const editor = useEditorStore();
+	const stages = useEditorState((state) => state.document.stages);
+
+	const hasCutOut = stages.some((stage) => stage.type === "backgroundRemoval");
+	// Adjusting the background right after applying it edits that step
+	// instead of stacking another one on top
+	const lastStage = stages[stages.length - 1];
+	const current = lastStage?.type === "backgroundReplacement" ? lastStage : null;
+	const { background, shadow } = replacement;
+
+	if (!hasCutOut) return null;
+
+	const setBackground = (patch) =>
+		setReplacement((value) => ({ ...value, background: { ...value.background, ...patch } }));
+
+	const setShadow = (patch) =>
+		setReplacement((value) => ({ ...value, shadow: { ...value.shadow, ...patch } }));
+
+	const handleImageUpload = (e) => {
+		const file = e.target.files[0];
+		if (!file) return;
+
+		if (!file.type.startsWith("image/")) {
+			onError("Please select a valid image file");
+			return;
+		}
+		setBackground({ type: "image", imageBlob: file });
+	};
+
+	const handleApply = async () => {
+		setIsApplying(true);
+		onLoadingChange(true, "Replacing background...");
+
+		try {
+			const label = `Background: ${BACKGROUND_TYPES[background.type].toLowerCase()}`;
+			if (current) {
+				await editor.updateStage(label, current.id, (stage) => ({ ...stage, replacement }));
+			} else {
+				await editor.applyOperation(label, { type: "backgroundReplacement", replacement });
+			}
+			onSuccess("Background replaced!");
+		} catch (error) {
+			console.error("Background replacement error:", error);
+			onError(`Failed to replace background: ${error.message}`);
+		} finally {
+			setIsApplying(false);
+			onLoadingChange(false);
+		}
+	};
+
+	return (
+		<div className="bg-replacement">
+			<h4>🖼️ Replace Background</h4>
+
+			<div className="form-group">
+				<label className="form-label">Background:</label>
+				<select
+					className="form-control"
+					value={background.type}
+					onChange={(e) => setBackground({ type: e.target.value })}
+				>
+					{Object.entries(BACKGROUND_TYPES).map(([type, label]) => (
+						<option key={type} value={type}>
+							{label}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{background.type === "color" && (
+				<div className="range-group">
+					<label className="form-label">Color:</label>
+					<input
+						type="color"
+						value={background.color}
+						onChange={(e) => setBackground({ color: e.target.value })}
+					/>
+				</div>
+			)}
+
+			{background.type === "gradient" && (
+				<>
+					<div className="range-group">
+						<label className="form-label">Colors:</label>
+						{background.colors.map((color, index) => (
+							<input
+								key={index}
+								type="color"
+								value={color}
+								onChange={(e) =>
+									setBackground({
+										colors: background.colors.map((value, i) =>
+											i === index ? e.target.value : value
+										),
+									})
+								}
+							/>
+						))}
+					</div>
+					<div className="range-group">
+						<label className="form-label">Angle:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="0"
+							max="360"
+							step="15"
+							value={background.angle}
+							onChange={(e) => setBackground({ angle: parseInt(e.target.value) })}
+						/>
+						<span className="range-value">{background.angle}°</span>
+					</div>
+				</>
+			)}
+
+			{background.type === "blur" && (
+				<div className="range-group">
+					<label className="form-label">Blur:</label>
+					<input
+						type="range"
+						className="range-slider"
+						min="2"
+						max="40"
+						value={background.blurRadius}
+						onChange={(e) => setBackground({ blurRadius: parseInt(e.target.value) })}
+					/>
+					<span className="range-value">{background.blurRadius}px</span>
+				</div>
+			)}
+
+			{background.type === "image" && (
+				<div className="form-group">
+					<input
+						type="file"
+						accept="image/*"
+						className="form-control"
+						onChange={handleImageUpload}
+					/>
+					{background.imageBlob && <small>{background.imageBlob.name}</small>}
+				</div>
+			)}
+
+			<div className="range-group">
+				<label className="form-label">Feather:</label>
+				<input
+					type="range"
+					className="range-slider"
+					min="0"
+					max="20"
+					value={replacement.feather}
+					onChange={(e) =>
+						setReplacement((value) => ({ ...value, feather: parseInt(e.target.value) }))
+					}
+				/>
+				<span className="range-value">{replacement.feather}px</span>
+			</div>
+
+			<label className="radio-option">
+				<input
+					type="checkbox"
+					checked={shadow.enabled}
+					onChange={(e) => setShadow({ enabled: e.target.checked })}
+				/>
+				Drop shadow
+			</label>
+
+			{shadow.enabled && (
+				<>
+					<div className="range-group">
+						<label className="form-label">Softness:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="0"
+							max="60"
+							value={shadow.blur}
+							onChange={(e) => setShadow({ blur: parseInt(e.target.value) })}
+						/>
+						<span className="range-value">{shadow.blur}px</span>
+					</div>
+					<div className="range-group">
+						<label className="form-label">Offset:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="-50"
+							max="50"
+							value={shadow.offsetY}
+							onChange={(e) => setShadow({ offsetY: parseInt(e.target.value) })}
+						/>
+						<span className="range-value">{shadow.offsetY}px</span>
+					</div>
+					<div className="range-group">
+						<label className="form-label">Opacity:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="0"
+							max="1"
+							step="0.05"
+							value={shadow.opacity}
+							onChange={(e) => setShadow({ opacity: parseFloat(e.target.value) })}
+						/>
+						<span className="range-value">{Math.round(shadow.opacity * 100)}%</span>
+					</div>
+				</>
+			)}
+
+			<button
+				className="btn btn-primary"
+				onClick={handleApply}
+				disabled={isApplying || (background.type === "image" && !background.imageBlob)}
+			>
+				{current ? "🔁 Update Background" : "🖼️ Apply Background"}
+			</button>
+		</div>
+	);
+};
+
+export default BackgroundReplacementControls;
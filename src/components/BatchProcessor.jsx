@@ -0,0 +1,409 @@
+import React, { useRef, useState } from "react";
+import { describeCommand } from "../services/actionRegistry";
+import { parseNaturalCommand } from "../services/commandParser";
+import { loadMacros, validateMacroSteps } from "../services/macros";
+import { validateImageFile } from "../services/imageFiles";
+import { EXPORT_FORMATS, getSupportedFormats, downloadBlob } from "../services/imageExport";
+import {
+	BATCH_CONCURRENCY,
+	processImage,
+	runWithConcurrency,
+	getOutputPath,
+	createResultsZip,
+} from "../services/batchProcessing";
+import { createId } from "../services/ids";
+
+const STATUS_ICONS = {
+	pending: "⏳",
+	processing: "⚙️",
+	done: "✅",
+	failed: "❌",
+	cancelled: "⏹️",
+	skipped: "🚫",
+};
+
+/**
+ * Batch item for a chosen file; files that cannot be edited are skipped
+ * @param {Object} entry - {file, path}
+ * @returns {Object}
+ */
+const createItem = ({ file, path }) => {
+	const invalid = validateImageFile(file);
+	return {
+		id: createId("batch"),
+		file,
+		path,
+		status: invalid ? "skipped" : "pending",
+		error: invalid,
+		text: "",
+		progress: null,
+		blob: null,
+	};
+};
+
+// Results go stale when the pipeline or output format changes
+const resetResult = (item) =>
+	item.status === "skipped"
+		? item
+		: { ...item, status: "pending", error: null, text: "", progress: null, blob: null };
+
+const BatchProcessor = ({ files, onClose, onSuccess, onError }) => {
+	const [items, setItems] = useState(() => files.map(createItem));
+	const [steps, setSteps] = useState([]);
+	const [commandText, setCommandText] = useState("");
+	const [isParsing, setIsParsing] = useState(false);
+	const [format, setFormat] = useState("png");
+	const [quality, setQuality] = useState(0.9);
+	const [isRunning, setIsRunning] = useState(false);
+	const [isZipping, setIsZipping] = useState(false);
+	const macros = useRef(loadMacros()).current;
+	const controller = useRef(null);
+
+	const doneItems = items.filter((item) => item.status === "done");
+	const failedItems = items.filter((item) => item.status === "failed");
+	const queued = items.filter((item) => item.status !== "skipped");
+	const finished = queued.filter((item) => ["done", "failed"].includes(item.status));
+	const { lossy } = EXPORT_FORMATS[format];
+
+	const updateItem = (id, patch) =>
+		setItems((current) => current.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+
+	/**
+	 * Replace the pipeline; earlier results no longer match it
+	 * @param {Array} next - Command objects
+	 */
+	const changeSteps = (next) => {
+		setSteps(next);
+		setItems((current) => current.map(resetResult));
+	};
+
+	const changeFormat = (next) => {
+		setFormat(next);
+		setItems((current) => current.map(resetResult));
+	};
+
+	const handleAddCommand = async (e) => {
+		e.preventDefault();
+		if (!commandText.trim()) return;
+
+		setIsParsing(true);
+		try {
+			const { commands: parsed } = await parseNaturalCommand(commandText.trim());
+			const { commands, errors } = validateMacroSteps(parsed);
+			if (!commands) {
+				onError(`Cannot use this command in a batch: ${errors.join("; ")}`);
+				return;
+			}
+			changeSteps([...steps, ...commands]);
+			setCommandText("");
+		} catch (error) {
+			onError(`Failed to parse command: ${error.message}`);
+		} finally {
+			setIsParsing(false);
+		}
+	};
+
+	const handleAddMacro = (id) => {
+		const macro = macros.find((item) => item.id === id);
+		if (macro) changeSteps([...steps, ...macro.steps]);
+	};
+
+	const handleMoveStep = (index, offset) => {
+		const target = index + offset;
+		if (target < 0 || target >= steps.length) return;
+
+		const next = [...steps];
+		[next[index], next[target]] = [next[target], next[index]];
+		changeSteps(next);
+	};
+
+	/**
+	 * Process items, a few at a time
+	 * @param {Array} batch - Items to process
+	 */
+	const run = async (batch) => {
+		const current = new AbortController();
+		controller.current = current;
+		setIsRunning(true);
+
+		await runWithConcurrency(batch, BATCH_CONCURRENCY, async (item) => {
+			if (current.signal.aborted) return;
+
+			updateItem(item.id, { status: "processing", error: null, text: "", progress: null });
+			try {
+				const blob = await processImage(item.file, steps, {
+					format,
+					quality,
+					signal: current.signal,
+					onProgress: ({ text, progress }) => updateItem(item.id, { text, progress }),
+				});
+				updateItem(item.id, { status: "done", blob, text: "", progress: null });
+			} catch (error) {
+				if (error.name === "AbortError" || current.signal.aborted) {
+					updateItem(item.id, { status: "cancelled", text: "", progress: null });
+				} else {
+					console.error(`Batch processing of ${item.path} failed:`, error);
+					updateItem(item.id, { status: "failed", error: error.message, text: "", progress: null });
+				}
+			}
+		});
+
+		controller.current = null;
+		setIsRunning(false);
+	};
+
+	const handleRun = () => {
+		const pending = queued.filter((item) => item.status !== "done");
+		run(pending.length > 0 ? pending : queued);
+	};
+
+	const handleDownloadZip = async () => {
+		setIsZipping(true);
+		try {
+			const zip = await createResultsZip(
+				doneItems.map((item) => ({ path: getOutputPath(item.path, format), blob: item.blob }))
+			);
+			downloadBlob(zip, "edited-images.zip");
+			onSuccess(`Downloaded ${doneItems.length} image${doneItems.length === 1 ? "" : "s"}`);
+		} catch (error) {
+			onError(`Failed to create ZIP: ${error.message}`);
+		} finally {
+			setIsZipping(false);
+		}
+	};
+
+	return (
+		<div className="batch-processor">
+			<div className="control-group">
+				<h3>🗂️ Batch Pipeline</h3>
+
+				{steps.length === 0 ? (
+					<p className="filter-empty">Add steps to apply to every image.</p>
+				) : (
+					<ol className="macro-steps batch-steps">
+						{steps.map((step, index) => (
+							<li key={index}>
+								<span>{describeCommand(step)}</span>
+								<span className="filter-item-actions">
+									<button
+										className="icon-btn"
+										onClick={() => handleMoveStep(index, -1)}
+										disabled={isRunning || index === 0}
+										title="Move up"
+									>
+										⬆️
+									</button>
+									<button
+										className="icon-btn"
+										onClick={() => handleMoveStep(index, 1)}
+										disabled={isRunning || index === steps.length - 1}
+										title="Move down"
+									>
+										⬇️
+									</button>
+									<button
+										className="icon-btn"
+										onClick={() => changeSteps(steps.filter((_, i) => i !== index))}
+										disabled={isRunning}
+										title="Remove step"
+									>
+										✖️
+									</button>
+								</span>
+							</li>
+						))}
+					</ol>
+				)}
+
+				<form className="filter-add" onSubmit={handleAddCommand}>
+					<input
+						type="text"
+						className="form-control"
+						value={commandText}
+						onChange={(e) => setCommandText(e.target.value)}
+						placeholder='e.g. "remove the background" or "add a sepia filter"'
+						disabled={isRunning || isParsing}
+					/>
+					<button
+						type="submit"
+						className="btn btn-primary"
+						disabled={isRunning || isParsing || !commandText.trim()}
+					>
+						{isParsing ? "..." : "➕ Add"}
+					</button>
+				</form>
+
+				{macros.length > 0 && (
+					<div className="form-group">
+						<label className="form-label">Add a saved macro:</label>
+						<select
+							className="form-control"
+							value=""
+							onChange={(e) => handleAddMacro(e.target.value)}
+							disabled={isRunning}
+						>
+							<option value="">Choose a macro...</option>
+							{macros.map((macro) => (
+								<option key={macro.id} value={macro.id}>
+									{macro.name} ({macro.steps.length} steps)
+								</option>
+							))}
+						</select>
+					</div>
+				)}
+
+				<div className="form-group">
+					<label className="form-label">Output format:</label>
+					<select
+						className="form-control"
+						value={format}
+						onChange={(e) => changeFormat(e.target.value)}
+						disabled={isRunning}
+					>
+						{getSupportedFormats().map((key) => (
+							<option key={key} value={key}>
+								{EXPORT_FORMATS[key].label}
+							</option>
+						))}
+					</select>
+				</div>
+
+				{lossy && (
+					<div className="range-group">
+						<label className="form-label">Quality:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="0.1"
+							max="1"
+							step="0.05"
+							value={quality}
+							onChange={(e) => {
+								setQuality(parseFloat(e.target.value));
+								setItems((current) => current.map(resetResult));
+							}}
+							disabled={isRunning}
+						/>
+						<span className="range-value">{Math.round(quality * 100)}%</span>
+					</div>
+				)}
+			</div>
+
+			<div className="control-group">
+				<h3>
+					🖼️ Images — {finished.length} / {queued.length} processed
+				</h3>
+
+				<div className="progress-bar">
+					<div
+						className="progress-fill progress-determinate"
+						style={{
+							width: `${queued.length ? Math.round((finished.length / queued.length) * 100) : 0}%`,
+						}}
+					></div>
+				</div>
+
+				<div className="command-preview-actions batch-actions">
+					{isRunning ? (
+						<button className="btn btn-secondary" onClick={() => controller.current?.abort()}>
+							⏹️ Cancel
+						</button>
+					) : (
+						<button
+							className="btn btn-primary"
+							onClick={handleRun}
+							disabled={steps.length === 0 || queued.length === 0}
+						>
+							▶️ {doneItems.length === queued.length && queued.length > 0 ? "Run Again" : "Run"}
+						</button>
+					)}
+					<button
+						className="btn btn-secondary"
+						onClick={() => run(failedItems)}
+						disabled={isRunning || failedItems.length === 0}
+					>
+						🔄 Retry Failed ({failedItems.length})
+					</button>
+					<button
+						className="btn btn-success"
+						onClick={handleDownloadZip}
+						disabled={isRunning || isZipping || doneItems.length === 0}
+					>
+						{isZipping ? "Zipping..." : `📦 Download ZIP (${doneItems.length})`}
+					</button>
+				</div>
+
+				<ol className="batch-items">
+					{items.map((item) => (
+						<li key={item.id} className={`batch-item batch-${item.status}`}>
+							<div className="filter-item-header">
+								<span className="batch-item-name" title={item.path}>
+									{STATUS_ICONS[item.status]} {item.path}
+								</span>
+								<span className="filter-item-actions">
+									{item.status === "done" && (
+										<button
+											className="icon-btn"
+											onClick={() =>
+												downloadBlob(item.blob, getOutputPath(item.path, format).split("/").pop())
+											}
+											title="Download this image"
+										>
+											💾
+										</button>
+									)}
+									{["failed", "cancelled"].includes(item.status) && (
+										<button
+											className="icon-btn"
+											onClick={() => run([item])}
+											disabled={isRunning}
+											title="Retry"
+										>
+											🔄
+										</button>
+									)}
+								</span>
+							</div>
+
+							{item.status === "processing" && (
+								<>
+									<small>{item.text}</small>
+									<div className="progress-bar">
+										{item.progress === null ? (
+											<div className="progress-fill"></div>
+										) : (
+											<div
+												className="progress-fill progress-determinate"
+												style={{ width: `${Math.round(item.progress * 100)}%` }}
+											></div>
+										)}
+									</div>
+								</>
+							)}
+							{item.error && <small className="batch-error">{item.error}</small>}
+						</li>
+					))}
+				</ol>
+
+				<small className="filter-hint">
+					Processes {BATCH_CONCURRENCY} image{BATCH_CONCURRENCY === 1 ? "" : "s"} at a time, which
+					also limits concurrent background removal requests.
+				</small>
+			</div>
+
+			<div className="reset-section">
+				<button
+					className="reset-button"
+					onClick={() => {
+						controller.current?.abort();
+						onClose();
+					}}
+				>
+					Close Batch
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default BatchProcessor;
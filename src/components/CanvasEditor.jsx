@@ -1,77 +1,271 @@
 import React, { useEffect, useRef, useState } from "react";
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+import ExportDialog from "./ExportDialog";
+import { getStagePointMapper } from "../services/stageGeometry";
 
-const CanvasEditor = ({ imageData, onError}) => {
+/**
+ * Selection rectangle between two points, kept to an aspect ratio and
+ * inside the image
+ * @param {Array} start - [x, y] in image pixels
+ * @param {Array} end - [x, y] in image pixels
+ * @param {number|null} aspect - Width / height, or null for free
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Object} - {x, y, width, height} as fractions of the image
+ */
+const getSelection = ([startX, startY], [endX, endY], aspect, canvas) => {
+	const directionX = endX < startX ? -1 : 1;
+	const directionY = endY < startY ? -1 : 1;
+	// Room between the start point and the image edge in the drag direction
+	const roomX = directionX > 0 ? canvas.width - startX : startX;
+	const roomY = directionY > 0 ? canvas.height - startY : startY;
+	let width = Math.min(Math.abs(endX - startX), roomX);
+	let height = Math.min(Math.abs(endY - startY), roomY);
+
+	if (aspect) {
+		// Grow to the dragged extent, then shrink to fit the image
+		width = Math.max(width, height * aspect);
+		height = width / aspect;
+		const fit = Math.min(1, roomX / width, roomY / height);
+		width *= fit;
+		height *= fit;
+	}
+
+	const x = directionX > 0 ? startX : startX - width;
+	const y = directionY > 0 ? startY : startY - height;
+	return {
+		x: x / canvas.width,
+		y: y / canvas.height,
+		width: width / canvas.width,
+		height: height / canvas.height,
+	};
+};
+
+const CanvasEditor = ({ imageData, session, onError }) => {
 	const canvasRef = useRef(null);
-	const [canvasHistory, setCanvasHistory] = useState([]);
-	const [historyIndex, setHistoryIndex] = useState(-1);
+	const editor = useEditorStore();
+	const historyState = useEditorState((state) => state.history);
+	const tool = useEditorState((state) => state.tool);
+	const stroke = useRef(null); // {stageId, stroke} while painting
+	const cropStart = useRef(null); // [x, y] while dragging a crop selection
+	const [, setViewport] = useState(0);
+	const [isExportOpen, setIsExportOpen] = useState(false);
 
+	// Bind the editor store to this canvas
 	useEffect(() => {
-		if (imageData && canvasRef.current) {
-			const canvas = canvasRef.current;
-			const ctx = canvas.getContext("2d");
-
-			// Set canvas dimensions
-			canvas.width = imageData.width;
-			canvas.height = imageData.height;
-
-			// Draw the image
-			ctx.drawImage(
-				imageData.originalImage,
-				0,
-				0,
-				imageData.width,
-				imageData.height
-			);
+		editor.attachCanvas(canvasRef.current);
+		return () => {
+			editor.attachCanvas(null);
+		};
+	}, [editor]);
 
-			// Save initial state to history
-			saveToHistory(canvas);
+	// A restored session continues its saved document and history
+	useEffect(() => {
+		if (imageData) {
+			editor.replaceImage(imageData, session).catch((error) => {
+				console.error("Loading the document failed:", error);
+				onError(`Failed to load the document: ${error.message}`);
+			});
 		}
-	}, [imageData]);
-
-	const saveToHistory = (canvas) => {
-		const imageData = canvas.toDataURL();
-		setCanvasHistory((prev) => {
-			const newHistory = prev.slice(0, historyIndex + 1);
-			newHistory.push(imageData);
-			return newHistory;
+	}, [editor, imageData, session]);
+
+	const undo = () =>
+		editor.undo().catch((error) => {
+			console.error("Undo failed:", error);
+			onError("Undo failed");
 		});
-		setHistoryIndex((prev) => prev + 1);
-	};
 
+	const redo = () =>
+		editor.redo().catch((error) => {
+			console.error("Redo failed:", error);
+			onError("Redo failed");
+		});
+
+	// Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo
+	useEffect(() => {
+		const handleKeyDown = (e) => {
+			if (!(e.ctrlKey || e.metaKey)) return;
 
-	const downloadImage = () => {
+			// Leave text fields their native undo behaviour
+			const tag = e.target.tagName;
+			if (tag === "INPUT" || tag === "TEXTAREA" || e.target.isContentEditable) {
+				return;
+			}
+
+			const key = e.key.toLowerCase();
+			if (key === "z" && !e.shiftKey) {
+				e.preventDefault();
+				undo();
+			} else if ((key === "z" && e.shiftKey) || key === "y") {
+				e.preventDefault();
+				redo();
+			}
+		};
+
+		window.addEventListener("keydown", handleKeyDown);
+		return () => window.removeEventListener("keydown", handleKeyDown);
+	}, [editor]);
+
+	/**
+	 * Map a pointer event to image pixels, accounting for CSS scaling
+	 * @param {PointerEvent} e
+	 * @returns {Array} - [x, y]
+	 */
+	const toImagePoint = (e) => {
 		const canvas = canvasRef.current;
-		const link = document.createElement("a");
-		link.download = `edited-${imageData.fileName || "image.png"}`;
-		link.href = canvas.toDataURL();
-		link.click();
+		const rect = canvas.getBoundingClientRect();
+		return [
+			((e.clientX - rect.left - canvas.clientLeft) * canvas.width) / canvas.clientWidth,
+			((e.clientY - rect.top - canvas.clientTop) * canvas.height) / canvas.clientHeight,
+		];
 	};
 
-	// Expose canvas methods for other components
+	const previewStroke = () => {
+		const { stageId, stroke: current } = stroke.current;
+		const snapshot = { ...current, points: [...current.points] };
+		editor
+			.previewStage(stageId, (stage) => ({ ...stage, strokes: [...stage.strokes, snapshot] }))
+			.catch((error) => console.error("Mask preview failed:", error));
+	};
+
+	// The crop overlay is positioned from the canvas layout
 	useEffect(() => {
-		if (canvasRef.current) {
-			window.currentCanvas = canvasRef.current;
-			window.saveCanvasState = () => saveToHistory(canvasRef.current);
-		}
+		const handleResize = () => setViewport((value) => value + 1);
+		window.addEventListener("resize", handleResize);
+		return () => window.removeEventListener("resize", handleResize);
 	}, []);
 
+	const startStroke = (e) => {
+		// Refine the most recent cut-out
+		const { document, image } = editor.getState();
+		const stage = document.stages.findLast((item) => item.type === "backgroundRemoval");
+		if (!stage) return;
+
+		// The mask is painted at the cut-out's size, before later transforms
+		const { toStage, scale } = getStagePointMapper(document, image, stage.id);
+		const canvas = e.currentTarget;
+		canvas.setPointerCapture(e.pointerId);
+		stroke.current = {
+			stageId: stage.id,
+			toStage,
+			stroke: {
+				mode: tool.mode,
+				// The brush is sized on screen; strokes are stored in image pixels
+				size: ((tool.size * canvas.width) / canvas.clientWidth) * scale,
+				hardness: tool.hardness,
+				points: [toStage(toImagePoint(e))],
+			},
+		};
+		previewStroke();
+	};
+
+	const handlePointerDown = (e) => {
+		if (e.button !== 0) return;
+
+		if (tool?.type === "refineMask") {
+			startStroke(e);
+		} else if (tool?.type === "crop") {
+			e.currentTarget.setPointerCapture(e.pointerId);
+			cropStart.current = toImagePoint(e);
+		}
+	};
+
+	const handlePointerMove = (e) => {
+		if (cropStart.current) {
+			const { tool: current } = editor.getState();
+			const selection = getSelection(
+				cropStart.current,
+				toImagePoint(e),
+				current.aspect,
+				canvasRef.current
+			);
+			editor.setTool({ ...current, selection });
+			return;
+		}
+		if (!stroke.current) return;
+
+		stroke.current.stroke.points.push(stroke.current.toStage(toImagePoint(e)));
+		previewStroke();
+	};
+
+	const handlePointerUp = () => {
+		cropStart.current = null;
+		if (!stroke.current) return;
+
+		const { stageId, stroke: finished } = stroke.current;
+		stroke.current = null;
+		editor
+			.updateStage(`Refine mask: ${finished.mode}`, stageId, (stage) => ({
+				...stage,
+				strokes: [...stage.strokes, finished],
+			}))
+			.catch((error) => {
+				console.error("Mask refinement failed:", error);
+				onError("Mask refinement failed");
+			});
+	};
+
+	/**
+	 * Place the crop selection over the canvas
+	 * @returns {Object|null} - Inline style
+	 */
+	const getCropStyle = () => {
+		const canvas = canvasRef.current;
+		const selection = tool?.type === "crop" ? tool.selection : null;
+		if (!canvas || !selection) return null;
+
+		return {
+			left: canvas.offsetLeft + canvas.clientLeft + selection.x * canvas.clientWidth,
+			top: canvas.offsetTop + canvas.clientTop + selection.y * canvas.clientHeight,
+			width: selection.width * canvas.clientWidth,
+			height: selection.height * canvas.clientHeight,
+		};
+	};
+	const cropStyle = getCropStyle();
+	// Size of the rendered document, which transforms may change
+	const canvasWidth = canvasRef.current?.width || imageData.width;
+	const canvasHeight = canvasRef.current?.height || imageData.height;
+
 	return (
 		<div className="canvas-section">
 			<div className="canvas-toolbar">
 				<div className="canvas-info">
 					<span>
-						📐 {imageData.width} × {imageData.height}px
+						📐 {canvasWidth} × {canvasHeight}px
 					</span>
 					<span>📁 {imageData.fileName}</span>
 				</div>
 
 				<div className="canvas-actions">
+					<button
+						className="btn btn-secondary"
+						onClick={undo}
+						disabled={!historyState.canUndo}
+						title={
+							historyState.undoLabel
+								? `Undo ${historyState.undoLabel} (Ctrl+Z)`
+								: "Undo (Ctrl+Z)"
+						}
+					>
+						↩️ Undo
+					</button>
+					<button
+						className="btn btn-secondary"
+						onClick={redo}
+						disabled={!historyState.canRedo}
+						title={
+							historyState.redoLabel
+								? `Redo ${historyState.redoLabel} (Ctrl+Shift+Z)`
+								: "Redo (Ctrl+Shift+Z)"
+						}
+					>
+						↪️ Redo
+					</button>
 					<button
 						className="btn btn-primary"
-						onClick={downloadImage}
-						title="Download Image"
+						onClick={() => setIsExportOpen(true)}
+						title="Export Image"
 					>
-						💾 Download
+						💾 Export
 					</button>
 				</div>
 			</div>
@@ -79,7 +273,13 @@ const CanvasEditor = ({ imageData, onError}) => {
 			<div className="canvas-container">
 				<canvas
 					ref={canvasRef}
-					className="main-canvas"
+					className={`main-canvas ${
+						tool?.type === "refineMask" || tool?.type === "crop" ? "canvas-tool" : ""
+					}`}
+					onPointerDown={handlePointerDown}
+					onPointerMove={handlePointerMove}
+					onPointerUp={handlePointerUp}
+					onPointerCancel={handlePointerUp}
 					style={{
 						maxWidth: "100%",
 						maxHeight: "70vh",
@@ -88,7 +288,17 @@ const CanvasEditor = ({ imageData, onError}) => {
 						boxShadow: "0 4px 12px rgba(0,0,0,0.1)",
 					}}
 				/>
+				{cropStyle && <div className="crop-selection" style={cropStyle}></div>}
 			</div>
+
+			{isExportOpen && (
+				<ExportDialog
+					canvas={canvasRef.current}
+					fileName={imageData.fileName}
+					onClose={() => setIsExportOpen(false)}
+					onError={onError}
+				/>
+			)}
 		</div>
 	);
 };
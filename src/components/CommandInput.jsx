@@ -1,10 +1,44 @@
 import React, { useState } from "react";
-import { parseCommand, executeCommand } from "../services/groqApi";
+import {
+	LLM_PROVIDERS,
+	DEFAULT_LLM_PROVIDER,
+	getLlmProvider,
+} from "../services/llmProviders";
+import { describeCommand } from "../services/actionRegistry";
+import { getSceneObjects } from "../services/sceneModel";
+import { describeRetry } from "../services/requestPolicy";
+import {
+	PARSER_MODES,
+	getParserLabel,
+	parseNaturalCommand,
+} from "../services/commandParser";
+import { useEditorStore } from "../context/EditorContext";
+import { useActionRunner } from "../hooks/useActionRunner";
+import { usePanelSettings } from "../hooks/usePanelSettings";
+
+const DEFAULT_SETTINGS = {
+	commandHistory: [],
+	mode: "auto",
+	llm: {
+		provider: DEFAULT_LLM_PROVIDER,
+		model: getLlmProvider(DEFAULT_LLM_PROVIDER).defaultModel,
+		temperature: 0.1,
+	},
+};
 
 const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 	const [command, setCommand] = useState("");
-	const [isProcessing, setIsProcessing] = useState(false);
-	const [commandHistory, setCommandHistory] = useState([]);
+	const [isParsing, setIsParsing] = useState(false);
+	const [pending, setPending] = useState(null); // {text, commands, parser, scene} awaiting confirmation
+	const [settings, updateSettings] = usePanelSettings("commandInput", DEFAULT_SETTINGS);
+	const { commandHistory, mode } = settings;
+	// A restored session may name a provider this build does not offer
+	const llm = LLM_PROVIDERS[settings.llm.provider] ? settings.llm : DEFAULT_SETTINGS.llm;
+	const setLlm = (updater) => updateSettings(() => ({ llm: updater(llm) }));
+	const editor = useEditorStore();
+	const runner = useActionRunner({ onLoadingChange, onSuccess, onError });
+	const isProcessing = isParsing || runner.isRunning;
+	const provider = getLlmProvider(llm.provider);
 
 	const exampleCommands = [
 		"draw red circle",
@@ -14,7 +48,19 @@ const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 		"brighten image 20%",
 		"darken image 15%",
 		"increase contrast 30%",
-		"draw orange square in center"
+		"draw orange square in center",
+		"write 'SALE' in bold white at the top",
+		"draw a dashed #ff8800 outlined star rotated 20 degrees",
+		"draw half transparent blue ellipse 300 wide and 100 tall",
+		"rotate 90 degrees",
+		"flip horizontally",
+		"crop to square",
+		"blur the image a bit",
+		"show the edges",
+		"remove the background",
+		"make the circle bigger",
+		"move the red square to the right",
+		"delete the last triangle"
 	];
 
 	const handleSubmit = async (e) => {
@@ -22,72 +68,171 @@ const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 		await executeNaturalCommand(command.trim());
 	};
 
+	/**
+	 * Parse a command and show its steps for confirmation
+	 * @param {string} commandText
+	 */
 	const executeNaturalCommand = async (commandText) => {
 		if (!commandText) {
 			onError("Please enter a command");
 			return;
 		}
 
-		if (!window.currentCanvas) {
+		if (!editor.getState().canvas) {
 			onError("No image loaded");
 			return;
 		}
 
-		setIsProcessing(true);
-		onLoadingChange(true, "Parsing command with AI...");
-
-		try {
-			// Parse command using Groq API
-			const parsedCommand = await parseCommand(commandText);
-
-			onLoadingChange(true, "Executing command...");
+		const controller = new AbortController();
+		const showLoading = (text) =>
+			onLoadingChange(true, text, { onCancel: () => controller.abort() });
 
-			// Execute command on canvas
-			const canvas = window.currentCanvas;
-			executeCommand(canvas, parsedCommand);
+		setIsParsing(true);
+		setPending(null);
+		showLoading("Parsing command...");
 
-			// Save state for undo/redo
-			if (window.saveCanvasState) {
-				window.saveCanvasState();
-			}
-
-			// Add to history
-			setCommandHistory((prev) => [
-				{ command: commandText, parsedCommand, timestamp: Date.now() },
-				...prev.slice(0, 9), // Keep last 10 commands
-			]);
-
-			// Clear input and show success
-			setCommand("");
-			onSuccess(`Command executed: "${commandText}"`);
+		try {
+			const scene = getSceneObjects(editor.getState().document);
+			const { commands, parser, fallbackReason } = await parseNaturalCommand(commandText, {
+				mode,
+				scene,
+				llm,
+				signal: controller.signal,
+				onRetry: (retry) => showLoading(describeRetry(provider.label, retry)),
+			});
+			setPending({ text: commandText, commands, parser, fallbackReason, scene });
 		} catch (error) {
-			onError(error.message);
+			if (error.name !== "AbortError") {
+				onError(error.message);
+			}
 		} finally {
-			setIsProcessing(false);
+			setIsParsing(false);
 			onLoadingChange(false);
 		}
 	};
 
+	/**
+	 * Run the previewed steps as one change: they render together, roll back
+	 * together on failure and undo as a single history entry
+	 */
+	const runPendingCommands = async () => {
+		const { text, commands, parser } = pending;
+
+		const applied = await runner.run(text, commands, {
+			successMessage: `Command executed: "${text}"`,
+		});
+		if (!applied) return;
+
+		// Add to history
+		updateSettings((prev) => ({
+			commandHistory: [
+				{ command: text, commands, parser, timestamp: Date.now() },
+				...prev.commandHistory.slice(0, 9), // Keep last 10 commands
+			],
+		}));
+
+		// Clear input
+		setPending(null);
+		setCommand("");
+	};
+
 	const handleExampleClick = (exampleCommand) => {
 		setCommand(exampleCommand);
 	};
 
-	const isApiConfigured =
-		import.meta.env.VITE_GROQ_API_KEY &&
-		import.meta.env.VITE_GROQ_API_KEY !== "your_groq_api_key_here";
+	const handleProviderChange = (providerId) => {
+		setLlm((prev) => ({
+			...prev,
+			provider: providerId,
+			model: getLlmProvider(providerId).defaultModel,
+		}));
+	};
 
 	return (
 		<div className="control-group">
 			<h3>💬 Natural Language Commands</h3>
 
-			{!isApiConfigured && (
+			{mode !== "local" && !provider.isConfigured() && (
 				<div className="status-warning">
-					<p>⚠️ Groq API not configured</p>
-					<small>Add VITE_GROQ_API_KEY to your .env file</small>
+					<p>⚠️ {provider.label} not configured</p>
+					<small>
+						Commands use the local parser. {provider.setupHint} for free-form commands.
+					</small>
 				</div>
 			)}
 
 			<form onSubmit={handleSubmit} className="command-form">
+				<div className="form-group">
+					<label className="form-label">Parser:</label>
+					<select
+						className="form-control"
+						value={mode}
+						onChange={(e) => updateSettings({ mode: e.target.value })}
+						disabled={isProcessing}
+					>
+						{Object.entries(PARSER_MODES).map(([key, label]) => (
+							<option key={key} value={key}>
+								{label}
+							</option>
+						))}
+					</select>
+				</div>
+
+				{mode !== "local" && (
+					<div className="llm-settings">
+						<div className="form-group">
+							<label className="form-label">AI provider:</label>
+							<select
+								className="form-control"
+								value={llm.provider}
+								onChange={(e) => handleProviderChange(e.target.value)}
+								disabled={isProcessing}
+							>
+								{Object.entries(LLM_PROVIDERS).map(([id, { label }]) => (
+									<option key={id} value={id}>
+										{label}
+									</option>
+								))}
+							</select>
+						</div>
+
+						<div className="form-group">
+							<label className="form-label">Model:</label>
+							<input
+								type="text"
+								className="form-control"
+								list="llm-models"
+								value={llm.model}
+								onChange={(e) => setLlm((prev) => ({ ...prev, model: e.target.value }))}
+								placeholder={provider.defaultModel}
+								disabled={isProcessing}
+							/>
+							<datalist id="llm-models">
+								{provider.models.map((model) => (
+									<option key={model} value={model} />
+								))}
+							</datalist>
+						</div>
+
+						<div className="range-group">
+							<label className="form-label">Temperature:</label>
+							<input
+								type="range"
+								className="range-slider"
+								min="0"
+								max="1"
+								step="0.1"
+								value={llm.temperature}
+								onChange={(e) =>
+									setLlm((prev) => ({ ...prev, temperature: Number(e.target.value) }))
+								}
+								disabled={isProcessing}
+							/>
+							<span className="range-value">{llm.temperature.toFixed(1)}</span>
+						</div>
+					</div>
+				)}
+
 				<div className="form-group">
 					<label className="form-label">Enter your command:</label>
 					<input
@@ -96,21 +241,50 @@ const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 						value={command}
 						onChange={(e) => setCommand(e.target.value)}
 						placeholder="Try: 'draw red circle' or 'brighten image 20%'"
-						disabled={!isApiConfigured || isProcessing || !imageData}
+						disabled={isProcessing || !imageData}
 					/>
 				</div>
 
 				<button
 					type="submit"
 					className="btn btn-success"
-					disabled={
-						!isApiConfigured || isProcessing || !imageData || !command.trim()
-					}
+					disabled={isProcessing || !imageData || !command.trim()}
 				>
-					{isProcessing ? "🤖 Processing..." : "⚡ Execute Command"}
+					{isProcessing ? "🤖 Processing..." : "🔍 Preview Command"}
 				</button>
 			</form>
 
+			{pending && (
+				<div className="command-preview">
+					<h4>Planned steps:</h4>
+					<small className="command-parser">
+						Parsed by {getParserLabel(pending.parser)}
+						{pending.fallbackReason && ` (${pending.fallbackReason})`}
+					</small>
+					<ol>
+						{pending.commands.map((step, index) => (
+							<li key={index}>{describeCommand(step, { scene: pending.scene })}</li>
+						))}
+					</ol>
+					<div className="command-preview-actions">
+						<button
+							className="btn btn-success"
+							onClick={runPendingCommands}
+							disabled={isProcessing}
+						>
+							{pending.commands.length > 1 ? "▶️ Run All" : "▶️ Run"}
+						</button>
+						<button
+							className="btn btn-secondary"
+							onClick={() => setPending(null)}
+							disabled={isProcessing}
+						>
+							Discard
+						</button>
+					</div>
+				</div>
+			)}
+
 			<div className="command-examples">
 				<h4>Example Commands:</h4>
 				<div className="example-buttons">
@@ -119,7 +293,7 @@ const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 							key={index}
 							className="example-btn"
 							onClick={() => handleExampleClick(example)}
-							disabled={!isApiConfigured || isProcessing || !imageData}
+							disabled={isProcessing || !imageData}
 						>
 							{example}
 						</button>
@@ -134,6 +308,7 @@ const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 						{commandHistory.slice(0, 5).map((item, index) => (
 							<div key={index} className="history-item">
 								<span className="history-command">"{item.command}"</span>
+								<span className="history-parser">{getParserLabel(item.parser)}</span>
 								<button
 									className="history-repeat"
 									onClick={() => executeNaturalCommand(item.command)}
@@ -152,12 +327,18 @@ const CommandInput = ({ imageData, onLoadingChange, onSuccess, onError }) => {
 				<h4>Supported Commands:</h4>
 				<ul>
 					<li><strong>Draw shapes:</strong> "draw [color] [shape]" or "draw [size] [color] [shape] at [position]"</li>
-					<li><strong>Shapes:</strong> circle, rectangle, square, triangle, line</li>
-					<li><strong>Colors:</strong> red, blue, green, yellow, purple, black, white, orange, pink</li>
-					<li><strong>Positions:</strong> center, top left, top right, bottom left, bottom right</li>
-					<li><strong>Sizes:</strong> small, large, or default</li>
+					<li><strong>Shapes:</strong> circle, ellipse, rectangle, square, triangle, line, arrow, polygon (or pentagon, hexagon, octagon), star</li>
+					<li><strong>Text:</strong> "write 'TEXT' in [bold/italic] [color] at [position]", with an optional serif, monospace or cursive font</li>
+					<li><strong>Colors:</strong> red, blue, green, yellow, purple, black, white, orange, pink, or #hex, rgb() and hsl()</li>
+					<li><strong>Style:</strong> outlined, thick/thin, dashed/dotted, "50% opacity", "rotated 30 degrees"</li>
+					<li><strong>Positions:</strong> center, top, bottom, left, right, top left, top right, bottom left, bottom right</li>
+					<li><strong>Sizes:</strong> tiny, small, large, huge, "size 60", or "300x100" / "300 wide and 100 tall"</li>
+					<li><strong>Edit drawings:</strong> "make the [color] [shape] bigger/smaller/[color]", "move the [shape] to the right/up/[position]", "delete the last [shape]" or "delete it"</li>
 					<li><strong>Brightness:</strong> "brighten/darken image [X]%"</li>
 					<li><strong>Contrast:</strong> "increase/decrease contrast [X]%"</li>
+					<li><strong>Transform:</strong> "rotate [X] degrees", "flip horizontally/vertically", "crop to [W:H]", "resize to [X]%"</li>
+					<li><strong>Filters:</strong> "blur [a bit/a lot]", "sharpen", "show the edges", "black and white", "sepia", "invert colors"</li>
+					<li><strong>Background:</strong> "remove the background", "put it on a [color] background", "blur the background"</li>
 				</ul>
 			</div>
 		</div>
@@ -0,0 +1,271 @@
+import React, { useEffect, useState } from "react";
+import {
+	EXPORT_FORMATS,
+	getSupportedFormats,
+	supportsMetadata,
+	exportImage,
+	embedMetadata,
+	copyImageToClipboard,
+	downloadBlob,
+	getExportFileName,
+} from "../services/imageExport";
+
+// [value, label]; an array so the order survives numeric keys
+const SCALE_PRESETS = [
+	["0.5", "0.5x"],
+	["1", "1x"],
+	["2", "2x"],
+	["custom", "Custom"],
+];
+
+// Keep within what browsers allow for a single canvas
+const MAX_EXPORT_SIZE = 16384;
+
+// Wait for settings to settle before encoding the size estimate
+const ESTIMATE_DELAY = 400;
+
+const formatFileSize = (bytes) =>
+	bytes >= 1024 * 1024
+		? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+		: `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * Pick the original file's format when the browser can write it
+ * @param {string} fileName
+ * @returns {string} - Key of EXPORT_FORMATS
+ */
+const getDefaultFormat = (fileName = "") => {
+	const extension = fileName.split(".").pop().toLowerCase();
+	const format = extension === "jpg" ? "jpeg" : extension;
+	return getSupportedFormats().includes(format) ? format : "png";
+};
+
+const ExportDialog = ({ canvas, fileName, onClose, onError }) => {
+	const [format, setFormat] = useState(() => getDefaultFormat(fileName));
+	const [quality, setQuality] = useState(0.9);
+	const [scale, setScale] = useState("1");
+	const [customWidth, setCustomWidth] = useState(canvas.width);
+	const [background, setBackground] = useState("#ffffff");
+	const [includeMetadata, setIncludeMetadata] = useState(false);
+	const [estimate, setEstimate] = useState(null);
+	const [status, setStatus] = useState(null);
+	const [isExporting, setIsExporting] = useState(false);
+
+	const { type, lossy, alpha, extension } = EXPORT_FORMATS[format];
+	const ratio = scale === "custom" ? customWidth / canvas.width : Number(scale);
+	const width = Math.max(1, Math.round(canvas.width * ratio));
+	const height = Math.max(1, Math.round(canvas.height * ratio));
+	const tooLarge = width > MAX_EXPORT_SIZE || height > MAX_EXPORT_SIZE;
+
+	/**
+	 * Encode the canvas with the current settings
+	 * @param {string} [outputType] - Override the format, e.g. PNG for the clipboard
+	 * @returns {Promise<Blob>}
+	 */
+	const encode = async (outputType = type) => {
+		const blob = await exportImage(canvas, {
+			width,
+			height,
+			type: outputType,
+			quality: lossy ? quality : undefined,
+			// Formats without transparency get a solid background
+			background: alpha ? undefined : background,
+		});
+
+		return includeMetadata
+			? embedMetadata(blob, {
+					Software: "POC Image Editor",
+					Source: fileName,
+					"Creation Time": new Date().toISOString(),
+				})
+			: blob;
+	};
+
+	// Re-encode in the background to show the real output size
+	useEffect(() => {
+		if (tooLarge) {
+			setEstimate(null);
+			return undefined;
+		}
+
+		let active = true;
+		setEstimate(null);
+		const timer = setTimeout(() => {
+			encode()
+				.then((blob) => active && setEstimate(blob.size))
+				.catch(() => active && setEstimate(null));
+		}, ESTIMATE_DELAY);
+
+		return () => {
+			active = false;
+			clearTimeout(timer);
+		};
+	}, [format, quality, width, height, background, includeMetadata]);
+
+	useEffect(() => {
+		const handleKeyDown = (e) => {
+			if (e.key === "Escape") onClose();
+		};
+		window.addEventListener("keydown", handleKeyDown);
+		return () => window.removeEventListener("keydown", handleKeyDown);
+	}, [onClose]);
+
+	const handleDownload = async () => {
+		setIsExporting(true);
+		try {
+			downloadBlob(await encode(), getExportFileName(fileName, extension));
+			onClose();
+		} catch (error) {
+			console.error("Export failed:", error);
+			onError(`Export failed: ${error.message}`);
+			setIsExporting(false);
+		}
+	};
+
+	const handleCopy = async () => {
+		setIsExporting(true);
+		setStatus(null);
+		try {
+			// Browsers only put PNG images on the clipboard
+			await copyImageToClipboard(await encode("image/png"));
+			setStatus("📋 Copied to clipboard as PNG");
+		} catch (error) {
+			console.error("Copy failed:", error);
+			onError(`Copy failed: ${error.message}`);
+		} finally {
+			setIsExporting(false);
+		}
+	};
+
+	return (
+		<div className="modal-backdrop" onClick={onClose}>
+			<div
+				className="modal export-dialog"
+				role="dialog"
+				aria-label="Export image"
+				onClick={(e) => e.stopPropagation()}
+			>
+				<h3>💾 Export Image</h3>
+
+				<div className="form-group">
+					<label className="form-label">Format:</label>
+					<div className="radio-group">
+						{getSupportedFormats().map((key) => (
+							<label key={key} className="radio-option">
+								<input
+									type="radio"
+									name="export-format"
+									value={key}
+									checked={format === key}
+									onChange={() => setFormat(key)}
+								/>
+								{EXPORT_FORMATS[key].label}
+							</label>
+						))}
+					</div>
+				</div>
+
+				{lossy && (
+					<div className="range-group">
+						<label className="form-label">Quality:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="0.1"
+							max="1"
+							step="0.05"
+							value={quality}
+							onChange={(e) => setQuality(parseFloat(e.target.value))}
+						/>
+						<span className="range-value">{Math.round(quality * 100)}%</span>
+					</div>
+				)}
+
+				<div className="form-group">
+					<label className="form-label">Size:</label>
+					<div className="radio-group">
+						{SCALE_PRESETS.map(([key, label]) => (
+							<label key={key} className="radio-option">
+								<input
+									type="radio"
+									name="export-scale"
+									value={key}
+									checked={scale === key}
+									onChange={() => setScale(key)}
+								/>
+								{label}
+							</label>
+						))}
+					</div>
+					{scale === "custom" && (
+						<div className="export-custom-size">
+							<input
+								type="number"
+								className="form-control"
+								min="1"
+								max={MAX_EXPORT_SIZE}
+								value={customWidth}
+								onChange={(e) => setCustomWidth(Math.max(1, parseInt(e.target.value) || 1))}
+							/>
+							<span>px wide</span>
+						</div>
+					)}
+					<small>
+						{width} × {height}px
+						{tooLarge && ` — larger than ${MAX_EXPORT_SIZE}px is not supported`}
+					</small>
+				</div>
+
+				{!alpha && (
+					<div className="range-group">
+						<label className="form-label">Background:</label>
+						<input
+							type="color"
+							value={background}
+							onChange={(e) => setBackground(e.target.value)}
+						/>
+						<small>{EXPORT_FORMATS[format].label} has no transparency</small>
+					</div>
+				)}
+
+				<label className="radio-option">
+					<input
+						type="checkbox"
+						checked={includeMetadata}
+						onChange={(e) => setIncludeMetadata(e.target.checked)}
+						disabled={!supportsMetadata(type)}
+					/>
+					Embed editor metadata
+					{!supportsMetadata(type) && <small>(PNG and JPEG only)</small>}
+				</label>
+
+				<p className="export-estimate">
+					Estimated file size: {estimate === null ? "…" : formatFileSize(estimate)}
+				</p>
+				{status && <p className="export-status">{status}</p>}
+
+				<div className="modal-actions">
+					<button className="btn btn-secondary" onClick={onClose}>
+						Cancel
+					</button>
+					<button
+						className="btn btn-secondary"
+						onClick={handleCopy}
+						disabled={isExporting || tooLarge}
+					>
+						📋 Copy
+					</button>
+					<button
+						className="btn btn-primary"
+						onClick={handleDownload}
+						disabled={isExporting || tooLarge}
+					>
+						💾 Download
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ExportDialog;
@@ -1,85 +1,236 @@
-import React, { useState, useEffect } from "react";
+import React, { useRef, useState } from "react";
 import { useOpenCV } from "../hooks/useOpenCV";
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+import { createId } from "../store/editorStore";
+import { ACTIONS } from "../services/actionRegistry";
+import { usePanelSettings } from "../hooks/usePanelSettings";
+
+// Only show the loading overlay for renders that take noticeable time, so
+// quick slider ticks don't interrupt dragging
+const OVERLAY_DELAY = 300;
+
+const DEFAULT_SETTINGS = { newFilterType: "blur" };
+
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+/**
+ * Set one parameter of a filter in the stack
+ * @param {Array} filters
+ * @param {string} id - Filter id
+ * @param {string} name - Parameter name
+ * @param {*} value
+ * @returns {Array} - Next filters
+ */
+const setFilterParam = (filters, id, name, value) =>
+	filters.map((item) =>
+		item.id === id ? { ...item, params: { ...item.params, [name]: value } } : item
+	);
 
 const FilterControls = ({ imageData, onLoadingChange, onError }) => {
-	const [selectedFilter, setSelectedFilter] = useState("none");
-	const [intensity, setIntensity] = useState(5);
-	const [originalImageData, setOriginalImageData] = useState(null);
-	const { isReady, error, applyGaussianBlur, applySobelEdges } = useOpenCV();
-
-	// Store original image data when component mounts
-	useEffect(() => {
-		if (imageData && window.currentCanvas) {
-			const canvas = window.currentCanvas;
-			const ctx = canvas.getContext("2d");
-			setOriginalImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+	const [{ newFilterType }, updateSettings] = usePanelSettings("filters", DEFAULT_SETTINGS);
+	const {
+		isReady,
+		error,
+		loadStatus,
+		version,
+		retry,
+		filters: filterLibrary,
+	} = useOpenCV();
+	const editor = useEditorStore();
+	const latestChange = useRef(0);
+	// Slider value shown while dragging, previewed but not recorded: {filterId, name, value}
+	const [draft, setDraft] = useState(null);
+	const filters = useEditorState((state) => state.document.filters);
+	// Known download size gives a real progress bar; compile is indeterminate
+	const downloadProgress =
+		loadStatus.phase === "download" && loadStatus.total > 0
+			? Math.min(loadStatus.loaded / loadStatus.total, 1)
+			: null;
+	const categories = [
+		...new Set(Object.values(filterLibrary).map((filterType) => filterType.category)),
+	];
+
+	/**
+	 * Update the filter stack and re-render the document from the source image
+	 * @param {string} label - History step name
+	 * @param {Function} updater - (filters) => next filters
+	 * @returns {Promise<boolean>} - Whether the change was applied
+	 */
+	const changeFilters = async (label, updater) => {
+		const changeId = ++latestChange.current;
+		let progress = { progress: 0, label: null };
+		let overlayShown = false;
+
+		const showOverlay = () => {
+			overlayShown = true;
+			onLoadingChange(
+				true,
+				progress.label ? `Applying ${progress.label}...` : "Applying filters...",
+				{ progress: progress.progress, onCancel: () => editor.cancelRender() }
+			);
+		};
+		const overlayTimer = setTimeout(showOverlay, OVERLAY_DELAY);
+
+		try {
+			return await editor.updateFilters(label, updater, {
+				onProgress: (update) => {
+					progress = update;
+					if (overlayShown) showOverlay();
+				},
+			});
+		} catch (err) {
+			// Cancelled renders are reverted by the store; nothing to report
+			if (err.name !== "AbortError") {
+				console.error("Filter application failed:", err);
+				onError(`Failed to apply filters: ${err.message}`);
+			}
+			return false;
+		} finally {
+			clearTimeout(overlayTimer);
+			// Superseded changes leave the overlay to the latest one
+			if (latestChange.current === changeId) {
+				onLoadingChange(false);
+			}
 		}
-	}, [imageData]);
-
-	// Apply filter when selection or intensity changes
-	useEffect(() => {
-		if (selectedFilter !== "none" && originalImageData && isReady) {
-			applyFilter();
-		} else if (selectedFilter === "none" && originalImageData) {
-			restoreOriginalImage();
+	};
+
+	const handleAddFilter = async () => {
+		const id = createId("filter");
+		const applied = await changeFilters(`Add ${filterLibrary[newFilterType].label}`, (current) => [
+			...current,
+			// Same entry a "filter" text command adds
+			{ id, ...ACTIONS.filter.toFilter({ filter: newFilterType }) },
+		]);
+
+		// Recorded with the settings the filter has when recording stops
+		if (applied) {
+			editor.recordSteps([{ action: "filter", filter: newFilterType, params: {}, filterId: id }]);
 		}
-	}, [selectedFilter, intensity, isReady]);
+	};
 
-	const restoreOriginalImage = () => {
-		if (!originalImageData || !window.currentCanvas) return;
+	const handleRemoveFilter = (filter) => {
+		changeFilters(`Remove ${filterLibrary[filter.type].label}`, (current) =>
+			current.filter((item) => item.id !== filter.id)
+		);
+	};
 
-		const canvas = window.currentCanvas;
-		const ctx = canvas.getContext("2d");
-		ctx.putImageData(originalImageData, 0, 0);
+	const handleToggleFilter = (filter) => {
+		const label = filterLibrary[filter.type].label;
+		changeFilters(`${filter.enabled ? "Disable" : "Enable"} ${label}`, (current) =>
+			current.map((item) =>
+				item.id === filter.id ? { ...item, enabled: !item.enabled } : item
+			)
+		);
 	};
 
-	const applyFilter = async () => {
-		if (!window.currentCanvas || !isReady) {
-			onError("Canvas or OpenCV not ready");
-			return;
-		}
+	const handleMoveFilter = (filter, offset) => {
+		changeFilters(`Reorder ${filterLibrary[filter.type].label}`, (current) => {
+			const index = current.findIndex((item) => item.id === filter.id);
+			const target = index + offset;
+			if (index < 0 || target < 0 || target >= current.length) return current;
 
-		try {
-			onLoadingChange(true, `Applying ${selectedFilter} filter...`);
-
-			// Small delay to show loading state
-			await new Promise((resolve) => setTimeout(resolve, 200));
-
-			// Restore original image first
-			restoreOriginalImage();
-
-			const canvas = window.currentCanvas;
-
-			// Apply the selected filter
-			switch (selectedFilter) {
-				case "blur":
-					applyGaussianBlur(canvas, intensity);
-					break;
-				case "edge":
-					applySobelEdges(canvas, intensity);
-					break;
-				default:
-					break;
-			}
+			const next = [...current];
+			[next[index], next[target]] = [next[target], next[index]];
+			return next;
+		});
+	};
 
-			// Save state for undo/redo
-			if (window.saveCanvasState) {
-				window.saveCanvasState();
-			}
-		} catch (err) {
-			console.error("Filter application failed:", err);
-			onError(`Failed to apply ${selectedFilter} filter: ${err.message}`);
-		} finally {
-			onLoadingChange(false);
-		}
+	const handleParamChange = (filter, paramLabel, name, value) => {
+		changeFilters(`${filterLibrary[filter.type].label} ${paramLabel.toLowerCase()}`, (current) =>
+			setFilterParam(current, filter.id, name, value)
+		);
+	};
+
+	// Sliders preview every tick and record one step when released
+	const handleParamPreview = (filter, name, value) => {
+		setDraft({ filterId: filter.id, name, value });
+		editor
+			.previewFilters((current) => setFilterParam(current, filter.id, name, value))
+			.catch((err) => {
+				if (err.name !== "AbortError") {
+					console.error("Filter preview failed:", err);
+				}
+			});
 	};
 
-	const handleFilterChange = (filterType) => {
-		setSelectedFilter(filterType);
+	const handleParamCommit = (filter, paramLabel) => {
+		if (draft?.filterId !== filter.id) return;
+
+		if (draft.value === filter.params[draft.name]) {
+			// Dragged back to where it started; show the committed filters again
+			handleParamPreview(filter, draft.name, draft.value);
+			setDraft(null);
+			return;
+		}
+		setDraft(null);
+		handleParamChange(filter, paramLabel, draft.name, draft.value);
 	};
 
-	const handleIntensityChange = (newIntensity) => {
-		setIntensity(newIntensity);
+	/**
+	 * Build the input for one typed filter parameter
+	 * @param {Object} filter - Filter stack entry
+	 * @param {Object} param - Parameter definition from the filter library
+	 */
+	const renderParamControl = (filter, param) => {
+		const dragging = draft?.filterId === filter.id && draft.name === param.name;
+		const value = dragging ? draft.value : filter.params[param.name];
+		const disabled = !isReady || !filter.enabled;
+
+		switch (param.type) {
+			case "select":
+				return (
+					<select
+						className="form-control"
+						value={value}
+						onChange={(e) => {
+							// Option values keep their declared type (e.g. numeric kernel sizes)
+							const option = param.options[e.target.selectedIndex];
+							handleParamChange(filter, param.label, param.name, option.value);
+						}}
+						disabled={disabled}
+					>
+						{param.options.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+				);
+			case "boolean":
+				return (
+					<input
+						type="checkbox"
+						checked={value}
+						onChange={(e) => handleParamChange(filter, param.label, param.name, e.target.checked)}
+						disabled={disabled}
+					/>
+				);
+			default:
+				return (
+					<>
+						<input
+							type="range"
+							className="range-slider"
+							min={param.min}
+							max={param.max}
+							step={param.step || 1}
+							value={value}
+							onChange={(e) =>
+								handleParamPreview(
+									filter,
+									param.name,
+									param.type === "int" ? parseInt(e.target.value) : parseFloat(e.target.value)
+								)
+							}
+							onPointerUp={() => handleParamCommit(filter, param.label)}
+							onKeyUp={() => handleParamCommit(filter, param.label)}
+							onBlur={() => handleParamCommit(filter, param.label)}
+							disabled={disabled}
+						/>
+						<span className="range-value">{value}</span>
+					</>
+				);
+		}
 	};
 
 	if (error) {
@@ -88,11 +239,8 @@ const FilterControls = ({ imageData, onLoadingChange, onError }) => {
 				<h3>🔧 WASM Filters</h3>
 				<div className="error-message">
 					<p>⚠️ OpenCV Error: {error}</p>
-					<button
-						className="btn btn-secondary"
-						onClick={() => window.location.reload()}
-					>
-						Reload Page
+					<button className="btn btn-secondary" onClick={retry}>
+						🔄 Retry
 					</button>
 				</div>
 			</div>
@@ -105,77 +253,125 @@ const FilterControls = ({ imageData, onLoadingChange, onError }) => {
 
 			{!isReady && (
 				<div className="opencv-loading">
-					<p>🔄 Loading OpenCV.js...</p>
+					{loadStatus.phase === "compile" ? (
+						<p>⚙️ Compiling OpenCV.js WebAssembly...</p>
+					) : (
+						<p>
+							🔄 Downloading OpenCV.js {version}
+							{loadStatus.total > 0 &&
+								` — ${formatMegabytes(loadStatus.loaded)} / ${formatMegabytes(loadStatus.total)} MB`}
+						</p>
+					)}
 					<div className="progress-bar">
-						<div className="progress-fill"></div>
+						{downloadProgress === null ? (
+							<div className="progress-fill"></div>
+						) : (
+							<div
+								className="progress-fill progress-determinate"
+								style={{ width: `${Math.round(downloadProgress * 100)}%` }}
+							></div>
+						)}
 					</div>
 				</div>
 			)}
 
 			<div className="filter-options">
-				<div className="radio-group">
-					<label className="radio-option">
-						<input
-							type="radio"
-							name="filter"
-							value="none"
-							checked={selectedFilter === "none"}
-							onChange={() => handleFilterChange("none")}
-						/>
-						Original
-					</label>
+				<div className="filter-add">
+					<select
+						className="form-control"
+						value={newFilterType}
+						onChange={(e) => updateSettings({ newFilterType: e.target.value })}
+						disabled={!isReady || !imageData}
+					>
+						{categories.map((category) => (
+							<optgroup key={category} label={category}>
+								{Object.entries(filterLibrary)
+									.filter(([, filterType]) => filterType.category === category)
+									.map(([type, filterType]) => (
+										<option key={type} value={type}>
+											{filterType.label}
+										</option>
+									))}
+							</optgroup>
+						))}
+					</select>
+					<button
+						className="btn btn-primary"
+						onClick={handleAddFilter}
+						disabled={!isReady || !imageData}
+					>
+						➕ Add
+					</button>
+				</div>
 
-					<label className="radio-option">
-						<input
-							type="radio"
-							name="filter"
-							value="blur"
-							checked={selectedFilter === "blur"}
-							onChange={() => handleFilterChange("blur")}
-							disabled={!isReady}
-						/>
-						Gaussian Blur
-					</label>
+				{filters.length === 0 ? (
+					<p className="filter-empty">No filters applied — showing the original image.</p>
+				) : (
+					<ol className="filter-stack">
+						{filters.map((filter, index) => (
+							<li
+								key={filter.id}
+								className={`filter-item ${filter.enabled ? "" : "filter-disabled"}`}
+							>
+								<div className="filter-item-header">
+									<label className="radio-option">
+										<input
+											type="checkbox"
+											checked={filter.enabled}
+											onChange={() => handleToggleFilter(filter)}
+											disabled={!isReady}
+										/>
+										{filterLibrary[filter.type].label}
+									</label>
 
-					<label className="radio-option">
-						<input
-							type="radio"
-							name="filter"
-							value="edge"
-							checked={selectedFilter === "edge"}
-							onChange={() => handleFilterChange("edge")}
-							disabled={!isReady}
-						/>
-						Edge Detection
-					</label>
-				</div>
+									<div className="filter-item-actions">
+										<button
+											className="icon-btn"
+											onClick={() => handleMoveFilter(filter, -1)}
+											disabled={!isReady || index === 0}
+											title="Move up"
+										>
+											⬆️
+										</button>
+										<button
+											className="icon-btn"
+											onClick={() => handleMoveFilter(filter, 1)}
+											disabled={!isReady || index === filters.length - 1}
+											title="Move down"
+										>
+											⬇️
+										</button>
+										<button
+											className="icon-btn"
+											onClick={() => handleRemoveFilter(filter)}
+											disabled={!isReady}
+											title="Remove filter"
+										>
+											🗑️
+										</button>
+									</div>
+								</div>
 
-				{selectedFilter !== "none" && (
-					<div className="range-group">
-						<label className="form-label">Intensity:</label>
-						<input
-							type="range"
-							className="range-slider"
-							min="1"
-							max="20"
-							value={intensity}
-							onChange={(e) => handleIntensityChange(parseInt(e.target.value))}
-							disabled={!isReady}
-						/>
-						<span className="range-value">
-							{intensity}
-							{selectedFilter === 'edge' && (
-								<small style={{display: 'block', fontSize: '0.7em', color: '#666'}}>
-									(kernel: {[1, 3, 5, 7][Math.min(Math.floor(((intensity - 1) / 19) * 3), 3)]})
-								</small>
-							)}
-						</span>
-					</div>
+								{filterLibrary[filter.type].params.map((param) => (
+									<div key={param.name} className="range-group">
+										<label className="form-label">{param.label}:</label>
+										{renderParamControl(filter, param)}
+									</div>
+								))}
+
+								{filterLibrary[filter.type].hint && (
+									<small className="filter-hint">
+										({filterLibrary[filter.type].hint(filter.params)})
+									</small>
+								)}
+							</li>
+						))}
+					</ol>
 				)}
 
 				{isReady && (
 					<div className="filter-info">
-						<small>✅ OpenCV.js loaded and ready</small>
+						<small>✅ OpenCV.js {version} loaded and ready · filters apply top to bottom</small>
 					</div>
 				)}
 			</div>
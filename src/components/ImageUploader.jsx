@@ -1,8 +1,15 @@
 import React, { useState, useRef } from "react";
-
-const ImageUploader = ({ onImageLoad, onError }) => {
+import {
+	validateImageFile,
+	loadImageFile,
+	collectDroppedFiles,
+	collectInputFiles,
+} from "../services/imageFiles";
+
+const ImageUploader = ({ onImageLoad, onBatchLoad, onError }) => {
 	const [isDragOver, setIsDragOver] = useState(false);
 	const fileInputRef = useRef(null);
+	const folderInputRef = useRef(null);
 
 	const handleDragOver = (e) => {
 		e.preventDefault();
@@ -14,84 +21,55 @@ const ImageUploader = ({ onImageLoad, onError }) => {
 		setIsDragOver(false);
 	};
 
-	const handleDrop = (e) => {
+	const handleDrop = async (e) => {
 		e.preventDefault();
 		setIsDragOver(false);
 
-		const files = e.dataTransfer.files;
-		if (files.length > 0) {
-			handleFile(files[0]);
+		try {
+			handleFiles(await collectDroppedFiles(e.dataTransfer));
+		} catch (error) {
+			onError(`Failed to read dropped files: ${error.message}`);
 		}
 	};
 
 	const handleFileSelect = (e) => {
-		const files = e.target.files;
-		if (files.length > 0) {
-			handleFile(files[0]);
-		}
+		handleFiles(collectInputFiles(e.target.files));
+		e.target.value = "";
 	};
 
-	const handleFile = (file) => {
-		// Validate file type
-		if (!file.type.startsWith("image/")) {
-			onError("Please select a valid image file");
+	/**
+	 * Open one image in the editor, or several in the batch view
+	 * @param {Array} entries - [{file, path}]
+	 */
+	const handleFiles = (entries) => {
+		if (entries.length === 0) return;
+
+		if (entries.length === 1) {
+			handleFile(entries[0].file);
 			return;
 		}
 
-		// Validate file size (max 10MB for Remove.bg compatibility)
-		if (file.size > 10 * 1024 * 1024) {
-			onError("Image size must be less than 10MB");
+		// Folders often hold other files; only images go into a batch
+		const images = entries.filter(({ file }) => file.type.startsWith("image/"));
+		if (images.length === 0) {
+			onError("No images found in the dropped files");
 			return;
 		}
+		onBatchLoad(images);
+	};
 
-		const reader = new FileReader();
-		reader.onload = (e) => {
-			const img = new Image();
-			img.onload = () => {
-				// Create canvas to get image data
-				const canvas = document.createElement("canvas");
-				const ctx = canvas.getContext("2d");
-
-				// Set canvas size to fit image while maintaining aspect ratio
-				const maxWidth = 800;
-				const maxHeight = 600;
-				let { width, height } = img;
-
-				if (width > maxWidth || height > maxHeight) {
-					const ratio = Math.min(maxWidth / width, maxHeight / height);
-					width *= ratio;
-					height *= ratio;
-				}
-
-				canvas.width = width;
-				canvas.height = height;
-
-				// Draw image on canvas
-				ctx.drawImage(img, 0, 0, width, height);
-
-				// Pass image data to parent
-				onImageLoad({
-					canvas,
-					ctx,
-					originalImage: img,
-					width,
-					height,
-					fileName: file.name,
-				});
-			};
-
-			img.onerror = () => {
-				onError("Failed to load image. Please try another file.");
-			};
-
-			img.src = e.target.result;
-		};
-
-		reader.onerror = () => {
-			onError("Failed to read file. Please try again.");
-		};
+	const handleFile = async (file) => {
+		const invalid = validateImageFile(file);
+		if (invalid) {
+			onError(invalid);
+			return;
+		}
 
-		reader.readAsDataURL(file);
+		try {
+			onImageLoad(await loadImageFile(file));
+		} catch (error) {
+			onError(error.message);
+		}
 	};
 
 	const handleClick = () => {
@@ -126,13 +104,34 @@ const ImageUploader = ({ onImageLoad, onError }) => {
 						Drop an image here or{" "}
 						<span className="upload-link">browse files</span>
 					</p>
-					<small>Supports JPG, PNG, GIF up to 10MB</small>
+					<p>
+						Drop several images or{" "}
+						<span
+							className="upload-link"
+							onClick={(e) => {
+								e.stopPropagation();
+								folderInputRef.current?.click();
+							}}
+						>
+							a folder
+						</span>{" "}
+						to process them in a batch
+					</p>
+					<small>Supports JPG, PNG, GIF up to 10MB each</small>
 				</div>
 
 				<input
 					ref={fileInputRef}
 					type="file"
 					accept="image/*"
+					multiple
+					onChange={handleFileSelect}
+					style={{ display: "none" }}
+				/>
+				<input
+					ref={folderInputRef}
+					type="file"
+					webkitdirectory=""
 					onChange={handleFileSelect}
 					style={{ display: "none" }}
 				/>
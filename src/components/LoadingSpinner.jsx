@@ -1,12 +1,25 @@
 import React from "react";
 
-const LoadingSpinner = ({ text = "Processing..." }) => {
+const LoadingSpinner = ({ text = "Processing...", progress = null, onCancel = null }) => {
 	return (
 		<div className="loading-overlay">
 			<div className="spinner"></div>
 			<p className="loading-text">{text}</p>
+			{progress !== null && (
+				<div className="loading-progress">
+					<div
+						className="loading-progress-fill"
+						style={{ width: `${Math.round(progress * 100)}%` }}
+					></div>
+				</div>
+			)}
+			{onCancel && (
+				<button className="btn btn-secondary loading-cancel" onClick={onCancel}>
+					✖ Cancel
+				</button>
+			)}
 		</div>
 	);
 };
 
-export default LoadingSpinner;
+export default LoadingSpinner;
\ No newline at end of file
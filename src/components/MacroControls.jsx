@@ -0,0 +1,333 @@
+import React, { useRef, useState } from "react";
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+import { useActionRunner } from "../hooks/useActionRunner";
+import { describeCommand } from "../services/actionRegistry";
+import { downloadBlob } from "../services/imageExport";
+import {
+	createMacro,
+	finishRecording,
+	loadMacros,
+	saveMacros,
+	serializeMacros,
+	parseMacros,
+	validateMacroSteps,
+} from "../services/macros";
+
+/**
+ * Describe a recorded step; filter steps get their settings when recording stops
+ * @param {Object} step
+ * @returns {string}
+ */
+const describeRecordedStep = ({ filterId, ...step }) => describeCommand(step);
+
+const MacroControls = ({ imageData, onLoadingChange, onSuccess, onError }) => {
+	const [macros, setMacros] = useState(loadMacros);
+	// Latest list, so updates made before a re-render build on each other
+	const latestMacros = useRef(macros);
+	const [macroName, setMacroName] = useState("");
+	const [editing, setEditing] = useState(null); // {id, text, errors} of the macro edited as JSON
+	const editor = useEditorStore();
+	const recording = useEditorState((state) => state.recording);
+	const runner = useActionRunner({ onLoadingChange, onSuccess, onError });
+	const importInput = useRef(null);
+
+	/**
+	 * Replace the macro list and save it
+	 * @param {Function} updater - (macros) => next macros
+	 */
+	const updateMacros = (updater) => {
+		const next = updater(latestMacros.current);
+		latestMacros.current = next;
+		setMacros(next);
+		try {
+			saveMacros(next);
+		} catch (error) {
+			onError(`Could not save macros: ${error.message}`);
+		}
+	};
+
+	const updateMacro = (id, patch) =>
+		updateMacros((current) =>
+			current.map((macro) => (macro.id === id ? { ...macro, ...patch } : macro))
+		);
+
+	const handleStartRecording = () => {
+		setMacroName(`Macro ${macros.length + 1}`);
+		editor.startRecording();
+	};
+
+	const handleStopRecording = () => {
+		const recorded = editor.stopRecording();
+		const { steps, skipped } = finishRecording(recorded, editor.getState().document);
+		if (steps.length === 0) {
+			onError("Nothing to save: no recordable edits were made");
+			return;
+		}
+
+		updateMacros((current) => [...current, createMacro(macroName, steps)]);
+		onSuccess(
+			`Saved macro with ${steps.length} step${steps.length === 1 ? "" : "s"}${
+				skipped ? ` (${skipped} left out)` : ""
+			}`
+		);
+	};
+
+	const handleMoveStep = (macro, index, offset) => {
+		const target = index + offset;
+		if (target < 0 || target >= macro.steps.length) return;
+
+		const steps = [...macro.steps];
+		[steps[index], steps[target]] = [steps[target], steps[index]];
+		updateMacro(macro.id, { steps });
+	};
+
+	const handleRemoveStep = (macro, index) => {
+		if (macro.steps.length === 1) {
+			onError("A macro needs at least one step; delete the macro instead");
+			return;
+		}
+		updateMacro(macro.id, { steps: macro.steps.filter((_, i) => i !== index) });
+	};
+
+	const handleSaveJson = () => {
+		let steps;
+		try {
+			steps = JSON.parse(editing.text);
+		} catch (error) {
+			setEditing({ ...editing, errors: [`Not valid JSON: ${error.message}`] });
+			return;
+		}
+
+		const { commands, errors } = validateMacroSteps(steps);
+		if (!commands) {
+			setEditing({ ...editing, errors });
+			return;
+		}
+		updateMacro(editing.id, { steps: commands });
+		setEditing(null);
+	};
+
+	const handleRun = (macro) => {
+		if (!editor.getState().canvas) {
+			onError("No image loaded");
+			return;
+		}
+		runner.run(`Macro: ${macro.name}`, macro.steps, {
+			successMessage: `Ran "${macro.name}"`,
+		});
+	};
+
+	const handleExport = (list, fileName) => {
+		downloadBlob(new Blob([serializeMacros(list)], { type: "application/json" }), fileName);
+	};
+
+	const handleImport = async (e) => {
+		const file = e.target.files[0];
+		e.target.value = "";
+		if (!file) return;
+
+		const { macros: imported, errors } = parseMacros(await file.text());
+		if (imported.length > 0) {
+			updateMacros((current) => [...current, ...imported]);
+			onSuccess(`Imported ${imported.length} macro${imported.length === 1 ? "" : "s"}`);
+		}
+		if (errors.length > 0) {
+			onError(`Some macros could not be imported: ${errors.join(" | ")}`);
+		}
+	};
+
+	const isBusy = runner.isRunning || Boolean(recording);
+
+	return (
+		<div className="control-group">
+			<h3>⏺️ Macros</h3>
+
+			{recording ? (
+				<div className="macro-recording">
+					<p>🔴 Recording — {recording.length} step{recording.length === 1 ? "" : "s"}</p>
+					{recording.length > 0 && (
+						<ol>
+							{recording.map((step, index) => (
+								<li key={index}>{describeRecordedStep(step)}</li>
+							))}
+						</ol>
+					)}
+					<div className="form-group">
+						<label className="form-label">Name:</label>
+						<input
+							type="text"
+							className="form-control"
+							value={macroName}
+							onChange={(e) => setMacroName(e.target.value)}
+						/>
+					</div>
+					<div className="command-preview-actions">
+						<button className="btn btn-success" onClick={handleStopRecording}>
+							⏹️ Stop &amp; Save
+						</button>
+						<button className="btn btn-secondary" onClick={() => editor.stopRecording()}>
+							Discard
+						</button>
+					</div>
+				</div>
+			) : (
+				<button
+					className="btn btn-primary"
+					onClick={handleStartRecording}
+					disabled={runner.isRunning || !imageData}
+				>
+					⏺️ Record Macro
+				</button>
+			)}
+
+			{macros.length === 0 ? (
+				<p className="filter-empty">No saved macros yet.</p>
+			) : (
+				<ol className="filter-stack macro-list">
+					{macros.map((macro) => (
+						<li key={macro.id} className="filter-item">
+							<div className="filter-item-header">
+								<input
+									type="text"
+									className="form-control macro-name"
+									value={macro.name}
+									onChange={(e) => updateMacro(macro.id, { name: e.target.value })}
+									aria-label="Macro name"
+								/>
+								<div className="filter-item-actions">
+									<button
+										className="icon-btn"
+										onClick={() => handleRun(macro)}
+										disabled={isBusy || !imageData}
+										title="Run on this image"
+									>
+										▶️
+									</button>
+									<button
+										className="icon-btn"
+										onClick={() =>
+											setEditing({
+												id: macro.id,
+												text: JSON.stringify(macro.steps, null, 2),
+												errors: [],
+											})
+										}
+										title="Edit steps as JSON"
+									>
+										✏️
+									</button>
+									<button
+										className="icon-btn"
+										onClick={() => handleExport([macro], `${macro.name}.macro.json`)}
+										title="Export"
+									>
+										💾
+									</button>
+									<button
+										className="icon-btn"
+										onClick={() =>
+											updateMacros((current) => current.filter((item) => item.id !== macro.id))
+										}
+										disabled={isBusy}
+										title="Delete macro"
+									>
+										🗑️
+									</button>
+								</div>
+							</div>
+
+							{editing?.id === macro.id ? (
+								<div className="macro-json">
+									<textarea
+										className="form-control"
+										rows={Math.min(16, editing.text.split("\n").length + 1)}
+										value={editing.text}
+										onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+										spellCheck={false}
+									/>
+									{editing.errors.length > 0 && (
+										<ul className="macro-errors">
+											{editing.errors.map((error) => (
+												<li key={error}>{error}</li>
+											))}
+										</ul>
+									)}
+									<div className="command-preview-actions">
+										<button className="btn btn-success" onClick={handleSaveJson}>
+											Save
+										</button>
+										<button className="btn btn-secondary" onClick={() => setEditing(null)}>
+											Cancel
+										</button>
+									</div>
+								</div>
+							) : (
+								<ol className="macro-steps">
+									{macro.steps.map((step, index) => (
+										<li key={index}>
+											<span>{describeCommand(step)}</span>
+											<span className="filter-item-actions">
+												<button
+													className="icon-btn"
+													onClick={() => handleMoveStep(macro, index, -1)}
+													disabled={isBusy || index === 0}
+													title="Move up"
+												>
+													⬆️
+												</button>
+												<button
+													className="icon-btn"
+													onClick={() => handleMoveStep(macro, index, 1)}
+													disabled={isBusy || index === macro.steps.length - 1}
+													title="Move down"
+												>
+													⬇️
+												</button>
+												<button
+													className="icon-btn"
+													onClick={() => handleRemoveStep(macro, index)}
+													disabled={isBusy}
+													title="Remove step"
+												>
+													✖️
+												</button>
+											</span>
+										</li>
+									))}
+								</ol>
+							)}
+						</li>
+					))}
+				</ol>
+			)}
+
+			<div className="command-preview-actions macro-file-actions">
+				<button className="btn btn-secondary" onClick={() => importInput.current.click()}>
+					📂 Import
+				</button>
+				<button
+					className="btn btn-secondary"
+					onClick={() => handleExport(macros, "macros.json")}
+					disabled={macros.length === 0}
+				>
+					💾 Export All
+				</button>
+				<input
+					ref={importInput}
+					type="file"
+					accept="application/json,.json"
+					onChange={handleImport}
+					hidden
+				/>
+			</div>
+
+			<small className="filter-hint">
+				Records text commands, background removal, added filters (with their final
+				settings), rotate, flip and resize. Manual crops, canvas size changes and edits to
+				existing shapes are not recorded.
+			</small>
+		</div>
+	);
+};
+
+export default MacroControls;
@@ -0,0 +1,102 @@
+import React, { useEffect } from "react";
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+import { BRUSH_MODES, getDefaultBrush } from "../services/maskRefinement";
+
+const MaskRefineControls = () => {
+	const editor = useEditorStore();
+	const tool = useEditorState((state) => state.tool);
+	const hasCutOut = useEditorState((state) =>
+		state.document.stages.some((stage) => stage.type === "backgroundRemoval")
+	);
+	const brush = tool?.type === "refineMask" ? tool : null;
+
+	// Leave refine mode when the cut-out goes away (undo, new image)
+	useEffect(() => {
+		if (!hasCutOut && editor.getState().tool?.type === "refineMask") {
+			editor.setTool(null);
+		}
+	}, [editor, hasCutOut]);
+
+	// Don't keep painting after the panel is gone
+	useEffect(
+		() => () => {
+			if (editor.getState().tool?.type === "refineMask") {
+				editor.setTool(null);
+			}
+		},
+		[editor]
+	);
+
+	if (!hasCutOut) return null;
+
+	const setBrush = (patch) => editor.setTool({ ...brush, ...patch });
+
+	const toggleRefine = () =>
+		editor.setTool(brush ? null : { type: "refineMask", ...getDefaultBrush() });
+
+	return (
+		<div className="mask-refine">
+			<h4>🖌️ Refine Mask</h4>
+
+			<button
+				className={`btn ${brush ? "btn-primary" : "btn-secondary"}`}
+				onClick={toggleRefine}
+			>
+				{brush ? "✅ Done Refining" : "🖌️ Refine Edges"}
+			</button>
+
+			{brush && (
+				<>
+					<div className="radio-group">
+						{Object.entries(BRUSH_MODES).map(([mode, label]) => (
+							<label key={mode} className="radio-option">
+								<input
+									type="radio"
+									name="brush-mode"
+									value={mode}
+									checked={brush.mode === mode}
+									onChange={() => setBrush({ mode })}
+								/>
+								{label}
+							</label>
+						))}
+					</div>
+
+					<div className="range-group">
+						<label className="form-label">Size:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="2"
+							max="200"
+							value={brush.size}
+							onChange={(e) => setBrush({ size: parseInt(e.target.value) })}
+						/>
+						<span className="range-value">{brush.size}px</span>
+					</div>
+
+					<div className="range-group">
+						<label className="form-label">Hardness:</label>
+						<input
+							type="range"
+							className="range-slider"
+							min="0"
+							max="1"
+							step="0.05"
+							value={brush.hardness}
+							onChange={(e) => setBrush({ hardness: parseFloat(e.target.value) })}
+						/>
+						<span className="range-value">{Math.round(brush.hardness * 100)}%</span>
+					</div>
+
+					<small className="filter-hint">
+						Paint on the image: restore brings back cut-away parts, erase removes leftover
+						background. Each stroke can be undone.
+					</small>
+				</>
+			)}
+		</div>
+	);
+};
+
+export default MaskRefineControls;
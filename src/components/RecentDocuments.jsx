@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import { listRecentDocuments, deleteSession } from "../services/sessionPersistence";
+
+/**
+ * Object URL for a thumbnail blob, revoked when it changes or unmounts
+ * @param {Blob} blob
+ * @returns {string|null}
+ */
+const useBlobUrl = (blob) => {
+	const [url, setUrl] = useState(null);
+
+	useEffect(() => {
+		if (!blob) return;
+		const next = URL.createObjectURL(blob);
+		setUrl(next);
+		return () => URL.revokeObjectURL(next);
+	}, [blob]);
+
+	return url;
+};
+
+const Thumbnail = ({ blob, alt }) => {
+	const url = useBlobUrl(blob);
+	return url ? <img className="recent-thumbnail" src={url} alt={alt} /> : <div className="recent-thumbnail" />;
+};
+
+const RecentDocuments = ({ onRestore, onError }) => {
+	const [documents, setDocuments] = useState([]);
+
+	useEffect(() => {
+		let active = true;
+		listRecentDocuments()
+			.then((list) => {
+				if (active) setDocuments(list);
+			})
+			.catch((error) => console.warn("Recent documents unavailable:", error));
+		return () => {
+			active = false;
+		};
+	}, []);
+
+	const handleDelete = async (id) => {
+		try {
+			await deleteSession(id);
+			setDocuments((current) => current.filter((item) => item.id !== id));
+		} catch (error) {
+			onError(`Failed to delete document: ${error.message}`);
+		}
+	};
+
+	if (documents.length === 0) return null;
+
+	const [latest] = documents;
+
+	return (
+		<div className="recent-documents">
+			<div className="restore-banner">
+				<Thumbnail blob={latest.thumbnail} alt={latest.fileName} />
+				<div>
+					<h4>Pick up where you left off?</h4>
+					<small>
+						{latest.fileName} · edited {new Date(latest.updatedAt).toLocaleString()}
+					</small>
+				</div>
+				<button className="btn btn-primary" onClick={() => onRestore(latest.id)}>
+					↩️ Restore Previous Session
+				</button>
+				<button
+					className="icon-btn"
+					onClick={() => handleDelete(latest.id)}
+					title="Forget this document"
+				>
+					🗑️
+				</button>
+			</div>
+
+			{documents.length > 1 && (
+				<>
+					<h4>Recent Documents</h4>
+					<ul className="recent-list">
+						{documents.slice(1).map((item) => (
+							<li key={item.id} className="recent-item">
+								<button
+									className="recent-open"
+									onClick={() => onRestore(item.id)}
+									title={`Open ${item.fileName}`}
+								>
+									<Thumbnail blob={item.thumbnail} alt={item.fileName} />
+									<span className="recent-name">{item.fileName}</span>
+									<small>{new Date(item.updatedAt).toLocaleDateString()}</small>
+								</button>
+								<button
+									className="icon-btn"
+									onClick={() => handleDelete(item.id)}
+									title="Forget this document"
+								>
+									🗑️
+								</button>
+							</li>
+						))}
+					</ul>
+				</>
+			)}
+		</div>
+	);
+};
+
+export default RecentDocuments;
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from "react";
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+import { TRANSFORMS, getCenteredCrop } from "../services/opencvTransforms";
+import { transformToStep } from "../services/macros";
+import { usePanelSettings } from "../hooks/usePanelSettings";
+
+// [label, width / height]; null is a free selection
+const ASPECT_PRESETS = [
+	["Free", null],
+	["1:1", 1],
+	["4:3", 4 / 3],
+	["3:2", 3 / 2],
+	["16:9", 16 / 9],
+	["9:16", 9 / 16],
+];
+
+const RESAMPLING_OPTIONS = TRANSFORMS.resize.params.find(
+	(param) => param.name === "interpolation"
+).options;
+
+const DEFAULT_SETTINGS = { angle: 15, resizeMode: "resize", lockAspect: true, interpolation: "area" };
+
+const TransformControls = ({ imageData, onLoadingChange, onError }) => {
+	const editor = useEditorStore();
+	const tool = useEditorState((state) => state.tool);
+	// Re-read the canvas size whenever the document changes
+	const currentDocument = useEditorState((state) => state.document);
+	const [size, setSize] = useState({ width: imageData.width, height: imageData.height });
+	const [settings, updateSettings] = usePanelSettings("transform", DEFAULT_SETTINGS);
+	const { angle, resizeMode, lockAspect, interpolation } = settings;
+	const crop = tool?.type === "crop" ? tool : null;
+
+	const getCanvasSize = () => {
+		const { canvas } = editor.getState();
+		return canvas ? { width: canvas.width, height: canvas.height } : size;
+	};
+
+	useEffect(() => {
+		setSize(getCanvasSize());
+	}, [currentDocument]);
+
+	const transform = async (label, operation, params) => {
+		onLoadingChange(true, `${label}...`);
+		try {
+			const applied = await editor.applyOperation(label, { type: "transform", operation, params });
+			const step = transformToStep(operation, params);
+			if (applied && step) editor.recordSteps([step]);
+		} catch (error) {
+			console.error("Transform failed:", error);
+			onError(`${label} failed: ${error.message}`);
+		} finally {
+			onLoadingChange(false);
+		}
+	};
+
+	const startCrop = () => editor.setTool({ type: "crop", aspect: null, selection: null });
+
+	const handleAspectChange = (aspect) => {
+		const { width, height } = getCanvasSize();
+		editor.setTool({
+			...crop,
+			aspect,
+			// Presets start from the largest centred selection
+			selection: aspect ? getCenteredCrop(width, height, aspect) : crop.selection,
+		});
+	};
+
+	const applyCrop = async () => {
+		const { selection } = crop;
+		editor.setTool(null);
+		await transform("Crop", "crop", selection);
+	};
+
+	const handleSizeChange = (dimension, value) => {
+		const number = Math.max(1, parseInt(value) || 1);
+		const current = getCanvasSize();
+		const other = dimension === "width" ? "height" : "width";
+
+		setSize((previous) => ({
+			...previous,
+			[dimension]: number,
+			...(lockAspect && {
+				[other]: Math.max(1, Math.round((number * current[other]) / current[dimension])),
+			}),
+		}));
+	};
+
+	const applyResize = () => {
+		if (resizeMode === "resize") {
+			transform(`Resize to ${size.width}×${size.height}`, "resize", { ...size, interpolation });
+		} else {
+			transform(`Canvas ${size.width}×${size.height}`, "canvasSize", size);
+		}
+	};
+
+	return (
+		<div className="control-group">
+			<h3>📐 Transform</h3>
+
+			<div className="transform-section">
+				<h4>Rotate & Flip</h4>
+				<div className="transform-buttons">
+					<button
+						className="btn btn-secondary"
+						onClick={() => transform("Rotate left", "rotate", { angle: -90 })}
+					>
+						⟲ 90°
+					</button>
+					<button
+						className="btn btn-secondary"
+						onClick={() => transform("Rotate right", "rotate", { angle: 90 })}
+					>
+						⟳ 90°
+					</button>
+					<button
+						className="btn btn-secondary"
+						onClick={() => transform("Flip horizontal", "flip", { horizontal: true, vertical: false })}
+					>
+						↔ Flip
+					</button>
+					<button
+						className="btn btn-secondary"
+						onClick={() => transform("Flip vertical", "flip", { horizontal: false, vertical: true })}
+					>
+						↕ Flip
+					</button>
+				</div>
+
+				<div className="range-group">
+					<label className="form-label">Angle:</label>
+					<input
+						type="range"
+						className="range-slider"
+						min="-180"
+						max="180"
+						value={angle}
+						onChange={(e) => updateSettings({ angle: parseInt(e.target.value) })}
+					/>
+					<span className="range-value">{angle}°</span>
+					<button
+						className="btn btn-secondary"
+						onClick={() =>
+							transform(`Rotate ${angle}°`, "rotate", { angle, interpolation: "cubic" })
+						}
+						disabled={angle === 0}
+					>
+						Rotate
+					</button>
+				</div>
+			</div>
+
+			<div className="transform-section">
+				<h4>Crop</h4>
+				{!crop ? (
+					<button className="btn btn-secondary" onClick={startCrop}>
+						✂️ Crop
+					</button>
+				) : (
+					<>
+						<div className="radio-group">
+							{ASPECT_PRESETS.map(([label, aspect]) => (
+								<label key={label} className="radio-option">
+									<input
+										type="radio"
+										name="crop-aspect"
+										checked={crop.aspect === aspect}
+										onChange={() => handleAspectChange(aspect)}
+									/>
+									{label}
+								</label>
+							))}
+						</div>
+						<small className="filter-hint">Drag on the image to select the area to keep.</small>
+						<div className="transform-buttons">
+							<button className="btn btn-primary" onClick={applyCrop} disabled={!crop.selection}>
+								✅ Apply Crop
+							</button>
+							<button className="btn btn-secondary" onClick={() => editor.setTool(null)}>
+								Cancel
+							</button>
+						</div>
+					</>
+				)}
+			</div>
+
+			<div className="transform-section">
+				<h4>Resize</h4>
+				<div className="radio-group">
+					<label className="radio-option">
+						<input
+							type="radio"
+							name="resize-mode"
+							checked={resizeMode === "resize"}
+							onChange={() => updateSettings({ resizeMode: "resize" })}
+						/>
+						Image
+					</label>
+					<label className="radio-option">
+						<input
+							type="radio"
+							name="resize-mode"
+							checked={resizeMode === "canvasSize"}
+							onChange={() => updateSettings({ resizeMode: "canvasSize" })}
+						/>
+						Canvas
+					</label>
+				</div>
+
+				<div className="transform-size">
+					<input
+						type="number"
+						className="form-control"
+						min="1"
+						value={size.width}
+						onChange={(e) => handleSizeChange("width", e.target.value)}
+					/>
+					<span>×</span>
+					<input
+						type="number"
+						className="form-control"
+						min="1"
+						value={size.height}
+						onChange={(e) => handleSizeChange("height", e.target.value)}
+					/>
+					<span>px</span>
+				</div>
+
+				<label className="radio-option">
+					<input
+						type="checkbox"
+						checked={lockAspect}
+						onChange={(e) => updateSettings({ lockAspect: e.target.checked })}
+					/>
+					Keep aspect ratio
+				</label>
+
+				{resizeMode === "resize" && (
+					<div className="form-group">
+						<label className="form-label">Resampling:</label>
+						<select
+							className="form-control"
+							value={interpolation}
+							onChange={(e) => updateSettings({ interpolation: e.target.value })}
+						>
+							{RESAMPLING_OPTIONS.map((option) => (
+								<option key={option.value} value={option.value}>
+									{option.label}
+								</option>
+							))}
+						</select>
+					</div>
+				)}
+
+				<button className="btn btn-primary" onClick={applyResize}>
+					Apply
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default TransformControls;
@@ -0,0 +1,55 @@
+import React, {
+	createContext,
+	useContext,
+	useEffect,
+	useState,
+	useSyncExternalStore,
+} from "react";
+import { createEditorStore } from "../store/editorStore";
+
+const EditorContext = createContext(null);
+
+/**
+ * Provide an editor store to the panels below it. Each provider owns its
+ * own store, so several editors can live on one page.
+ */
+export const EditorProvider = ({ store: providedStore, children }) => {
+	const [store] = useState(() => providedStore || createEditorStore());
+
+	// Log every state change when VITE_DEBUG_EDITOR is enabled
+	useEffect(() => {
+		if (import.meta.env.VITE_DEBUG_EDITOR !== "true") return;
+
+		return store.subscribe((state, event) => {
+			console.debug("[editor]", event.type, event, state);
+		});
+	}, [store]);
+
+	return (
+		<EditorContext.Provider value={store}>{children}</EditorContext.Provider>
+	);
+};
+
+/**
+ * Get the editor store of the nearest EditorProvider
+ * @returns {Object} - Store API
+ */
+export const useEditorStore = () => {
+	const store = useContext(EditorContext);
+	if (!store) {
+		throw new Error("useEditorStore must be used within an EditorProvider");
+	}
+	return store;
+};
+
+/**
+ * Subscribe to a slice of editor state
+ * @param {Function} [selector] - Picks the value to watch from the state
+ * @returns {*} - Selected value
+ */
+export const useEditorState = (selector = (state) => state) => {
+	const store = useEditorStore();
+	return useSyncExternalStore(store.subscribe, () =>
+		selector(store.getState())
+	);
+};
@@ -0,0 +1,56 @@
+import { useState } from "react";
+import { useEditorStore } from "../context/EditorContext";
+import { runCommands } from "../services/actionRegistry";
+
+/**
+ * Run registry actions with the same loading overlay, Cancel button and
+ * error reporting wherever they are triggered from
+ * @param {Object} callbacks - {onLoadingChange, onSuccess, onError}
+ * @returns {Object} - {run, isRunning}
+ */
+export const useActionRunner = ({ onLoadingChange, onSuccess, onError }) => {
+	const editor = useEditorStore();
+	const [isRunning, setIsRunning] = useState(false);
+
+	/**
+	 * @param {string} label - History step name, also the loading text
+	 * @param {Array} commands - Validated command objects
+	 * @param {Object} [options] - {successMessage}
+	 * @returns {Promise<boolean>} - Whether the commands were applied
+	 */
+	const run = async (label, commands, { successMessage } = {}) => {
+		const controller = new AbortController();
+		// Stops the AI request, or the render once the document is updated
+		const cancel = () => {
+			controller.abort();
+			editor.cancelRender();
+		};
+
+		setIsRunning(true);
+		onLoadingChange(true, `${label}...`, { onCancel: cancel });
+
+		try {
+			const applied = await runCommands(editor, label, commands, {
+				signal: controller.signal,
+				onProgress: ({ text, progress }) =>
+					onLoadingChange(true, text, { progress, onCancel: cancel }),
+			});
+			// A superseded change is not part of the result, so not of a macro
+			if (applied) editor.recordSteps(commands);
+			if (successMessage) onSuccess(successMessage);
+			return true;
+		} catch (error) {
+			// Cancelled work is discarded or reverted by the store; nothing to report
+			if (error.name !== "AbortError") {
+				console.error(`${label} failed:`, error);
+				onError(error.message);
+			}
+			return false;
+		} finally {
+			setIsRunning(false);
+			onLoadingChange(false);
+		}
+	};
+
+	return { run, isRunning };
+};
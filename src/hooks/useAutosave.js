@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from "react";
+import { useEditorStore } from "../context/EditorContext";
+import { saveSession, createThumbnail } from "../services/sessionPersistence";
+
+// Committed steps close together are saved once
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * Whether an editor change is saved. Images need a sessionId to be saved,
+ * and are only saved once they have been edited, so opening images does not
+ * push edited documents out of the recent list.
+ * @param {Object} state - Editor state
+ * @param {Object} event - Editor event
+ * @returns {boolean}
+ */
+export const shouldAutosave = (state, event) =>
+	// History events follow every committed change, undo, redo and new image
+	(event.type === "history" || event.type === "updateSettings") &&
+	Boolean(state.image?.sessionId && state.canvas) &&
+	// Opening an image resets the history; nothing to save until a step is committed
+	state.history.size > 0;
+
+/**
+ * Save the session of the editor's image whenever a step is committed,
+ * undone or redone, or a panel setting changes; see shouldAutosave
+ * @param {Object} callbacks - {onError}
+ * @returns {string} - "saved", "pending" (waiting to save), "saving" or "error"
+ */
+export const useAutosave = ({ onError }) => {
+	const editor = useEditorStore();
+	const [status, setStatus] = useState("saved");
+	const reportError = useRef(onError);
+	reportError.current = onError;
+
+	useEffect(() => {
+		let timer = null;
+		let saving = Promise.resolve();
+		let failed = false;
+		let latest = null; // State of the last change; the canvas may be detached by the time it saves
+
+		const save = () => {
+			timer = null;
+			saving = saving.then(async () => {
+				const { image, canvas } = latest;
+
+				setStatus("saving");
+				try {
+					const { document, history, settings } = await editor.exportSession();
+					await saveSession({
+						id: image.sessionId,
+						fileName: image.fileName,
+						source: image.source,
+						width: image.width,
+						height: image.height,
+						thumbnail: await createThumbnail(canvas),
+						document,
+						history,
+						settings,
+					});
+					failed = false;
+					setStatus(timer ? "pending" : "saved");
+				} catch (error) {
+					console.error("Autosave failed:", error);
+					// Once per run of failures, not on every step
+					if (!failed) reportError.current(`Autosave failed: ${error.message}`);
+					failed = true;
+					setStatus("error");
+				}
+			});
+		};
+
+		const unsubscribe = editor.subscribe((state, event) => {
+			if (!shouldAutosave(state, event)) return;
+
+			latest = state;
+			clearTimeout(timer);
+			timer = setTimeout(save, AUTOSAVE_DELAY);
+			setStatus("pending");
+		});
+
+		return () => {
+			unsubscribe();
+			// Save right away what was waiting, e.g. when another image is opened
+			if (timer) {
+				clearTimeout(timer);
+				save();
+			}
+		};
+	}, [editor]);
+
+	return status;
+};
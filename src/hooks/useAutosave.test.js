@@ -0,0 +1,60 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { shouldAutosave } from "./useAutosave";
+import { createEditorStore } from "../store/editorStore";
+import { createCanvasHistory } from "../services/canvasHistory";
+import { createFakeCanvas, stubImageData } from "../test/fakeCanvas";
+
+const draw = { action: "draw", shape: "circle", color: "red", position: { x: 0.5, y: 0.5 }, size: 80 };
+
+/**
+ * Open an image in a store, recording which of its changes would be saved
+ * @param {Object} image - Image descriptor
+ * @returns {Promise<Object>} - {editor, saves: Array of booleans, one per change}
+ */
+const openImage = async (image) => {
+	const canvas = createFakeCanvas();
+	const editor = createEditorStore({ history: createCanvasHistory(), render: async () => {} });
+	const saves = [];
+	editor.subscribe((state, event) => {
+		if (event.type === "history" || event.type === "updateSettings") {
+			saves.push(shouldAutosave(state, event));
+		}
+	});
+
+	await editor.attachCanvas(canvas);
+	await editor.replaceImage({ width: canvas.width, height: canvas.height, ...image });
+	return { editor, saves };
+};
+
+describe("shouldAutosave", () => {
+	beforeAll(stubImageData);
+
+	it("saves an image once it has been edited", async () => {
+		const { editor, saves } = await openImage({ fileName: "photo.png", sessionId: "session-1" });
+
+		expect(saves).not.toContain(true);
+
+		await editor.applyOperation("Circle", { type: "command", commands: [draw] });
+		expect(saves.at(-1)).toBe(true);
+
+		await editor.undo();
+		expect(saves.at(-1)).toBe(true);
+	});
+
+	it("does not save images without a session", async () => {
+		const { editor, saves } = await openImage({ fileName: "photo.png" });
+
+		await editor.applyOperation("Circle", { type: "command", commands: [draw] });
+
+		expect(saves.length).toBeGreaterThan(0);
+		expect(saves).not.toContain(true);
+	});
+
+	it("only saves changes that follow a commit, undo, redo or setting", () => {
+		const state = { image: { sessionId: "session-1" }, canvas: {}, history: { size: 1 } };
+
+		expect(shouldAutosave(state, { type: "updateSettings" })).toBe(true);
+		expect(shouldAutosave(state, { type: "setTool" })).toBe(false);
+		expect(shouldAutosave({ ...state, history: { size: 0 } }, { type: "updateSettings" })).toBe(false);
+	});
+});
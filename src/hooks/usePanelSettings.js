@@ -0,0 +1,24 @@
+import { useEditorStore, useEditorState } from "../context/EditorContext";
+
+/**
+ * Settings of a panel kept in the editor store, so they are saved with the
+ * session and come back when it is restored
+ * @param {string} panel - Panel name
+ * @param {Object} defaults - Settings before the panel changes any; a
+ *   module-level constant
+ * @returns {Array} - [settings, update], where update takes a patch or
+ *   (settings) => patch
+ */
+export const usePanelSettings = (panel, defaults) => {
+	const editor = useEditorStore();
+	const saved = useEditorState((state) => state.settings[panel]);
+	const settings = { ...defaults, ...saved };
+
+	const update = (patch) =>
+		editor.updateSettings(panel, (current) => {
+			const merged = { ...defaults, ...current };
+			return { ...merged, ...(typeof patch === "function" ? patch(merged) : patch) };
+		});
+
+	return [settings, update];
+};
@@ -0,0 +1,662 @@
+/**
+ * Action Registry
+ * Every editor capability that can be triggered by a command: how the AI is
+ * told about it, how it is summarized, how it renders and where its result is
+ * kept in the document. Text commands, the filter panel and the background
+ * removal panel all go through here.
+ */
+
+import { ACTION_SCHEMAS, COLORS } from "./commandSchema";
+import { createId } from "./ids";
+import {
+	nameObject,
+	updateSceneObject,
+	modifyObject,
+	moveObject,
+} from "./sceneModel";
+import { drawShape, adjustImage } from "./canvasDrawing";
+import { FILTERS, normalizeFilterParams } from "./opencvFilters";
+import { getCenteredCrop } from "./opencvTransforms";
+import { applyFilter } from "./opencvWorker";
+import {
+	DEFAULT_BG_REMOVAL_PROVIDER,
+	getBgRemovalProvider,
+} from "./bgRemovalProviders";
+import { applyBackgroundRemovedImage } from "./huggingFaceBgRemoval";
+import { createAbortError } from "./requestPolicy";
+import {
+	BACKGROUND_TYPES,
+	getDefaultReplacement,
+	applyBackgroundReplacement,
+} from "./backgroundReplacement";
+
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+/**
+ * Describe provider progress for the loading overlay
+ * @param {Object} status - {phase, ...}: "download" | "compile" | "inference" with
+ *   {loaded, total}, "queue" with {position, size, eta, progress}, "space" or "retry"
+ *   with {message}
+ * @returns {Object} - {text, progress}
+ */
+const describeRemovalProgress = ({ phase, loaded, total, message, ...status }) => {
+	switch (phase) {
+		case "space":
+		case "retry":
+			return { text: message, progress: null };
+		case "queue": {
+			const eta = status.eta ? `, about ${Math.ceil(status.eta)}s` : "";
+			return status.position !== null
+				? {
+						text: `Waiting in queue — position ${status.position + 1}${status.size ? ` of ${status.size}` : ""}${eta}`,
+						progress: null,
+					}
+				: { text: `Removing background with AI${eta}...`, progress: status.progress };
+		}
+		case "download":
+			return total > 0
+				? {
+						text: `Downloading model — ${formatMegabytes(loaded)} / ${formatMegabytes(total)} MB`,
+						progress: Math.min(loaded / total, 1),
+					}
+				: { text: `Downloading model — ${formatMegabytes(loaded)} MB`, progress: null };
+		case "compile":
+			return { text: "Preparing model...", progress: null };
+		default:
+			return { text: "Removing background in your browser...", progress: null };
+	}
+};
+
+/**
+ * Parse an aspect ratio such as "16:9", "16/9" or 1.5
+ * @param {string|number} aspect
+ * @returns {number} - Width / height
+ */
+const parseAspect = (aspect) => {
+	if (typeof aspect === "number") return aspect;
+
+	const [width, height = 1] = String(aspect).split(/[:/x]/).map(Number);
+	if (!(width > 0 && height > 0)) {
+		throw new Error(`Invalid aspect ratio: ${aspect}`);
+	}
+	return width / height;
+};
+
+/**
+ * The transform a transform command runs on an image of the given size
+ * @param {Object} command - Transform command
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} - {type, params}, see TRANSFORMS
+ */
+export const getCommandTransform = (command, width, height) => {
+	const { operation } = command;
+
+	switch (operation) {
+		case "rotate":
+			return { type: "rotate", params: { angle: command.angle ?? 90 } };
+		case "flip":
+			return {
+				type: "flip",
+				params: {
+					horizontal: command.direction !== "vertical",
+					vertical: command.direction === "vertical",
+				},
+			};
+		case "crop":
+			return {
+				type: "crop",
+				params: getCenteredCrop(width, height, parseAspect(command.aspect ?? "1:1")),
+			};
+		case "resize": {
+			const scale =
+				command.scale ??
+				(command.width
+					? command.width / width
+					: command.height
+						? command.height / height
+						: 1);
+			return {
+				type: "resize",
+				params: {
+					width: Math.round(command.width ?? width * scale),
+					height: Math.round(command.height ?? height * scale),
+				},
+			};
+		}
+		default:
+			throw new Error(`Unknown transform: ${operation}`);
+	}
+};
+
+/**
+ * Rotate, flip, crop or resize the canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} command
+ * @param {Object} [options] - {signal}
+ * @returns {Promise<void>}
+ */
+const transformImage = (canvas, command, { signal } = {}) => {
+	const { type, params } = getCommandTransform(command, canvas.width, canvas.height);
+	return applyFilter(canvas, type, params, { signal });
+};
+
+/**
+ * Replacement settings for a replaceBackground command
+ * @param {Object} command
+ * @returns {Object} - See getDefaultReplacement
+ */
+const toReplacement = (command) => {
+	const defaults = getDefaultReplacement();
+	return {
+		...defaults,
+		background: {
+			...defaults.background,
+			type: command.background ?? "color",
+			color: command.color ?? defaults.background.color,
+			colors: [
+				command.color ?? defaults.background.colors[0],
+				command.secondColor ?? defaults.background.colors[1],
+			],
+			blurRadius: command.blurRadius ?? defaults.background.blurRadius,
+		},
+	};
+};
+
+/**
+ * Name a drawn object for previews
+ * @param {string} id
+ * @param {Array} [scene] - Scene objects, see getSceneObjects
+ * @returns {string}
+ */
+const describeTarget = (id, scene = []) => {
+	const object = scene.find((item) => item.id === id);
+	return object ? nameObject(object) : id;
+};
+
+const describeFilterParams = (type, params) =>
+	FILTERS[type].params
+		.map((param) => `${param.label.toLowerCase()} ${params[param.name]}`)
+		.join(", ");
+
+const FILTER_PROMPT = Object.entries(FILTERS).map(([type, filter]) => {
+	const params = filter.params.map((param) =>
+		param.type === "select"
+			? `${param.name}: ${param.options.map((option) => JSON.stringify(option.value)).join(" | ")}`
+			: param.type === "boolean"
+				? `${param.name}: true | false`
+				: `${param.name}: ${param.min}-${param.max}, default ${param.default}`
+	);
+	return `    "${type}" (${filter.label})${params.length > 0 ? ` params {${params.join("; ")}}` : ""}`;
+});
+
+/**
+ * Action registry. Each entry has:
+ *   label     Name shown in help and progress
+ *   schema    Fields, see commandSchema
+ *   prompt    {commands, fields, examples} for the AI system prompt
+ *   describe  (command, {scene}) => one-line summary
+ *   render    Optional (canvas, command, {image, signal}) => void | Promise;
+ *             draws the action, used for command stages and for previews
+ *   resolve   Optional (canvas, command, {onProgress}) => Promise<command>;
+ *             one-off work such as calling a removal service, done once
+ *             before the result is stored
+ *   toFilter  Optional (command) => filter stack entry, for actions kept
+ *             in the filter stack
+ *   toStage   Optional (command) => document stage, for actions with a
+ *             stage of their own
+ *   toDocument  Optional (document, command) => next document, for actions
+ *             that change what is already there
+ *   toStep    Optional (command) => command as stored in a command stage
+ * Actions without toFilter, toStage or toDocument are stored as steps of a
+ * command stage.
+ */
+export const ACTIONS = {
+	draw: {
+		label: "Draw",
+		schema: ACTION_SCHEMAS.draw,
+		prompt: {
+			commands:
+				'"draw red circle", "draw circle at top left", "draw dashed #ff8800 star", "draw a 300x100 outlined rectangle rotated 15 degrees", "write \'SALE\' in bold white at the top"',
+			fields: [
+				'"shape": "circle" | "ellipse" | "rectangle" | "square" | "line" | "arrow" | "triangle" | "polygon" | "star" | "text"',
+				`"color": a color name such as ${COLORS.map((color) => `"${color}"`).join(", ")}, or "#rrggbb", "rgb(...)", "hsl(...)" (main color)`,
+				'"fill": color or "none" (optional, defaults to color; "none" for outlines)',
+				'"stroke": color or "none" (optional, defaults to color; text has no stroke unless given)',
+				'"strokeWidth": number (optional, pixels, default 3)',
+				'"strokeStyle": "solid" | "dashed" | "dotted" (optional)',
+				'"opacity": number (optional, 0-1)',
+				'"rotation": number (optional, degrees clockwise)',
+				'"position": {"x": number, "y": number} (use 0.5, 0.5 for center, 0.2, 0.2 for top-left, etc.)',
+				'"size": number (default 80, range 20-150; font size for text)',
+				'"width": number, "height": number (optional, pixels, instead of size)',
+				'"sides": number (for polygon, default 6), "points": number (for star, default 5)',
+				'"text": string (for text), "font": "sans-serif" | "serif" | "monospace" | "cursive", "fontWeight": "normal" | "bold", "fontStyle": "normal" | "italic"',
+			],
+			examples: [
+				["draw red circle", { action: "draw", shape: "circle", color: "red", position: { x: 0.5, y: 0.5 }, size: 80 }],
+				["draw blue rectangle at top left", { action: "draw", shape: "rectangle", color: "blue", position: { x: 0.2, y: 0.2 }, size: 80 }],
+				["draw small green circle", { action: "draw", shape: "circle", color: "green", position: { x: 0.5, y: 0.5 }, size: 40 }],
+				["draw large yellow triangle at bottom right", { action: "draw", shape: "triangle", color: "yellow", position: { x: 0.8, y: 0.8 }, size: 120 }],
+				[
+					"draw a dashed #ff8800 outlined star rotated 20 degrees",
+					{ action: "draw", shape: "star", color: "#ff8800", fill: "none", strokeStyle: "dashed", rotation: 20, position: { x: 0.5, y: 0.5 }, size: 80 },
+				],
+				[
+					"write 'SALE' in bold white at the top",
+					{ action: "draw", shape: "text", text: "SALE", color: "white", fontWeight: "bold", position: { x: 0.5, y: 0.2 }, size: 80 },
+				],
+				[
+					"draw a half transparent blue ellipse 300 wide and 100 tall",
+					{ action: "draw", shape: "ellipse", color: "blue", opacity: 0.5, width: 300, height: 100, position: { x: 0.5, y: 0.5 } },
+				],
+			],
+		},
+		describe: (command) => {
+			const { x, y } = command.position || { x: 0.5, y: 0.5 };
+			const subject =
+				command.shape === "text"
+					? `Write "${command.text}" in ${command.fontWeight === "bold" ? "bold " : ""}${command.color || "red"}`
+					: `Draw ${command.fill === "none" ? "outlined " : ""}${command.color || "red"} ${command.shape}`;
+			const details = [
+				command.width || command.height
+					? `${command.width ?? "auto"}×${command.height ?? "auto"}`
+					: `size ${command.size ?? 50}`,
+				command.strokeStyle && command.strokeStyle !== "solid" && command.strokeStyle,
+				command.rotation && `rotated ${command.rotation}°`,
+				command.opacity !== undefined && command.opacity < 1 && `${Math.round(command.opacity * 100)}% opacity`,
+			].filter(Boolean);
+			return `${subject} at (${x}, ${y}), ${details.join(", ")}`;
+		},
+		render: (canvas, command) => drawShape(canvas.getContext("2d"), canvas, command),
+		// Drawn objects get an id so later commands can refer to them
+		toStep: (command) => ({ id: createId("shape"), ...command }),
+	},
+
+	modify: {
+		label: "Change a drawn object",
+		schema: ACTION_SCHEMAS.modify,
+		prompt: {
+			commands: '"make the circle bigger", "make the red square blue", "make the text bold"',
+			fields: [
+				'"target": id of an object from the scene',
+				'"scale": number (optional, size factor, e.g. 1.5 for bigger, 0.5 for smaller)',
+				"any draw field to change, e.g. color, fill, size, width, height, rotation, opacity, text",
+			],
+			examples: [
+				["make the circle bigger (scene has shape-a1-1: red circle)", { action: "modify", target: "shape-a1-1", scale: 1.5 }],
+				["make the red square blue", { action: "modify", target: "shape-a1-2", color: "blue" }],
+			],
+		},
+		describe: (command, { scene } = {}) => {
+			const { action, target, scale, ...changes } = command;
+			const details = [
+				scale && `${scale > 1 ? "bigger" : "smaller"} ×${scale}`,
+				...Object.entries(changes).map(([name, value]) =>
+					`${name} ${typeof value === "object" ? JSON.stringify(value) : value}`
+				),
+			].filter(Boolean);
+			return `Change ${describeTarget(target, scene)}: ${details.join(", ") || "no changes"}`;
+		},
+		toDocument: (document, command) =>
+			updateSceneObject(document, command.target, (object) => modifyObject(object, command)),
+	},
+
+	move: {
+		label: "Move a drawn object",
+		schema: ACTION_SCHEMAS.move,
+		prompt: {
+			commands: '"move the red square to the right", "move the text to the bottom"',
+			fields: [
+				'"target": id of an object from the scene',
+				'"position": {"x": number, "y": number} (new centre), or',
+				'"dx", "dy": number (offset as a fraction of the image, e.g. 0.2 to the right is dx 0.2)',
+			],
+			examples: [
+				["move the red square to the right", { action: "move", target: "shape-a1-2", dx: 0.2, dy: 0 }],
+				["move the text to the bottom", { action: "move", target: "shape-a1-3", position: { x: 0.5, y: 0.8 } }],
+			],
+		},
+		describe: (command, { scene } = {}) =>
+			command.position
+				? `Move ${describeTarget(command.target, scene)} to (${command.position.x}, ${command.position.y})`
+				: `Move ${describeTarget(command.target, scene)} by (${command.dx ?? 0}, ${command.dy ?? 0})`,
+		toDocument: (document, command) =>
+			updateSceneObject(document, command.target, (object) => moveObject(object, command)),
+	},
+
+	delete: {
+		label: "Delete a drawn object",
+		schema: ACTION_SCHEMAS.delete,
+		prompt: {
+			commands: '"delete the last triangle", "remove the blue circle"',
+			fields: ['"target": id of an object from the scene'],
+			examples: [["delete the last triangle", { action: "delete", target: "shape-a1-4" }]],
+		},
+		describe: (command, { scene } = {}) => `Delete ${describeTarget(command.target, scene)}`,
+		toDocument: (document, command) => updateSceneObject(document, command.target, () => null),
+	},
+
+	adjust: {
+		label: "Brightness & Contrast",
+		schema: ACTION_SCHEMAS.adjust,
+		prompt: {
+			commands: '"brighten image 20%", "darken image 15%", "increase contrast 30%", "decrease contrast 10%"',
+			fields: [
+				'"adjustment": "brightness" | "contrast"',
+				'"value": number (percentage change, positive for increase, negative for decrease)',
+			],
+			examples: [["brighten image 20%", { action: "adjust", adjustment: "brightness", value: 20 }]],
+		},
+		describe: (command) =>
+			`${command.value >= 0 ? "Increase" : "Decrease"} ${command.adjustment} by ${Math.abs(command.value)}%`,
+		render: (canvas, command) => adjustImage(canvas.getContext("2d"), canvas, command),
+	},
+
+	transform: {
+		label: "Transform",
+		schema: ACTION_SCHEMAS.transform,
+		prompt: {
+			commands: '"rotate 90 degrees", "flip horizontally", "crop to square", "resize to 50%"',
+			fields: [
+				'"operation": "rotate" | "flip" | "crop" | "resize"',
+				'"angle": number (degrees, positive is clockwise, for rotate)',
+				'"direction": "horizontal" | "vertical" (for flip)',
+				'"aspect": "1:1" | "4:3" | "3:2" | "16:9" | "9:16" | ... (for crop)',
+				'"scale": number (factor, e.g. 0.5 for half size, for resize)',
+				'"width": number, "height": number (pixels, for resize when given)',
+			],
+			examples: [
+				["rotate 90 degrees", { action: "transform", operation: "rotate", angle: 90 }],
+				["flip horizontally", { action: "transform", operation: "flip", direction: "horizontal" }],
+				["crop to square", { action: "transform", operation: "crop", aspect: "1:1" }],
+				["resize to 50%", { action: "transform", operation: "resize", scale: 0.5 }],
+			],
+		},
+		describe: (command) => {
+			switch (command.operation) {
+				case "rotate":
+					return `Rotate ${command.angle ?? 90}°`;
+				case "flip":
+					return `Flip ${command.direction === "vertical" ? "vertically" : "horizontally"}`;
+				case "crop":
+					return `Crop to ${command.aspect ?? "1:1"}`;
+				case "resize":
+					return command.scale
+						? `Resize to ${Math.round(command.scale * 100)}%`
+						: `Resize to ${command.width ?? "auto"}×${command.height ?? "auto"}`;
+				default:
+					return `Transform: ${command.operation}`;
+			}
+		},
+		render: transformImage,
+	},
+
+	filter: {
+		label: "Filter",
+		schema: ACTION_SCHEMAS.filter,
+		prompt: {
+			commands: '"blur the image a bit", "show the edges", "make it black and white", "sharpen"',
+			fields: [
+				'"filter": one of',
+				...FILTER_PROMPT,
+				'"params": object (optional) setting any of the filter\'s params; missing ones use the default',
+			],
+			examples: [
+				["blur the image a bit", { action: "filter", filter: "blur", params: { intensity: 3 } }],
+				["show the edges", { action: "filter", filter: "canny", params: {} }],
+				["make it black and white", { action: "filter", filter: "grayscale", params: {} }],
+			],
+		},
+		describe: (command) => {
+			const params = describeFilterParams(
+				command.filter,
+				normalizeFilterParams(command.filter, command.params)
+			);
+			return `Add filter: ${FILTERS[command.filter].label}${params ? ` (${params})` : ""}`;
+		},
+		render: (canvas, command, { signal } = {}) =>
+			applyFilter(canvas, command.filter, command.params, { signal }),
+		toFilter: (command) => ({
+			type: command.filter,
+			params: normalizeFilterParams(command.filter, command.params),
+			enabled: true,
+		}),
+	},
+
+	removeBackground: {
+		label: "Remove Background",
+		schema: ACTION_SCHEMAS.removeBackground,
+		prompt: {
+			commands: '"remove the background", "cut out the subject"',
+			fields: ['"provider": optional, leave it out to use the default service'],
+			examples: [["remove the background", { action: "removeBackground" }]],
+		},
+		describe: (command) =>
+			`Remove background with ${getBgRemovalProvider(command.provider ?? DEFAULT_BG_REMOVAL_PROVIDER).label}`,
+		resolve: async (canvas, command, { onProgress, signal } = {}) => {
+			const provider = getBgRemovalProvider(command.provider ?? DEFAULT_BG_REMOVAL_PROVIDER);
+			onProgress?.({
+				text: provider.capabilities.progress
+					? "Loading background removal model..."
+					: "Removing background with AI...",
+				progress: null,
+			});
+
+			const blob = await provider.remove(canvas, {
+				signal,
+				onProgress: (status) => onProgress?.(describeRemovalProgress(status)),
+			});
+			return { ...command, blob };
+		},
+		render: (canvas, command) => applyBackgroundRemovedImage(canvas, command.blob, []),
+		// A stage of its own, so the mask can be refined afterwards
+		toStage: (command) => ({ type: "backgroundRemoval", blob: command.blob, strokes: [] }),
+	},
+
+	replaceBackground: {
+		label: "Replace Background",
+		schema: ACTION_SCHEMAS.replaceBackground,
+		prompt: {
+			commands:
+				'"put it on a white background", "use a purple to pink gradient background", "blur the background" (after the background is removed)',
+			fields: [
+				'"background": "color" | "gradient" | "blur"',
+				'"color": color (solid color, or gradient start)',
+				'"secondColor": color (gradient end)',
+				'"blurRadius": number (1-50, for blur)',
+			],
+			examples: [
+				[
+					"remove the background and put it on white",
+					[{ action: "removeBackground" }, { action: "replaceBackground", background: "color", color: "white" }],
+				],
+			],
+		},
+		describe: (command) =>
+			command.background === "color"
+				? `Replace background with ${command.color}`
+				: command.background === "gradient"
+					? `Replace background with a ${command.color} to ${command.secondColor ?? "purple"} gradient`
+					: `Replace background with the ${BACKGROUND_TYPES.blur.toLowerCase()}`,
+		// Rendered in place only to resolve later steps, without the pre-cut-out
+		// image a stage gets from the document renderer
+		render: (canvas, command) => applyBackgroundReplacement(canvas, toReplacement(command)),
+		// A stage of its own, so the replacement panel can adjust it
+		toStage: (command) => ({ type: "backgroundReplacement", replacement: toReplacement(command) }),
+	},
+};
+
+/**
+ * Look up an action
+ * @param {string} name - Key in ACTIONS
+ * @returns {Object}
+ */
+export const getAction = (name) => {
+	const action = ACTIONS[name];
+	if (!action) {
+		throw new Error(`Unknown action: ${name}`);
+	}
+	return action;
+};
+
+/**
+ * Summarize a parsed command for previews and error messages
+ * @param {Object} command
+ * @param {Object} [context] - {scene} to name drawn objects
+ * @returns {string}
+ */
+export const describeCommand = (command, context) =>
+	ACTIONS[command.action]?.describe(command, context) ?? `Unknown action: ${command.action}`;
+
+/**
+ * Execute parsed command on canvas
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} command - Parsed command object
+ * @param {Object} [options] - {image, signal}
+ * @returns {Promise<void>|undefined} - Pending for actions that run in a worker
+ */
+export const executeCommand = (canvas, command, options) =>
+	getAction(command.action).render(canvas, command, options);
+
+/**
+ * Run a batch of commands in order. The caller renders onto a scratch
+ * canvas, so a failed step leaves the visible canvas untouched.
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array} commands - Parsed command objects
+ * @param {Object} [options] - {image, signal}
+ * @returns {Promise<void>}
+ */
+export const executeCommands = async (canvas, commands, options) => {
+	for (let index = 0; index < commands.length; index++) {
+		try {
+			await executeCommand(canvas, commands[index], options);
+		} catch (error) {
+			throw new Error(
+				commands.length > 1
+					? `Step ${index + 1} (${describeCommand(commands[index])}) failed: ${error.message}`
+					: error.message
+			);
+		}
+	}
+};
+
+/**
+ * Do the one-off work of actions that have it, each on the image as the
+ * earlier steps leave it
+ * @param {HTMLCanvasElement} canvas - Current canvas; left unchanged
+ * @param {Object} image - Image descriptor from ImageUploader
+ * @param {Array} commands
+ * @param {Object} [options] - {onProgress, signal}
+ * @returns {Promise<Array>} - Commands ready to store
+ */
+export const resolveCommands = async (canvas, image, commands, options) => {
+	const last = commands.findLastIndex((command) => getAction(command.action).resolve);
+	if (last < 0) return commands;
+
+	const scratch = document.createElement("canvas");
+	scratch.width = canvas.width;
+	scratch.height = canvas.height;
+	scratch.getContext("2d").drawImage(canvas, 0, 0);
+
+	const resolved = [];
+	for (let index = 0; index < commands.length; index++) {
+		const action = getAction(commands[index].action);
+		const command = action.resolve
+			? await action.resolve(scratch, commands[index], options)
+			: commands[index];
+		// Nothing after the last resolved step needs the scratch image
+		if (index < last && action.render) {
+			await action.render(scratch, command, { image, signal: options.signal });
+		}
+		resolved.push(command);
+	}
+	return resolved;
+};
+
+/**
+ * Apply commands to a document: filters join the filter stack, actions with
+ * their own stage get one, changes to drawn objects edit the stage that drew
+ * them, and consecutive drawing steps share a command stage. A filter that
+ * follows a stage added by the same commands is kept as a command step
+ * instead, so it applies to what came before it ("draw a circle then blur").
+ * @param {Object} document
+ * @param {Array} commands - Resolved command objects
+ * @returns {Object} - Next document
+ */
+export const applyCommands = (document, commands) => {
+	let next = document;
+	let steps = null; // Commands of the trailing command stage, while it is open
+	let staged = false; // Whether these commands added or changed a stage yet
+
+	const addStage = (stage) => {
+		next = { ...next, stages: [...next.stages, { id: createId("stage"), ...stage }] };
+	};
+
+	commands.forEach((command) => {
+		const action = getAction(command.action);
+		if (action.toFilter && !staged) {
+			next = {
+				...next,
+				filters: [...next.filters, { id: createId("filter"), ...action.toFilter(command) }],
+			};
+		} else if (action.toDocument) {
+			next = action.toDocument(next, command);
+			steps = null;
+			staged = true;
+		} else if (action.toStage) {
+			addStage(action.toStage(command));
+			steps = null;
+			staged = true;
+		} else {
+			staged = true;
+			const step = action.toStep ? action.toStep(command) : command;
+			if (steps) {
+				// Replace the open stage rather than mutating it
+				steps = [...steps, step];
+				next = {
+					...next,
+					stages: next.stages.map((stage, index) =>
+						index === next.stages.length - 1 ? { ...stage, commands: steps } : stage
+					),
+				};
+			} else {
+				steps = [step];
+				addStage({ type: "command", commands: steps });
+			}
+		}
+	});
+
+	return next;
+};
+
+/**
+ * Run commands as one undoable step. Nothing is stored if any step fails.
+ * @param {Object} editor - Editor store
+ * @param {string} label - History step name
+ * @param {Array} commands - Validated command objects
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with {text, progress}
+ * @param {AbortSignal} [options.signal] - Cancels the one-off work; the render is
+ *   cancelled through the store
+ * @returns {Promise<boolean>}
+ */
+export const runCommands = async (editor, label, commands, { onProgress, signal } = {}) => {
+	const { canvas, image } = editor.getState();
+	if (!canvas) {
+		throw new Error("No image loaded");
+	}
+
+	const resolved = await resolveCommands(canvas, image, commands, { onProgress, signal });
+	if (signal?.aborted) {
+		throw createAbortError();
+	}
+
+	return editor.updateDocument(label, (document) => applyCommands(document, resolved), {
+		onProgress: (update) =>
+			onProgress?.({
+				text: update.label ? `Applying ${update.label}...` : "Applying filters...",
+				progress: update.progress,
+			}),
+	});
+};
@@ -0,0 +1,123 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { applyCommands, runCommands } from "./actionRegistry";
+import { createCanvasHistory } from "./canvasHistory";
+import { createDocument } from "./documentRenderer";
+import { createEditorStore } from "../store/editorStore";
+import { createFakeCanvas, stubImageData } from "../test/fakeCanvas";
+
+const draw = (color) => ({ action: "draw", shape: "circle", color, position: { x: 0.5, y: 0.5 }, size: 80 });
+const filter = (type) => ({ action: "filter", filter: type, params: {} });
+
+/**
+ * Stand-in renderer: the source image is blank and each command step sets
+ * one pixel, so a failing step leaves the earlier ones half drawn
+ */
+const renderSteps = async (canvas, image, document) => {
+	canvas.pixels.fill(0);
+	document.stages
+		.flatMap((stage) => stage.commands ?? [])
+		.forEach((step, index) => {
+			if (step.shape === "broken") {
+				throw new Error("Step failed");
+			}
+			canvas.pixels[index * 4] = 255;
+		});
+};
+
+const createLoadedStore = async () => {
+	const canvas = createFakeCanvas();
+	const editor = createEditorStore({ history: createCanvasHistory(), render: renderSteps });
+	await editor.attachCanvas(canvas);
+	await editor.replaceImage({ fileName: "test.png", width: canvas.width, height: canvas.height });
+	return { editor, canvas };
+};
+
+const countPainted = (canvas) => canvas.pixels.filter((value) => value === 255).length;
+
+// Stage types with the actions of command stages, e.g. ["command: draw, filter"]
+const describeStages = (document) =>
+	document.stages.map((stage) =>
+		stage.type === "command"
+			? `command: ${stage.commands.map((command) => command.action).join(", ")}`
+			: stage.type
+	);
+
+describe("runCommands", () => {
+	beforeAll(stubImageData);
+
+	it("records a multi-step command as one history entry", async () => {
+		const { editor, canvas } = await createLoadedStore();
+
+		await runCommands(editor, "Shapes and blur", [filter("grayscale"), draw("red"), draw("blue")]);
+
+		expect(countPainted(canvas)).toBe(2);
+		expect(editor.getState().document.filters.map((item) => item.type)).toEqual(["grayscale"]);
+		expect(editor.getState().history).toMatchObject({ size: 1, undoLabel: "Shapes and blur" });
+	});
+
+	it("rolls back every step when one of them fails", async () => {
+		const { editor, canvas } = await createLoadedStore();
+		await runCommands(editor, "One shape", [draw("red")]);
+		const committed = editor.getState().document;
+
+		await expect(
+			runCommands(editor, "Batch", [draw("green"), { ...draw("blue"), shape: "broken" }, draw("black")])
+		).rejects.toThrow("Step failed");
+
+		expect(countPainted(canvas)).toBe(1);
+		expect(editor.getState().document).toBe(committed);
+		expect(editor.getState().history).toMatchObject({ size: 1, undoLabel: "One shape" });
+
+		await editor.undo();
+		expect(countPainted(canvas)).toBe(0);
+	});
+});
+
+describe("applyCommands", () => {
+	it("adds leading filters to the filter stack", () => {
+		const document = applyCommands(createDocument(), [filter("grayscale"), draw("red")]);
+
+		expect(document.filters.map((item) => item.type)).toEqual(["grayscale"]);
+		expect(describeStages(document)).toEqual(["command: draw"]);
+	});
+
+	it("keeps a filter after a drawing in command order", () => {
+		const document = applyCommands(createDocument(), [draw("red"), filter("blur")]);
+
+		expect(document.filters).toEqual([]);
+		expect(describeStages(document)).toEqual(["command: draw, filter"]);
+		expect(document.stages[0].commands[1]).toMatchObject({ filter: "blur" });
+	});
+
+	it("keeps a filter after a stage of its own in command order", () => {
+		const document = applyCommands(createDocument(), [
+			filter("grayscale"),
+			{ action: "replaceBackground", background: "color", color: "blue" },
+			filter("blur"),
+			draw("red"),
+		]);
+
+		expect(document.filters.map((item) => item.type)).toEqual(["grayscale"]);
+		expect(describeStages(document)).toEqual(["backgroundReplacement", "command: filter, draw"]);
+	});
+
+	it("keeps consecutive drawing steps in one command stage", () => {
+		const document = applyCommands(createDocument(), [
+			draw("red"),
+			{ action: "adjust", adjustment: "brightness", value: 20 },
+			draw("blue"),
+		]);
+
+		expect(describeStages(document)).toEqual(["command: draw, adjust, draw"]);
+	});
+
+	it("does not change the document it is given", () => {
+		const original = applyCommands(createDocument(), [draw("red")]);
+		const stages = original.stages;
+
+		applyCommands(original, [draw("blue"), filter("blur")]);
+
+		expect(original.stages).toBe(stages);
+		expect(describeStages(original)).toEqual(["command: draw"]);
+	});
+});
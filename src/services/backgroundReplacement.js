@@ -0,0 +1,155 @@
+/**
+ * Background Replacement Service
+ * Composites the cut-out subject left by background removal onto a new
+ * background, with optional edge feathering and drop shadow. Pixel settings
+ * are in view pixels and scaled to the image.
+ */
+
+import { getViewScale } from "./imageScale";
+
+export const BACKGROUND_TYPES = {
+	color: "Solid color",
+	gradient: "Gradient",
+	blur: "Blurred original",
+	image: "Image",
+};
+
+/**
+ * Default replacement settings
+ * @returns {Object} - {background, feather, shadow}
+ */
+export const getDefaultReplacement = () => ({
+	background: {
+		type: "color",
+		color: "#ffffff",
+		colors: ["#667eea", "#764ba2"],
+		angle: 135,
+		blurRadius: 12,
+		imageBlob: null,
+	},
+	feather: 0,
+	shadow: { enabled: false, blur: 20, offsetX: 0, offsetY: 10, opacity: 0.4 },
+});
+
+const createLayer = (width, height) => {
+	const layer = document.createElement("canvas");
+	layer.width = width;
+	layer.height = height;
+	return layer;
+};
+
+/**
+ * Draw a source so it covers the whole canvas, cropping the overflow
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} source
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ */
+const drawCover = (ctx, source, sourceWidth, sourceHeight) => {
+	const { width, height } = ctx.canvas;
+	const scale = Math.max(width / sourceWidth, height / sourceHeight);
+	const drawWidth = sourceWidth * scale;
+	const drawHeight = sourceHeight * scale;
+	ctx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+/**
+ * Paint the new background
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} background - See getDefaultReplacement
+ * @param {HTMLCanvasElement} backdrop - Image to blur for blurred backgrounds
+ */
+const drawBackground = async (ctx, background, backdrop) => {
+	const { width, height } = ctx.canvas;
+	const viewScale = getViewScale(width, height);
+
+	switch (background.type) {
+		case "color":
+			ctx.fillStyle = background.color;
+			ctx.fillRect(0, 0, width, height);
+			break;
+		case "gradient": {
+			// Gradient line through the centre, long enough to span the canvas
+			const radians = (background.angle * Math.PI) / 180;
+			const dx = Math.sin(radians);
+			const dy = -Math.cos(radians);
+			const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+			const gradient = ctx.createLinearGradient(
+				width / 2 - dx * half,
+				height / 2 - dy * half,
+				width / 2 + dx * half,
+				height / 2 + dy * half
+			);
+			gradient.addColorStop(0, background.colors[0]);
+			gradient.addColorStop(1, background.colors[1]);
+			ctx.fillStyle = gradient;
+			ctx.fillRect(0, 0, width, height);
+			break;
+		}
+		case "blur": {
+			// Scale up slightly so the blur does not fade in from the edges
+			const radius = background.blurRadius * viewScale;
+			const margin = radius * 2;
+			ctx.filter = `blur(${radius}px)`;
+			ctx.drawImage(backdrop, -margin, -margin, width + margin * 2, height + margin * 2);
+			ctx.filter = "none";
+			break;
+		}
+		case "image": {
+			if (!background.imageBlob) {
+				throw new Error("No background image selected");
+			}
+			const bitmap = await createImageBitmap(background.imageBlob);
+			drawCover(ctx, bitmap, bitmap.width, bitmap.height);
+			bitmap.close();
+			break;
+		}
+		default:
+			throw new Error(`Unknown background type: ${background.type}`);
+	}
+};
+
+/**
+ * Replace the transparent background of the canvas
+ * @param {HTMLCanvasElement} canvas - Cut-out subject on a transparent canvas
+ * @param {Object} replacement - {background, feather, shadow}, see getDefaultReplacement
+ * @param {HTMLCanvasElement} [backdrop] - The rendered image before its background was
+ *   removed, same size as the canvas, for blurred backgrounds; the cut-out itself is
+ *   blurred without one
+ * @returns {Promise<void>}
+ */
+export const applyBackgroundReplacement = async (canvas, replacement, backdrop) => {
+	const { width, height } = canvas;
+	const { background, feather, shadow } = replacement;
+	const viewScale = getViewScale(width, height);
+
+	const subject = createLayer(width, height);
+	const subjectCtx = subject.getContext("2d");
+	subjectCtx.drawImage(canvas, 0, 0);
+
+	if (feather > 0) {
+		// Blurring the alpha and keeping the subject inside it softens its edge
+		const mask = createLayer(width, height);
+		const maskCtx = mask.getContext("2d");
+		maskCtx.filter = `blur(${feather * viewScale}px)`;
+		maskCtx.drawImage(subject, 0, 0);
+
+		subjectCtx.globalCompositeOperation = "destination-in";
+		subjectCtx.drawImage(mask, 0, 0);
+		subjectCtx.globalCompositeOperation = "source-over";
+	}
+
+	const ctx = canvas.getContext("2d");
+	ctx.clearRect(0, 0, width, height);
+	await drawBackground(ctx, background, backdrop ?? subject);
+
+	ctx.save();
+	if (shadow.enabled) {
+		ctx.shadowColor = `rgba(0, 0, 0, ${shadow.opacity})`;
+		ctx.shadowBlur = shadow.blur * viewScale;
+		ctx.shadowOffsetX = shadow.offsetX * viewScale;
+		ctx.shadowOffsetY = shadow.offsetY * viewScale;
+	}
+	ctx.drawImage(subject, 0, 0);
+	ctx.restore();
+};
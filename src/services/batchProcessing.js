@@ -0,0 +1,113 @@
+/**
+ * Batch Processing
+ * Runs a pipeline of commands over many images without the editor. Each
+ * image is rendered off-screen through the same action registry and
+ * document renderer as the editor, encoded, and collected into one ZIP.
+ * Only a few images are processed at a time, which also bounds the
+ * concurrent requests to remote AI services.
+ */
+
+import JSZip from "jszip";
+import { resolveCommands, applyCommands } from "./actionRegistry";
+import { createDocument, createDocumentRenderer } from "./documentRenderer";
+import { EXPORT_FORMATS, exportImage } from "./imageExport";
+import { loadImageFile } from "./imageFiles";
+import { createAbortError } from "./requestPolicy";
+
+// Images in flight; each may hold a background removal request
+export const BATCH_CONCURRENCY = Math.max(1, Number(import.meta.env.VITE_BATCH_CONCURRENCY) || 2);
+
+/**
+ * Apply a pipeline to one image file
+ * @param {File} file
+ * @param {Array} commands - Validated command objects
+ * @param {Object} options
+ * @param {string} options.format - Key in EXPORT_FORMATS
+ * @param {number} [options.quality] - 0-1 for lossy formats
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with {text, progress}
+ * @returns {Promise<Blob>} - Encoded result
+ */
+export const processImage = async (file, commands, { format, quality, signal, onProgress }) => {
+	onProgress?.({ text: "Loading image...", progress: null });
+	const image = await loadImageFile(file);
+
+	const canvas = document.createElement("canvas");
+	canvas.width = image.width;
+	canvas.height = image.height;
+	canvas.getContext("2d").drawImage(image.originalImage, 0, 0, image.width, image.height);
+
+	const resolved = await resolveCommands(canvas, image, commands, { onProgress, signal });
+	if (signal?.aborted) {
+		throw createAbortError();
+	}
+
+	const render = createDocumentRenderer();
+	await render(canvas, image, applyCommands(createDocument(), resolved), {
+		signal,
+		onProgress: (update) =>
+			onProgress?.({
+				text: update.label ? `Applying ${update.label}...` : "Applying filters...",
+				progress: update.progress,
+			}),
+	});
+
+	onProgress?.({ text: "Encoding...", progress: null });
+	const { type, lossy, alpha } = EXPORT_FORMATS[format];
+	return exportImage(canvas, {
+		type,
+		quality: lossy ? quality : undefined,
+		// Formats without transparency get a white background
+		background: alpha ? undefined : "#ffffff",
+	});
+};
+
+/**
+ * Run a task for every item, at most `concurrency` at once. Tasks handle
+ * their own errors.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} task - (item) => Promise
+ * @returns {Promise<void>}
+ */
+export const runWithConcurrency = async (items, concurrency, task) => {
+	let next = 0;
+	const runNext = async () => {
+		while (next < items.length) {
+			await task(items[next++]);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+};
+
+/**
+ * Path of a result in the ZIP: the original path with the format's extension
+ * @param {string} path - Path of the source file, with folders for dropped folders
+ * @param {string} format - Key in EXPORT_FORMATS
+ * @returns {string}
+ */
+export const getOutputPath = (path, format) =>
+	`${path.replace(/\.[^./]+$/, "")}.${EXPORT_FORMATS[format].extension}`;
+
+/**
+ * Pack results into a ZIP. Paths that collide, e.g. photo.jpg and photo.png
+ * both saved as PNG, get a numbered suffix.
+ * @param {Array} results - [{path, blob}]
+ * @returns {Promise<Blob>}
+ */
+export const createResultsZip = (results) => {
+	const zip = new JSZip();
+	const used = new Set();
+
+	results.forEach(({ path, blob }) => {
+		let name = path;
+		for (let copy = 2; used.has(name); copy++) {
+			name = path.replace(/(\.[^./]+)?$/, (extension) => ` (${copy})${extension}`);
+		}
+		used.add(name);
+		// Encoded images do not compress further
+		zip.file(name, blob, { compression: "STORE" });
+	});
+
+	return zip.generateAsync({ type: "blob" });
+};
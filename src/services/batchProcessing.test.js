@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import JSZip from "jszip";
+import { createResultsZip, getOutputPath, runWithConcurrency } from "./batchProcessing";
+
+describe("getOutputPath", () => {
+	it("swaps the extension for the format's", () => {
+		expect(getOutputPath("holiday/beach.jpeg", "png")).toBe("holiday/beach.png");
+		expect(getOutputPath("photo.PNG", "jpeg")).toBe("photo.jpg");
+	});
+
+	it("adds one to files without an extension", () => {
+		expect(getOutputPath("scans.v2/page", "webp")).toBe("scans.v2/page.webp");
+	});
+});
+
+describe("createResultsZip", () => {
+	it("stores every result under its path, numbering collisions", async () => {
+		const blob = new Blob(["pixels"], { type: "image/png" });
+		const zipped = await createResultsZip([
+			{ path: "a/photo.png", blob },
+			{ path: "a/photo.png", blob },
+			{ path: "a/photo.png", blob },
+			{ path: "b/photo.png", blob },
+			{ path: "notes", blob },
+			{ path: "notes", blob },
+		]);
+
+		const zip = await JSZip.loadAsync(await zipped.arrayBuffer());
+		const names = Object.values(zip.files)
+			.filter((file) => !file.dir)
+			.map((file) => file.name);
+		expect(names).toEqual([
+			"a/photo.png",
+			"a/photo (2).png",
+			"a/photo (3).png",
+			"b/photo.png",
+			"notes",
+			"notes (2)",
+		]);
+		expect(await zip.file("a/photo (2).png").async("string")).toBe("pixels");
+	});
+});
+
+describe("runWithConcurrency", () => {
+	it("runs every item with at most the given number at once", async () => {
+		let running = 0;
+		let peak = 0;
+		const done = [];
+
+		await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+			running++;
+			peak = Math.max(peak, running);
+			await new Promise((resolve) => setTimeout(resolve, item));
+			running--;
+			done.push(item);
+		});
+
+		expect(peak).toBe(2);
+		expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+	});
+});
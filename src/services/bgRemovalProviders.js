@@ -0,0 +1,187 @@
+/**
+ * Background Removal Providers
+ * Every provider exposes the same interface so the UI never depends on one
+ * backend:
+ *   remove(canvas, {onProgress, signal}) => Promise<Blob>  transparent PNG; aborting
+ *     the signal rejects with an AbortError
+ *   healthCheck() => Promise<{ok, degraded, message, details}>  never rejects;
+ *     degraded means usable but slow or still starting
+ *   capabilities: {uploadsImage, progress}
+ * The result always goes through applyBackgroundRemovedImage, which only
+ * uses its alpha channel and scales it to the canvas, so providers are given
+ * a copy of the image no larger than MATTE_MAX_SIZE.
+ */
+
+import { removeBackground, checkSpaceHealth } from "./huggingFaceBgRemoval";
+import { removeBackgroundLocally, checkLocalModel } from "./localBgRemoval";
+import { fitSize } from "./imageScale";
+import { withRetry, createHttpError, createRequestError, describeRetry } from "./requestPolicy";
+
+// Plenty for RMBG-1.4, which segments at 1024×1024
+const MATTE_MAX_SIZE = 2048;
+
+const HTTP_URL = import.meta.env.VITE_BG_REMOVAL_URL;
+const HTTP_HEALTH_URL = import.meta.env.VITE_BG_REMOVAL_HEALTH_URL;
+// Per attempt
+const HTTP_TIMEOUT = Number(import.meta.env.VITE_BG_REMOVAL_TIMEOUT_MS) || 60000;
+const HEALTH_TIMEOUT = 10000;
+// The mock server (yarn mock:bg) is offered in development or when configured
+const MOCK_URL =
+	import.meta.env.VITE_BG_MOCK_URL || (import.meta.env.DEV ? "http://localhost:3001" : null);
+
+/**
+ * Downscale a full-resolution canvas for segmentation
+ * @param {HTMLCanvasElement} canvas
+ * @returns {HTMLCanvasElement} - The canvas itself when it is small enough
+ */
+const toMatteSize = (canvas) => {
+	const { width, height } = fitSize(canvas.width, canvas.height, MATTE_MAX_SIZE, MATTE_MAX_SIZE);
+	if (width === canvas.width && height === canvas.height) return canvas;
+
+	const scaled = document.createElement("canvas");
+	scaled.width = width;
+	scaled.height = height;
+	scaled.getContext("2d").drawImage(canvas, 0, 0, width, height);
+	return scaled;
+};
+
+/**
+ * Encode the canvas as a PNG for upload
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+const canvasToPng = (canvas) =>
+	new Promise((resolve, reject) => {
+		canvas.toBlob((result) => {
+			if (result) {
+				resolve(result);
+			} else {
+				reject(new Error("Failed to create blob from canvas"));
+			}
+		}, "image/png");
+	});
+
+/**
+ * Create a provider for any endpoint that accepts an image as the request
+ * body and answers with a PNG
+ * @param {Object} config
+ * @param {string} config.label - Name shown in the UI
+ * @param {string} config.url - Endpoint receiving POST image/png
+ * @param {string} [config.healthUrl] - Endpoint answering GET with 2xx when up
+ * @returns {Object} - Provider
+ */
+export const createHttpProvider = ({ label, url, healthUrl }) => ({
+	label,
+	capabilities: { uploadsImage: true, progress: false },
+
+	remove: async (canvas, { signal, onProgress } = {}) => {
+		if (!canvas) {
+			throw new Error("No canvas provided");
+		}
+
+		try {
+			const body = await canvasToPng(toMatteSize(canvas));
+			return await withRetry(
+				async (attemptSignal) => {
+					const response = await fetch(url, {
+						method: "POST",
+						headers: { "Content-Type": "image/png" },
+						body,
+						signal: attemptSignal,
+					});
+
+					if (!response.ok) {
+						throw createHttpError(response);
+					}
+					if (!response.headers.get("Content-Type")?.startsWith("image/")) {
+						throw new Error("Response is not an image");
+					}
+
+					return response.blob();
+				},
+				{
+					label,
+					timeout: HTTP_TIMEOUT,
+					signal,
+					onRetry: (retry) => onProgress?.({ phase: "retry", message: describeRetry(label, retry) }),
+				}
+			);
+		} catch (error) {
+			if (error.name === "AbortError") throw error;
+
+			console.error(`❌ ${label} error:`, error);
+			throw createRequestError(error.name, `Background removal failed: ${error.message}`, error);
+		}
+	},
+
+	healthCheck: async () => {
+		if (!healthUrl) {
+			return { ok: true, message: `Using ${url} (no health endpoint)` };
+		}
+
+		try {
+			const started = performance.now();
+			const response = await withRetry((signal) => fetch(healthUrl, { signal }), {
+				label,
+				timeout: HEALTH_TIMEOUT,
+				retries: 0,
+			});
+			const latency = Math.round(performance.now() - started);
+			return response.ok
+				? { ok: true, message: `${label} is up (${latency} ms)`, details: { latency } }
+				: { ok: false, message: `${label} returned ${response.status}` };
+		} catch (error) {
+			return {
+				ok: false,
+				message: error.name === "TimeoutError" ? error.message : `${label} is unreachable`,
+			};
+		}
+	},
+});
+
+export const BG_REMOVAL_PROVIDERS = {
+	gradio: {
+		label: "Hugging Face Space",
+		capabilities: { uploadsImage: true, progress: false },
+		remove: (canvas, options) => removeBackground(canvas && toMatteSize(canvas), options),
+		healthCheck: () => checkSpaceHealth(),
+	},
+	local: {
+		label: "In your browser",
+		capabilities: { uploadsImage: false, progress: true },
+		remove: (canvas, options) => removeBackgroundLocally(canvas && toMatteSize(canvas), options),
+		healthCheck: checkLocalModel,
+	},
+	...(HTTP_URL && {
+		http: createHttpProvider({
+			label: "HTTP endpoint",
+			url: HTTP_URL,
+			healthUrl: HTTP_HEALTH_URL,
+		}),
+	}),
+	...(MOCK_URL && {
+		mock: createHttpProvider({
+			label: "Mock server",
+			url: `${MOCK_URL}/remove-background`,
+			healthUrl: `${MOCK_URL}/health`,
+		}),
+	}),
+};
+
+export const DEFAULT_BG_REMOVAL_PROVIDER =
+	import.meta.env.VITE_BG_REMOVAL_PROVIDER in BG_REMOVAL_PROVIDERS
+		? import.meta.env.VITE_BG_REMOVAL_PROVIDER
+		: "gradio";
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Key in BG_REMOVAL_PROVIDERS
+ * @returns {Object} - Provider
+ */
+export const getBgRemovalProvider = (id) => {
+	const provider = BG_REMOVAL_PROVIDERS[id];
+	if (!provider) {
+		throw new Error(`Unknown background removal provider: ${id}`);
+	}
+	return provider;
+};
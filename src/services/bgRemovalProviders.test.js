@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createHttpProvider } from "./bgRemovalProviders";
+
+const createProvider = () =>
+	createHttpProvider({
+		label: "Test server",
+		url: "http://localhost:3001/remove-background",
+		healthUrl: "http://localhost:3001/health",
+	});
+
+afterEach(() => {
+	vi.useRealTimers();
+	vi.unstubAllGlobals();
+});
+
+describe("createHttpProvider health check", () => {
+	it("reports the status of a server that answers", async () => {
+		vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response("", { status: 500 })));
+
+		await expect(createProvider().healthCheck()).resolves.toEqual({
+			ok: false,
+			message: "Test server returned 500",
+		});
+	});
+
+	it("reports servers that cannot be reached", async () => {
+		vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new TypeError("Failed to fetch")));
+
+		await expect(createProvider().healthCheck()).resolves.toEqual({
+			ok: false,
+			message: "Test server is unreachable",
+		});
+	});
+
+	it("gives up on a server that does not answer", async () => {
+		vi.useFakeTimers();
+		vi.stubGlobal("fetch", vi.fn(() => new Promise(() => {})));
+
+		const status = createProvider().healthCheck();
+		await vi.advanceTimersByTimeAsync(10000);
+
+		await expect(status).resolves.toEqual({ ok: false, message: "Test server timed out after 10s" });
+	});
+});
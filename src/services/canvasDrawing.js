@@ -0,0 +1,259 @@
+/**
+ * Canvas Drawing
+ * Shapes, text and pixel adjustments drawn by draw and adjust commands
+ */
+
+import { getViewScale } from "./imageScale";
+
+// Shapes drawn as open paths, so they have no fill by default
+const OPEN_SHAPES = ["line", "arrow"];
+
+// Dash pattern in multiples of the line width
+const DASH_PATTERNS = {
+	solid: [],
+	dashed: [4, 3],
+	dotted: [1, 2],
+};
+
+/**
+ * Default box for a shape of the given size, matching how earlier versions
+ * drew them so saved documents render the same
+ * @param {string} shape
+ * @param {number} size
+ * @returns {Array} - [width, height]
+ */
+const getDefaultBox = (shape, size) => {
+	switch (shape) {
+		case "circle":
+			return [size * 2, size * 2];
+		case "ellipse":
+			return [size * 2, size * 1.2];
+		case "rectangle":
+			return [size, size * 0.6];
+		case "line":
+		case "arrow":
+			return [size, 0];
+		default:
+			return [size, size];
+	}
+};
+
+/**
+ * Regular polygon or star path centred on the origin
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} width
+ * @param {number} height
+ * @param {number} corners - Number of outer corners
+ * @param {number} [innerRatio] - Inner radius as a fraction, for stars
+ */
+const tracePolygon = (ctx, width, height, corners, innerRatio = null) => {
+	const vertices = innerRatio ? corners * 2 : corners;
+	for (let i = 0; i < vertices; i++) {
+		// Start at the top
+		const angle = -Math.PI / 2 + (i * 2 * Math.PI) / vertices;
+		const radius = innerRatio && i % 2 === 1 ? innerRatio : 1;
+		const px = (Math.cos(angle) * radius * width) / 2;
+		const py = (Math.sin(angle) * radius * height) / 2;
+		if (i === 0) ctx.moveTo(px, py);
+		else ctx.lineTo(px, py);
+	}
+	ctx.closePath();
+};
+
+/**
+ * Build the path of a shape centred on the origin
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} command
+ * @param {number} width
+ * @param {number} height
+ */
+const traceShape = (ctx, command, width, height) => {
+	ctx.beginPath();
+
+	switch (command.shape) {
+		case "circle":
+		case "ellipse":
+			ctx.ellipse(0, 0, width / 2, height / 2, 0, 0, 2 * Math.PI);
+			break;
+
+		case "rectangle":
+		case "square":
+			ctx.rect(-width / 2, -height / 2, width, height);
+			break;
+
+		case "line":
+			ctx.moveTo(-width / 2, 0);
+			ctx.lineTo(width / 2, 0);
+			break;
+
+		case "arrow": {
+			const head = Math.max(ctx.lineWidth * 3, width * 0.2);
+			ctx.moveTo(-width / 2, 0);
+			ctx.lineTo(width / 2, 0);
+			ctx.moveTo(width / 2 - head, -head / 2);
+			ctx.lineTo(width / 2, 0);
+			ctx.lineTo(width / 2 - head, head / 2);
+			break;
+		}
+
+		case "triangle":
+			ctx.moveTo(0, -height / 2); // Top point
+			ctx.lineTo(-width / 2, height / 2); // Bottom left
+			ctx.lineTo(width / 2, height / 2); // Bottom right
+			ctx.closePath();
+			break;
+
+		case "polygon":
+			tracePolygon(ctx, width, height, command.sides ?? 6);
+			break;
+
+		case "star":
+			tracePolygon(ctx, width, height, command.points ?? 5, 0.5);
+			break;
+
+		default:
+			throw new Error(`Unknown shape: ${command.shape}`);
+	}
+};
+
+/**
+ * Draw shape on canvas
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} command
+ */
+export const drawShape = (ctx, canvas, command) => {
+	const { shape, color = "red", position, size = 50 } = command;
+
+	// Get actual canvas dimensions
+	const canvasWidth = canvas.width;
+	const canvasHeight = canvas.height;
+	// Sizes and absolute positions are in view pixels; the canvas holds the
+	// full-resolution image
+	const viewScale = getViewScale(canvasWidth, canvasHeight);
+
+	// Calculate position based on canvas size
+	let x, y;
+
+	if (position && typeof position.x === 'number' && typeof position.y === 'number') {
+		// If coordinates are between 0-1, treat as percentage (relative positioning)
+		if (position.x <= 1 && position.y <= 1) {
+			x = position.x * canvasWidth;
+			y = position.y * canvasHeight;
+		} else {
+			// Otherwise use as absolute coordinates but clamp to canvas bounds
+			const margin = size * viewScale;
+			x = Math.min(Math.max(position.x * viewScale, margin), canvasWidth - margin);
+			y = Math.min(Math.max(position.y * viewScale, margin), canvasHeight - margin);
+		}
+	} else {
+		// Default to center
+		x = canvasWidth / 2;
+		y = canvasHeight / 2;
+	}
+
+	// Scale size relative to canvas (minimum 10px, maximum 20% of smaller dimension)
+	const scaledSize =
+		Math.min(Math.max(size, 10), Math.min(canvasWidth, canvasHeight) * 0.2 / viewScale) * viewScale;
+	const [defaultWidth, defaultHeight] = getDefaultBox(shape, scaledSize);
+	const width = command.width ? command.width * viewScale : defaultWidth;
+	const height = command.height ? command.height * viewScale : defaultHeight;
+
+	const lineWidth = (command.strokeWidth ?? 3) * viewScale;
+	// Text is filled only unless a stroke is asked for
+	const fill = command.fill ?? (OPEN_SHAPES.includes(shape) ? "none" : color);
+	const stroke = command.stroke ?? (shape === "text" ? "none" : color);
+
+	ctx.save();
+	ctx.translate(x, y);
+	ctx.rotate(((command.rotation ?? 0) * Math.PI) / 180);
+	ctx.globalAlpha = command.opacity ?? 1;
+	ctx.lineWidth = lineWidth;
+	ctx.lineCap = command.strokeStyle === "dotted" ? "round" : "butt";
+	ctx.setLineDash(DASH_PATTERNS[command.strokeStyle ?? "solid"].map((dash) => dash * lineWidth));
+	if (fill !== "none") ctx.fillStyle = fill;
+	if (stroke !== "none") ctx.strokeStyle = stroke;
+
+	try {
+		if (shape === "text") {
+			const fontSize = command.height ? height : scaledSize;
+			ctx.font = `${command.fontStyle ?? "normal"} ${command.fontWeight ?? "normal"} ${fontSize}px ${
+				command.font ?? "sans-serif"
+			}`;
+			ctx.textAlign = "center";
+			ctx.textBaseline = "middle";
+			// An explicit width squeezes the text to fit
+			const maxWidth = command.width ? width : undefined;
+			if (fill !== "none") ctx.fillText(command.text ?? "", 0, 0, maxWidth);
+			if (stroke !== "none" && lineWidth > 0) ctx.strokeText(command.text ?? "", 0, 0, maxWidth);
+		} else {
+			traceShape(ctx, command, width, height);
+			if (fill !== "none") ctx.fill();
+			if (stroke !== "none" && lineWidth > 0) ctx.stroke();
+		}
+	} finally {
+		ctx.restore();
+	}
+};
+/**
+ * Adjust image properties
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} command
+ */
+export const adjustImage = (ctx, canvas, command) => {
+	const { adjustment, value } = command;
+	const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+	const data = imageData.data;
+
+	switch (adjustment) {
+		case "brightness":
+			adjustBrightness(data, value);
+			break;
+		case "contrast":
+			adjustContrast(data, value);
+			break;
+		default:
+			throw new Error(`Unknown adjustment: ${adjustment}`);
+	}
+
+	ctx.putImageData(imageData, 0, 0);
+};
+
+/**
+ * Adjust brightness of image data
+ * @param {Uint8ClampedArray} data - Image data
+ * @param {number} value - Brightness adjustment percentage
+ */
+const adjustBrightness = (data, value) => {
+	const factor = (value / 100) * 255;
+
+	for (let i = 0; i < data.length; i += 4) {
+		data[i] = Math.max(0, Math.min(255, data[i] + factor)); // Red
+		data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + factor)); // Green
+		data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + factor)); // Blue
+		// Alpha channel (i + 3) remains unchanged
+	}
+};
+
+/**
+ * Adjust contrast of image data
+ * @param {Uint8ClampedArray} data - Image data
+ * @param {number} value - Contrast adjustment percentage
+ */
+const adjustContrast = (data, value) => {
+	const factor = (259 * (value + 255)) / (255 * (259 - value));
+
+	for (let i = 0; i < data.length; i += 4) {
+		data[i] = Math.max(0, Math.min(255, factor * (data[i] - 128) + 128)); // Red
+		data[i + 1] = Math.max(
+			0,
+			Math.min(255, factor * (data[i + 1] - 128) + 128)
+		); // Green
+		data[i + 2] = Math.max(
+			0,
+			Math.min(255, factor * (data[i + 2] - 128) + 128)
+		); // Blue
+		// Alpha channel (i + 3) remains unchanged
+	}
+};
@@ -0,0 +1,368 @@
+/**
+ * Canvas History Service
+ * Memory-bounded undo/redo engine that stores pixel diffs for small edits
+ * and compressed PNG snapshots for large ones
+ */
+
+const DEFAULT_MEMORY_BUDGET_MB =
+	Number(import.meta.env.VITE_HISTORY_MEMORY_MB) || 64;
+const DEFAULT_MAX_ENTRIES = 50;
+
+// Changes covering more than this fraction of the canvas are stored as
+// compressed snapshots instead of raw pixel diffs
+const DIFF_AREA_THRESHOLD = 0.25;
+
+/**
+ * Encode pixels as a PNG blob
+ * @param {ImageData} imageData
+ * @returns {Promise<Blob>}
+ */
+const encodeSnapshot = (imageData) => {
+	const canvas = document.createElement("canvas");
+	canvas.width = imageData.width;
+	canvas.height = imageData.height;
+	canvas.getContext("2d").putImageData(imageData, 0, 0);
+
+	return new Promise((resolve, reject) => {
+		canvas.toBlob((blob) => {
+			if (blob) {
+				resolve(blob);
+			} else {
+				reject(new Error("Failed to encode history snapshot"));
+			}
+		}, "image/png");
+	});
+};
+
+/**
+ * Find the bounding box of pixels that differ between two images
+ * @param {ImageData} before
+ * @param {ImageData} after
+ * @returns {Object|null} - {x, y, width, height} or null when identical
+ */
+const findChangedRect = (before, after) => {
+	const { width, height } = after;
+	const a = new Uint32Array(before.data.buffer);
+	const b = new Uint32Array(after.data.buffer);
+	let minX = width;
+	let minY = height;
+	let maxX = -1;
+	let maxY = -1;
+
+	for (let y = 0; y < height; y++) {
+		const row = y * width;
+		for (let x = 0; x < width; x++) {
+			if (a[row + x] !== b[row + x]) {
+				if (x < minX) minX = x;
+				if (x > maxX) maxX = x;
+				if (y < minY) minY = y;
+				maxY = y;
+			}
+		}
+	}
+
+	if (maxX < 0) return null;
+
+	return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+};
+
+/**
+ * Copy a rectangular region out of an image
+ * @param {ImageData} imageData
+ * @param {Object} rect - {x, y, width, height}
+ * @returns {Uint8ClampedArray}
+ */
+const copyRect = (imageData, rect) => {
+	const out = new Uint8ClampedArray(rect.width * rect.height * 4);
+	const rowBytes = rect.width * 4;
+
+	for (let y = 0; y < rect.height; y++) {
+		const start = ((rect.y + y) * imageData.width + rect.x) * 4;
+		out.set(imageData.data.subarray(start, start + rowBytes), y * rowBytes);
+	}
+
+	return out;
+};
+
+/**
+ * Build the undo/redo patches describing a change
+ * @param {ImageData} before
+ * @param {ImageData} after
+ * @param {Blob|null} beforeSnapshot - Cached PNG of `before`, if any
+ * @returns {Promise<Object|null>} - {undo, redo, bytes} or null when nothing changed
+ */
+const createPatches = async (before, after, beforeSnapshot) => {
+	const sameSize =
+		before.width === after.width && before.height === after.height;
+	const rect = sameSize ? findChangedRect(before, after) : undefined;
+
+	if (rect === null) return null;
+
+	if (rect && rect.width * rect.height <= after.width * after.height * DIFF_AREA_THRESHOLD) {
+		const undo = { type: "diff", rect, data: copyRect(before, rect) };
+		const redo = { type: "diff", rect, data: copyRect(after, rect) };
+		return { undo, redo, bytes: undo.data.byteLength + redo.data.byteLength };
+	}
+
+	const [beforeBlob, afterBlob] = await Promise.all([
+		beforeSnapshot || encodeSnapshot(before),
+		encodeSnapshot(after),
+	]);
+	const undo = { type: "snapshot", blob: beforeBlob, width: before.width, height: before.height };
+	const redo = { type: "snapshot", blob: afterBlob, width: after.width, height: after.height };
+	return { undo, redo, bytes: beforeBlob.size + afterBlob.size };
+};
+
+// Patch for steps that changed the document but not its pixels
+const NO_CHANGE = { type: "none" };
+
+/**
+ * Draw a patch onto the canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} patch
+ * @returns {Promise<void>}
+ */
+const applyPatch = async (canvas, patch) => {
+	const ctx = canvas.getContext("2d");
+
+	if (patch.type === "none") return;
+
+	if (patch.type === "diff") {
+		const { rect, data } = patch;
+		ctx.putImageData(new ImageData(new Uint8ClampedArray(data), rect.width, rect.height), rect.x, rect.y);
+		return;
+	}
+
+	const bitmap = await createImageBitmap(patch.blob);
+	canvas.width = patch.width;
+	canvas.height = patch.height;
+	ctx.clearRect(0, 0, canvas.width, canvas.height);
+	ctx.drawImage(bitmap, 0, 0);
+	bitmap.close();
+};
+
+const readPixels = (canvas) =>
+	canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+
+/**
+ * Create an undo/redo history bound to a memory budget
+ * @param {Object} [options]
+ * @param {number} [options.memoryBudget] - Maximum bytes held by history entries
+ * @param {number} [options.maxEntries] - Maximum number of undoable steps
+ * @returns {Object} - History API
+ */
+export const createCanvasHistory = ({
+	memoryBudget = DEFAULT_MEMORY_BUDGET_MB * 1024 * 1024,
+	maxEntries = DEFAULT_MAX_ENTRIES,
+} = {}) => {
+	let head = null; // Pixels of the current committed state
+	let headSnapshot = null; // PNG of `head` when one was already encoded
+	let headMeta = null; // Caller data describing the current committed state
+	let entries = [];
+	let index = 0; // entries[0..index-1] can be undone, the rest redone
+	let usedBytes = 0;
+	let queue = Promise.resolve();
+	let state = null;
+	const listeners = new Set();
+
+	const computeState = () => ({
+		canUndo: index > 0,
+		canRedo: index < entries.length,
+		undoLabel: index > 0 ? entries[index - 1].label : null,
+		redoLabel: index < entries.length ? entries[index].label : null,
+		size: entries.length,
+		meta: headMeta,
+		usedBytes,
+		memoryBudget,
+	});
+
+	const notify = () => {
+		state = computeState();
+		listeners.forEach((listener) => listener(state));
+	};
+
+	// Run history tasks one at a time so commits and undos never interleave
+	const enqueue = (task) => {
+		const run = queue.then(task);
+		queue = run.catch(() => {});
+		return run;
+	};
+
+	const dropEntries = (removed) => {
+		removed.forEach((entry) => {
+			usedBytes -= entry.bytes;
+		});
+	};
+
+	/**
+	 * Make `head` reflect the canvas after a patch was drawn
+	 * @param {HTMLCanvasElement} canvas
+	 * @param {Object} patch
+	 * @param {*} meta
+	 */
+	const moveHead = (canvas, patch, meta) => {
+		if (patch.type !== "none") {
+			head = readPixels(canvas);
+			headSnapshot = patch.type === "snapshot" ? patch.blob : null;
+		}
+		headMeta = meta;
+	};
+
+	const isOverBudget = () => usedBytes > memoryBudget || entries.length > maxEntries;
+
+	const enforceBudget = () => {
+		// Redo steps go first, the furthest from the current state first
+		while (entries.length > index && isOverBudget()) {
+			dropEntries(entries.splice(-1, 1));
+		}
+		// Always keep the newest step, even if it alone exceeds the budget
+		while (index > 1 && isOverBudget()) {
+			dropEntries(entries.splice(0, 1));
+			index--;
+		}
+	};
+
+	return {
+		/**
+		 * Start a fresh history from the canvas contents
+		 * @param {HTMLCanvasElement} canvas
+		 * @param {*} [meta] - Caller data describing the initial state
+		 */
+		reset: (canvas, meta = null) =>
+			enqueue(() => {
+				head = readPixels(canvas);
+				headSnapshot = null;
+				headMeta = meta;
+				entries = [];
+				index = 0;
+				usedBytes = 0;
+				notify();
+			}),
+
+		/**
+		 * Record the canvas contents as a new undoable step
+		 * @param {HTMLCanvasElement} canvas
+		 * @param {string} [label] - Human readable step name
+		 * @param {*} [meta] - Caller data describing the new state, returned by
+		 *   getState().meta after undo/redo lands on this step
+		 * @returns {Promise<boolean>} - False when nothing changed
+		 */
+		commit: (canvas, label = "Edit", meta = headMeta) =>
+			enqueue(async () => {
+				const current = readPixels(canvas);
+
+				if (!head) {
+					head = current;
+					headMeta = meta;
+					notify();
+					return false;
+				}
+
+				const patches = await createPatches(head, current, headSnapshot);
+				if (!patches && meta === headMeta) return false;
+
+				const change = patches || { undo: NO_CHANGE, redo: NO_CHANGE, bytes: 0 };
+
+				dropEntries(entries.splice(index));
+				entries.push({ label, undoMeta: headMeta, redoMeta: meta, ...change });
+				index = entries.length;
+				usedBytes += change.bytes;
+				if (patches) {
+					head = current;
+					headSnapshot = patches.redo.type === "snapshot" ? patches.redo.blob : null;
+				}
+				headMeta = meta;
+
+				enforceBudget();
+				notify();
+				return true;
+			}),
+
+		/**
+		 * Discard uncommitted changes by redrawing the last committed state
+		 * @param {HTMLCanvasElement} canvas
+		 * @returns {Promise<*>} - Meta of the committed state
+		 */
+		revert: (canvas) =>
+			enqueue(() => {
+				if (!head) return;
+
+				canvas.width = head.width;
+				canvas.height = head.height;
+				canvas.getContext("2d").putImageData(head, 0, 0);
+				return headMeta;
+			}),
+
+		/**
+		 * Revert the canvas to the previous step
+		 * @param {HTMLCanvasElement} canvas
+		 * @returns {Promise<boolean>} - False when there was nothing to undo
+		 */
+		undo: (canvas) =>
+			enqueue(async () => {
+				if (index === 0) return false;
+
+				const entry = entries[index - 1];
+				await applyPatch(canvas, entry.undo);
+				index--;
+				moveHead(canvas, entry.undo, entry.undoMeta);
+				notify();
+				return true;
+			}),
+
+		/**
+		 * Re-apply the last undone step
+		 * @param {HTMLCanvasElement} canvas
+		 * @returns {Promise<boolean>} - False when there was nothing to redo
+		 */
+		redo: (canvas) =>
+			enqueue(async () => {
+				if (index === entries.length) return false;
+
+				const entry = entries[index];
+				await applyPatch(canvas, entry.redo);
+				index++;
+				moveHead(canvas, entry.redo, entry.redoMeta);
+				notify();
+				return true;
+			}),
+
+		/**
+		 * Copy the steps for saving. Entries hold only typed arrays and blobs,
+		 * so they can be stored in IndexedDB as they are.
+		 * @returns {Promise<Object>} - {meta, entries, index}
+		 */
+		exportState: () =>
+			enqueue(() => ({ meta: headMeta, entries: entries.slice(), index })),
+
+		/**
+		 * Continue a saved history. The canvas must already show the state
+		 * the saved history was at.
+		 * @param {HTMLCanvasElement} canvas
+		 * @param {Object} saved - Output of exportState
+		 */
+		restore: (canvas, saved) =>
+			enqueue(() => {
+				head = readPixels(canvas);
+				headSnapshot = null;
+				headMeta = saved.meta;
+				entries = saved.entries.slice();
+				index = Math.min(saved.index, entries.length);
+				usedBytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+				enforceBudget();
+				notify();
+			}),
+
+		getState: () => state || (state = computeState()),
+
+		/**
+		 * Listen for history changes
+		 * @param {Function} listener - Called with the new state
+		 * @returns {Function} - Unsubscribe
+		 */
+		subscribe: (listener) => {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+	};
+};
@@ -0,0 +1,108 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { createCanvasHistory } from "./canvasHistory";
+import { createFakeCanvas, stubImageData } from "../test/fakeCanvas";
+
+// Each step changes one pixel, so it is stored as an 8 byte diff
+const paint = (canvas, value) => {
+	canvas.pixels[0] = value;
+};
+
+/**
+ * Commit one step per value
+ * @param {Object} history
+ * @param {Object} canvas
+ * @param {Array} values
+ */
+const commitSteps = async (history, canvas, values) => {
+	for (const value of values) {
+		paint(canvas, value);
+		await history.commit(canvas, `Step ${value}`);
+	}
+};
+
+describe("canvasHistory", () => {
+	beforeAll(stubImageData);
+
+	it("undoes and redoes steps", async () => {
+		const canvas = createFakeCanvas();
+		const history = createCanvasHistory();
+		await history.reset(canvas);
+		await commitSteps(history, canvas, [1, 2]);
+
+		await history.undo(canvas);
+		expect(canvas.pixels[0]).toBe(1);
+		expect(history.getState()).toMatchObject({ undoLabel: "Step 1", redoLabel: "Step 2" });
+
+		await history.redo(canvas);
+		expect(canvas.pixels[0]).toBe(2);
+		expect(history.getState()).toMatchObject({ canRedo: false });
+	});
+
+	it("records nothing when the pixels did not change", async () => {
+		const canvas = createFakeCanvas();
+		const history = createCanvasHistory();
+		await history.reset(canvas);
+
+		expect(await history.commit(canvas, "Nothing")).toBe(false);
+		expect(history.getState()).toMatchObject({ size: 0, canUndo: false });
+	});
+
+	it("drops the oldest steps beyond maxEntries", async () => {
+		const canvas = createFakeCanvas();
+		const history = createCanvasHistory({ maxEntries: 3 });
+		await history.reset(canvas);
+		await commitSteps(history, canvas, [1, 2, 3, 4, 5]);
+
+		expect(history.getState().size).toBe(3);
+		while (await history.undo(canvas));
+		expect(canvas.pixels[0]).toBe(2);
+	});
+
+	it("drops the oldest steps beyond the memory budget", async () => {
+		const canvas = createFakeCanvas();
+		const history = createCanvasHistory({ memoryBudget: 20 });
+		await history.reset(canvas);
+		await commitSteps(history, canvas, [1, 2, 3]);
+
+		expect(history.getState()).toMatchObject({ size: 2, usedBytes: 16 });
+	});
+
+	it("keeps the newest step even when it alone exceeds the budget", async () => {
+		const canvas = createFakeCanvas();
+		const history = createCanvasHistory({ memoryBudget: 4 });
+		await history.reset(canvas);
+		await commitSteps(history, canvas, [1, 2]);
+
+		expect(history.getState()).toMatchObject({ size: 1, canUndo: true, undoLabel: "Step 2" });
+	});
+
+	it("evicts redo steps before undo steps", async () => {
+		const canvas = createFakeCanvas();
+		const saved = createCanvasHistory();
+		await saved.reset(canvas);
+		await commitSteps(saved, canvas, [1, 2, 3, 4]);
+		await saved.undo(canvas);
+		await saved.undo(canvas);
+
+		const history = createCanvasHistory({ maxEntries: 3 });
+		await history.restore(canvas, await saved.exportState());
+
+		// The furthest redo step goes; both undo steps stay
+		expect(history.getState()).toMatchObject({ size: 3, undoLabel: "Step 2", redoLabel: "Step 3" });
+		expect(await history.redo(canvas)).toBe(true);
+		expect(await history.redo(canvas)).toBe(false);
+		while (await history.undo(canvas));
+		expect(canvas.pixels[0]).toBe(0);
+	});
+
+	it("discards redo steps when a new step is committed", async () => {
+		const canvas = createFakeCanvas();
+		const history = createCanvasHistory();
+		await history.reset(canvas);
+		await commitSteps(history, canvas, [1, 2]);
+		await history.undo(canvas);
+		await commitSteps(history, canvas, [5]);
+
+		expect(history.getState()).toMatchObject({ size: 2, canRedo: false, usedBytes: 16 });
+	});
+});
@@ -0,0 +1,69 @@
+/**
+ * Command Parser
+ * Chooses between the AI parser and the local grammar, falling back to the
+ * local one when the provider is not configured or the request fails
+ */
+
+import { parseCommand } from "./llmCommandParser";
+import { parseCommandLocally } from "./localCommandParser";
+import { DEFAULT_LLM_PROVIDER, LLM_PROVIDERS, getLlmProvider } from "./llmProviders";
+
+export const PARSER_MODES = {
+	auto: "AI, local fallback",
+	local: "Local only",
+};
+
+/**
+ * Name of the parser that produced a result
+ * @param {string} parser - "local" or a key in LLM_PROVIDERS
+ * @returns {string}
+ */
+export const getParserLabel = (parser) =>
+	parser === "local" ? "Local parser" : `${LLM_PROVIDERS[parser]?.label ?? parser} AI`;
+
+/**
+ * Parse a natural language command
+ * @param {string} command - User's command
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Key of PARSER_MODES
+ * @param {Array} [options.scene] - Drawn objects, see getSceneObjects
+ * @param {Object} [options.llm] - {provider, model, temperature} for the AI parser
+ * @param {AbortSignal} [options.signal] - Cancels the AI request
+ * @param {Function} [options.onRetry] - See withRetry
+ * @returns {Promise<Object>} - {commands, parser, fallbackReason}
+ */
+export const parseNaturalCommand = async (
+	command,
+	{ mode = "auto", scene = [], llm = { provider: DEFAULT_LLM_PROVIDER }, signal, onRetry } = {}
+) => {
+	const provider = getLlmProvider(llm.provider);
+	if (mode === "local" || !provider.isConfigured()) {
+		return {
+			commands: parseCommandLocally(command, { scene }),
+			parser: "local",
+			fallbackReason: mode === "local" ? null : `${provider.label} not configured`,
+		};
+	}
+
+	try {
+		return {
+			commands: await parseCommand(command, { scene, ...llm, signal, onRetry }),
+			parser: llm.provider,
+			fallbackReason: null,
+		};
+	} catch (error) {
+		// Cancelled on purpose; the local parser should not answer instead
+		if (error.name === "AbortError") throw error;
+
+		try {
+			return {
+				commands: parseCommandLocally(command, { scene }),
+				parser: "local",
+				fallbackReason: error.message,
+			};
+		} catch (localError) {
+			// Neither understood it; the AI error is the more useful one
+			throw new Error(`${error.message} (local parser: ${localError.message})`);
+		}
+	}
+};
@@ -0,0 +1,396 @@
+/**
+ * Command Schema
+ * Formal description of every action the command parser may return, with
+ * validation that reports per-field errors and normalization that fills in
+ * defaults and clamps numbers to their ranges
+ */
+
+import { FILTERS } from "./opencvFilters";
+import { BG_REMOVAL_PROVIDERS } from "./bgRemovalProviders";
+
+// Named colors the prompt and the local parser advertise; any CSS color works
+export const COLORS = ["red", "blue", "green", "yellow", "purple", "black", "white", "orange", "pink"];
+
+export const SHAPES = [
+	"circle",
+	"ellipse",
+	"rectangle",
+	"square",
+	"line",
+	"arrow",
+	"triangle",
+	"polygon",
+	"star",
+	"text",
+];
+
+// Hex, rgb(a) and hsl(a) notations
+const COLOR_PATTERN =
+	/^(?:#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(?:rgba?|hsla?)\([\d\s.,%/-]+\))$/i;
+
+/**
+ * Field types:
+ *   enum      {values}
+ *   number    {min, max, integer, percent} - clamped to the range; with
+ *             `percent`, values above 1 are read as percentages
+ *   string    {max} - trimmed, at most `max` characters
+ *   color     CSS color, or "none" when `allowNone`
+ *   position  {x, y} fractions of the image, each clamped to 0-1
+ *   aspect    "W:H" string or a positive number
+ *   object    plain object, e.g. filter params checked by the filter library
+ * Fields are optional unless `required`, or `requiredWhen` another field has
+ * the given value; `default` fills missing values.
+ */
+const DRAW_FIELDS = {
+	shape: { type: "enum", values: SHAPES, required: true },
+	color: { type: "color", default: "red" },
+	fill: { type: "color", allowNone: true },
+	stroke: { type: "color", allowNone: true },
+	strokeWidth: { type: "number", min: 0, max: 50 },
+	strokeStyle: { type: "enum", values: ["solid", "dashed", "dotted"] },
+	opacity: { type: "number", min: 0, max: 1, percent: true },
+	rotation: { type: "number", min: -360, max: 360 },
+	position: { type: "position", default: { x: 0.5, y: 0.5 } },
+	size: { type: "number", min: 20, max: 150, default: 80 },
+	width: { type: "number", min: 1, max: 4000 },
+	height: { type: "number", min: 1, max: 4000 },
+	sides: { type: "number", min: 3, max: 12, integer: true },
+	points: { type: "number", min: 3, max: 12, integer: true },
+	text: { type: "string", max: 200, requiredWhen: { shape: "text" } },
+	font: { type: "enum", values: ["sans-serif", "serif", "monospace", "cursive"] },
+	fontWeight: { type: "enum", values: ["normal", "bold"] },
+	fontStyle: { type: "enum", values: ["normal", "italic"] },
+};
+
+/**
+ * The same fields with nothing required or defaulted, for partial updates
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const asOptional = (fields) =>
+	Object.fromEntries(
+		Object.entries(fields).map(([name, { required, requiredWhen, default: _, ...field }]) => [
+			name,
+			field,
+		])
+	);
+
+// Id of a drawn object, as listed in the scene description
+const TARGET_FIELD = { type: "string", max: 100, required: true };
+
+export const ACTION_SCHEMAS = {
+	draw: DRAW_FIELDS,
+	modify: {
+		target: TARGET_FIELD,
+		scale: { type: "number", min: 0.1, max: 10 },
+		...asOptional(DRAW_FIELDS),
+	},
+	move: {
+		target: TARGET_FIELD,
+		position: { type: "position" },
+		dx: { type: "number", min: -1, max: 1 },
+		dy: { type: "number", min: -1, max: 1 },
+	},
+	delete: {
+		target: TARGET_FIELD,
+	},
+	adjust: {
+		adjustment: { type: "enum", values: ["brightness", "contrast"], required: true },
+		value: { type: "number", min: -100, max: 100, required: true },
+	},
+	transform: {
+		operation: { type: "enum", values: ["rotate", "flip", "crop", "resize"], required: true },
+		angle: { type: "number", min: -360, max: 360 },
+		direction: { type: "enum", values: ["horizontal", "vertical"] },
+		aspect: { type: "aspect" },
+		scale: { type: "number", min: 0.01, max: 10 },
+		width: { type: "number", min: 1, max: 16384, integer: true },
+		height: { type: "number", min: 1, max: 16384, integer: true },
+	},
+	filter: {
+		filter: { type: "enum", values: Object.keys(FILTERS), required: true },
+		params: { type: "object", default: {} },
+	},
+	removeBackground: {
+		provider: { type: "enum", values: Object.keys(BG_REMOVAL_PROVIDERS) },
+	},
+	replaceBackground: {
+		background: { type: "enum", values: ["color", "gradient", "blur"], default: "color" },
+		color: { type: "color", default: "#ffffff" },
+		secondColor: { type: "color" },
+		blurRadius: { type: "number", min: 1, max: 50 },
+	},
+};
+
+// Fields a transform needs, by operation
+const TRANSFORM_DEFAULTS = {
+	rotate: { angle: 90 },
+	flip: { direction: "horizontal" },
+	crop: { aspect: "1:1" },
+	resize: {},
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Whether a string is a CSS color. Names are checked with the browser when
+ * it can tell us, otherwise any word is accepted.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isColor = (value) => {
+	if (COLOR_PATTERN.test(value)) return true;
+	if (!/^[a-z]+$/.test(value)) return false;
+	return typeof CSS === "undefined" || !CSS.supports ? true : CSS.supports("color", value);
+};
+
+/**
+ * Check and normalize one field
+ * @param {Object} field - Field schema
+ * @param {*} raw
+ * @returns {Object} - {value} or {error}
+ */
+const validateField = (field, raw) => {
+	switch (field.type) {
+		case "enum": {
+			// Case-insensitive, answering with the declared spelling
+			const key = String(raw).toLowerCase().trim();
+			const value = field.values.find((option) => String(option).toLowerCase() === key);
+			return value !== undefined
+				? { value }
+				: { error: `must be one of ${field.values.join(", ")} (got ${JSON.stringify(raw)})` };
+		}
+		case "number": {
+			const number = typeof raw === "string" ? Number(raw.replace("%", "")) : raw;
+			if (typeof number !== "number" || !Number.isFinite(number)) {
+				return { error: `must be a number (got ${JSON.stringify(raw)})` };
+			}
+			const scaled = field.percent && number > 1 ? number / 100 : number;
+			const value = clamp(scaled, field.min, field.max);
+			return { value: field.integer ? Math.round(value) : value };
+		}
+		case "string": {
+			const value = typeof raw === "number" ? String(raw) : raw;
+			if (typeof value !== "string" || !value.trim()) {
+				return { error: `must be a non-empty string (got ${JSON.stringify(raw)})` };
+			}
+			return { value: value.trim().slice(0, field.max) };
+		}
+		case "color": {
+			const value = typeof raw === "string" ? raw.trim().toLowerCase() : "";
+			if (field.allowNone && (value === "none" || value === "transparent")) {
+				return { value: "none" };
+			}
+			return isColor(value)
+				? { value }
+				: { error: `must be a color name, hex, rgb() or hsl() value (got ${JSON.stringify(raw)})` };
+		}
+		case "position": {
+			if (typeof raw !== "object" || raw === null) {
+				return { error: `must be an object {"x": number, "y": number} (got ${JSON.stringify(raw)})` };
+			}
+			const x = Number(raw.x);
+			const y = Number(raw.y);
+			if (!Number.isFinite(x) || !Number.isFinite(y)) {
+				return { error: `x and y must be numbers between 0 and 1 (got ${JSON.stringify(raw)})` };
+			}
+			return { value: { x: clamp(x, 0, 1), y: clamp(y, 0, 1) } };
+		}
+		case "object":
+			return typeof raw === "object" && !Array.isArray(raw)
+				? { value: raw }
+				: { error: `must be an object (got ${JSON.stringify(raw)})` };
+		case "aspect": {
+			if (typeof raw === "number" && raw > 0) return { value: raw };
+			const [width, height] = String(raw).split(/[:/x]/).map(Number);
+			return width > 0 && height > 0
+				? { value: `${width}:${height}` }
+				: { error: `must be a ratio like "16:9" (got ${JSON.stringify(raw)})` };
+		}
+		default:
+			return { error: "has an unknown type" };
+	}
+};
+
+/**
+ * JSON Schema for one field, for providers with tool calling. Looser than
+ * validateField, which still checks every reply.
+ * @param {Object} field - Field schema
+ * @returns {Object}
+ */
+const toJsonSchemaField = (field) => {
+	switch (field.type) {
+		case "enum":
+			return { type: "string", enum: field.values };
+		case "number":
+			return field.percent
+				? { type: "number", minimum: 0, description: "0-1, or a percentage" }
+				: { type: field.integer ? "integer" : "number", minimum: field.min, maximum: field.max };
+		case "string":
+			return { type: "string", maxLength: field.max };
+		case "color":
+			return {
+				type: "string",
+				description: `CSS color name, hex, rgb() or hsl()${field.allowNone ? ', or "none"' : ""}`,
+			};
+		case "position":
+			return {
+				type: "object",
+				properties: { x: { type: "number" }, y: { type: "number" } },
+				required: ["x", "y"],
+			};
+		case "aspect":
+			return { type: ["string", "number"], description: 'Ratio like "16:9"' };
+		default:
+			return { type: "object" };
+	}
+};
+
+/**
+ * JSON Schema of a reply, {"actions": [...]}, built from ACTION_SCHEMAS
+ * @returns {Object}
+ */
+export const getReplyJsonSchema = () => ({
+	type: "object",
+	properties: {
+		actions: {
+			type: "array",
+			minItems: 1,
+			items: {
+				anyOf: Object.entries(ACTION_SCHEMAS).map(([name, schema]) => ({
+					type: "object",
+					properties: {
+						action: { type: "string", enum: [name] },
+						...Object.fromEntries(
+							Object.entries(schema).map(([field, spec]) => [field, toJsonSchemaField(spec)])
+						),
+					},
+					required: [
+						"action",
+						...Object.keys(schema).filter((field) => schema[field].required),
+					],
+				})),
+			},
+		},
+	},
+	required: ["actions"],
+});
+
+/**
+ * Validate and normalize one action
+ * @param {*} raw - Parsed JSON value
+ * @param {string} path - Location for error messages, e.g. "actions[0]"
+ * @param {Object} context - {targets}, see validateCommands
+ * @returns {Object} - {command, errors}
+ */
+const validateAction = (raw, path, { targets }) => {
+	if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+		return { command: null, errors: [`${path}: must be an object`] };
+	}
+
+	const schema = ACTION_SCHEMAS[raw.action];
+	if (!schema) {
+		return {
+			command: null,
+			errors: [
+				`${path}.action: must be one of ${Object.keys(ACTION_SCHEMAS).join(", ")} (got ${JSON.stringify(raw.action)})`,
+			],
+		};
+	}
+
+	const errors = [];
+	const command = { action: raw.action };
+	const defaults =
+		raw.action === "transform" ? TRANSFORM_DEFAULTS[raw.operation] || {} : {};
+
+	Object.entries(schema).forEach(([name, field]) => {
+		const value = raw[name] ?? defaults[name];
+		if (value === undefined || value === null) {
+			// Conditions refer to fields earlier in the schema, already normalized
+			const requiredWhen =
+				field.requiredWhen &&
+				Object.entries(field.requiredWhen).every(([key, expected]) => command[key] === expected);
+			if (field.required || requiredWhen) {
+				errors.push(`${path}.${name}: is required`);
+			} else if (field.default !== undefined) {
+				command[name] = field.default;
+			}
+			return;
+		}
+
+		const result = validateField(field, value);
+		if (result.error) {
+			errors.push(`${path}.${name}: ${result.error}`);
+		} else {
+			command[name] = result.value;
+		}
+	});
+
+	if (targets && command.target !== undefined && !targets.includes(command.target)) {
+		errors.push(
+			targets.length > 0
+				? `${path}.target: no drawn object "${command.target}"; use one of ${targets.join(", ")}`
+				: `${path}.target: the image has no drawn objects`
+		);
+	}
+
+	return { command, errors };
+};
+
+/**
+ * Remove Markdown code fences and surrounding prose from a model reply
+ * @param {string} content
+ * @returns {string} - The JSON text
+ */
+export const stripCodeFences = (content) => {
+	const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+	const text = (fenced ? fenced[1] : content).trim();
+
+	// Keep from the first bracket to the matching last one
+	const start = text.search(/[[{]/);
+	const end = Math.max(text.lastIndexOf("}"), text.lastIndexOf("]"));
+	return start >= 0 && end > start ? text.slice(start, end + 1) : text;
+};
+
+/**
+ * Parse and validate a model reply
+ * @param {string} content - Raw reply text
+ * @param {Object} [context] - See validateCommands
+ * @returns {Object} - {commands, errors}; commands is null when there are errors
+ */
+export const validateCommandReply = (content, context) => {
+	let parsed;
+	try {
+		parsed = JSON.parse(stripCodeFences(content));
+	} catch (error) {
+		return { commands: null, errors: [`Reply is not valid JSON: ${error.message}`] };
+	}
+
+	// A bare action or array is accepted as well as {"actions": [...]}
+	const actions = Array.isArray(parsed)
+		? parsed
+		: Array.isArray(parsed?.actions)
+			? parsed.actions
+			: [parsed];
+	return validateCommands(actions, context);
+};
+
+/**
+ * Validate and normalize a list of actions
+ * @param {Array} actions - Raw action objects
+ * @param {Object} [context]
+ * @param {Array} [context.targets] - Ids of drawn objects that may be targeted
+ * @returns {Object} - {commands, errors}; commands is null when there are errors
+ */
+export const validateCommands = (actions, context = {}) => {
+	if (actions.length === 0) {
+		return { commands: null, errors: ["actions: must contain at least one action"] };
+	}
+
+	const results = actions.map((action, index) => validateAction(action, `actions[${index}]`, context));
+	const errors = results.flatMap((result) => result.errors);
+
+	return errors.length > 0
+		? { commands: null, errors }
+		: { commands: results.map((result) => result.command), errors: [] };
+};
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { stripCodeFences, validateCommandReply, validateCommands } from "./commandSchema";
+
+// Validate actions the way a model reply carrying them is validated
+const validate = (actions) => validateCommandReply(JSON.stringify({ actions }));
+
+describe("validateCommands", () => {
+	it("fills in defaults for valid actions", () => {
+		const { commands, errors } = validate([
+			{ action: "draw", shape: "circle", color: "red" },
+		]);
+
+		expect(errors).toEqual([]);
+		expect(commands).toEqual([
+			{ action: "draw", shape: "circle", color: "red", position: { x: 0.5, y: 0.5 }, size: 80 },
+		]);
+	});
+
+	it("clamps numbers into range", () => {
+		const { commands } = validate([
+			{ action: "adjust", adjustment: "brightness", value: 500 },
+		]);
+
+		expect(commands[0].value).toBe(100);
+	});
+
+	it("reports every invalid field with its path", () => {
+		const { commands, errors } = validate([
+			{ action: "draw", shape: "circle", color: "red" },
+			{ action: "draw", shape: "blob", size: "big" },
+		]);
+
+		expect(commands).toBeNull();
+		expect(errors).toEqual([
+			expect.stringMatching(/^actions\[1\]\.shape: must be one of .* \(got "blob"\)$/),
+			'actions[1].size: must be a number (got "big")',
+		]);
+	});
+
+	it("rejects unknown actions and empty lists", () => {
+		expect(validate([{ action: "fly" }]).errors[0]).toMatch(
+			/^actions\[0\]\.action: must be one of/
+		);
+		expect(validate([]).errors).toEqual(["actions: must contain at least one action"]);
+	});
+
+	it("only accepts targets that exist, when they are given", () => {
+		const remove = (target, context) => validateCommands([{ action: "delete", target }], context).errors;
+
+		expect(remove("shape-1", { targets: ["shape-1"] })).toEqual([]);
+		expect(remove("x", { targets: ["shape-1"] })).toEqual([
+			'actions[0].target: no drawn object "x"; use one of shape-1',
+		]);
+		expect(remove("x", { targets: [] })).toEqual(["actions[0].target: the image has no drawn objects"]);
+		expect(remove("x")).toEqual([]);
+	});
+});
+
+describe("validateCommandReply", () => {
+	it("accepts an actions object, an array or a bare action", () => {
+		const contrast = [{ action: "adjust", adjustment: "contrast", value: 10 }];
+		const action = '{"action": "adjust", "adjustment": "contrast", "value": 10}';
+
+		expect(validateCommandReply(`{"actions": [${action}]}`).commands).toEqual(contrast);
+		expect(validateCommandReply(`[${action}]`).commands).toEqual(contrast);
+		expect(validateCommandReply(action).commands).toEqual(contrast);
+	});
+
+	it("reads replies wrapped in prose and code fences", () => {
+		const reply = 'Sure!\n```json\n{"actions": [{"action": "transform", "operation": "rotate"}]}\n```\nDone.';
+
+		// Rotations default to a quarter turn
+		expect(validateCommandReply(reply).commands).toEqual([
+			{ action: "transform", operation: "rotate", angle: 90 },
+		]);
+	});
+
+	it("reports replies that are not JSON, so they can be repaired", () => {
+		const { commands, errors } = validateCommandReply("I can't do that");
+
+		expect(commands).toBeNull();
+		expect(errors[0]).toMatch(/^Reply is not valid JSON/);
+	});
+});
+
+describe("stripCodeFences", () => {
+	it("keeps the JSON between the outer brackets", () => {
+		expect(stripCodeFences('Here you go: {"a": [1]} hope it helps')).toBe('{"a": [1]}');
+		expect(stripCodeFences("```\n[1, 2]\n```")).toBe("[1, 2]");
+	});
+});
@@ -0,0 +1,130 @@
+/**
+ * Document Renderer
+ * Re-renders the working document from its source image: the filter stack
+ * runs first, then stages (shapes, adjustments, AI results) are replayed on
+ * top in order, so editing a filter never wipes later work
+ */
+
+import { runFilters, applyFilter } from "./opencvWorker";
+import { executeCommands } from "./actionRegistry";
+import { applyBackgroundRemovedImage } from "./huggingFaceBgRemoval";
+import { applyBackgroundReplacement } from "./backgroundReplacement";
+
+// Stage types replayed over the filtered image, called with
+// (canvas, stage, image, {signal, backdrop}); transforms may resize the canvas
+const STAGE_RENDERERS = {
+	transform: (canvas, stage, image, { signal }) =>
+		applyFilter(canvas, stage.operation, stage.params, { signal }),
+	command: (canvas, stage, image, { signal }) =>
+		executeCommands(canvas, stage.commands, { image, signal }),
+	backgroundRemoval: (canvas, stage) =>
+		applyBackgroundRemovedImage(canvas, stage.blob, stage.strokes),
+	backgroundReplacement: (canvas, stage, image, { backdrop }) =>
+		applyBackgroundReplacement(canvas, stage.replacement, backdrop),
+};
+
+/**
+ * Create an empty document
+ * @returns {Object} - {filters, stages}
+ */
+export const createDocument = () => ({ filters: [], stages: [] });
+
+/**
+ * Copy a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @returns {HTMLCanvasElement}
+ */
+const copyCanvas = (canvas) => {
+	const copy = document.createElement("canvas");
+	copy.width = canvas.width;
+	copy.height = canvas.height;
+	copy.getContext("2d").drawImage(canvas, 0, 0);
+	return copy;
+};
+
+/**
+ * Whether a stage paints a blurred copy of the image behind the cut-out
+ * @param {Object} stage
+ * @returns {boolean}
+ */
+const usesBackdrop = (stage) =>
+	stage.type === "backgroundReplacement" && stage.replacement.background.type === "blur";
+
+/**
+ * Create a renderer that caches the filtered source between renders, so
+ * adding a stage does not re-run the filter stack
+ * @returns {Function} - (canvas, image, document, options) => Promise<void>
+ */
+export const createDocumentRenderer = () => {
+	let cache = null; // {image, filters, pixels}
+
+	/**
+	 * Draw the source image with the enabled filters applied
+	 * @param {HTMLCanvasElement} canvas
+	 * @param {Object} image - Image descriptor from ImageUploader
+	 * @param {Array} filters
+	 * @param {Object} options - {signal, onProgress}, see runFilters
+	 */
+	const renderFiltered = async (canvas, image, filters, options) => {
+		const ctx = canvas.getContext("2d");
+
+		if (cache && cache.image === image && cache.filters === filters) {
+			ctx.putImageData(cache.pixels, 0, 0);
+			return;
+		}
+
+		ctx.drawImage(image.originalImage, 0, 0, image.width, image.height);
+
+		const enabled = filters
+			.filter((filter) => filter.enabled)
+			.map(({ type, params }) => ({ type, params }));
+
+		if (enabled.length > 0) {
+			const source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+			ctx.putImageData(await runFilters(source, enabled, options), 0, 0);
+		}
+
+		cache = {
+			image,
+			filters,
+			pixels: ctx.getImageData(0, 0, canvas.width, canvas.height),
+		};
+	};
+
+	/**
+	 * Render a document onto the canvas
+	 * @param {HTMLCanvasElement} canvas
+	 * @param {Object} image - Image descriptor from ImageUploader
+	 * @param {Object} doc - {filters, stages}
+	 * @param {Object} [options] - {signal, onProgress} for the filter stack
+	 */
+	return async (canvas, image, doc, options = {}) => {
+		// Render off-screen so an aborted or failed render leaves the view untouched
+		const scratch = document.createElement("canvas");
+		scratch.width = image.width;
+		scratch.height = image.height;
+
+		await renderFiltered(scratch, image, doc.filters, options);
+
+		// The image as it would be without its background removed, kept in
+		// step with later stages (transforms, drawings) for blurred backgrounds
+		let backdrop = null;
+		for (const [index, stage] of doc.stages.entries()) {
+			const render = STAGE_RENDERERS[stage.type];
+			if (!render) {
+				throw new Error(`Unknown stage: ${stage.type}`);
+			}
+
+			if (stage.type === "backgroundRemoval") {
+				backdrop ??= doc.stages.slice(index + 1).some(usesBackdrop) ? copyCanvas(scratch) : null;
+			} else if (backdrop && stage.type !== "backgroundReplacement") {
+				await render(backdrop, stage, image, options);
+			}
+			await render(scratch, stage, image, { ...options, backdrop });
+		}
+
+		canvas.width = scratch.width;
+		canvas.height = scratch.height;
+		canvas.getContext("2d").drawImage(scratch, 0, 0);
+	};
+};
@@ -4,16 +4,78 @@
  */
 
 import { client } from "@gradio/client";
+import { paintMaskStrokes } from "./maskRefinement";
+import { withRetry, createRequestError, describeRetry } from "./requestPolicy";
+import { getSpaceHealth, getQueueProgress } from "./spaceStatus";
 
 // Hugging Face Space URL for RMBG-1.4
 const HF_SPACE_URL = import.meta.env.VITE_HF_SPACE_URL || "https://briaai-bria-rmbg-1-4.hf.space/";
+const HF_ENDPOINT = import.meta.env.VITE_HF_ENDPOINT || "/predict";
+// Per attempt; a sleeping Space can take minutes to start
+const HF_TIMEOUT = Number(import.meta.env.VITE_HF_TIMEOUT_MS) || 180000;
+
+/**
+ * Error for a failed Gradio job, named like requestPolicy's errors
+ * @param {string} message - From the job's error status
+ * @returns {Error}
+ */
+const createJobError = (message = "Prediction failed") => {
+	if (/quota/i.test(message)) {
+		return createRequestError("QuotaError", `Quota exceeded: ${message}`, { status: 429 });
+	}
+	if (/busy|queue is full/i.test(message)) {
+		return createRequestError("RateLimitError", `Space is busy: ${message}`, { status: 429 });
+	}
+	return new Error(message);
+};
+
+/**
+ * Run an endpoint as a queued job, cancelling the job on abort
+ * @param {Object} app - Gradio client, connected with status events
+ * @param {string} endpoint
+ * @param {Array} data - Endpoint inputs
+ * @param {AbortSignal} signal
+ * @param {Function} [onProgress] - Called with queue progress, see getQueueProgress
+ * @returns {Promise<Object>} - The data event
+ */
+const predict = async (app, endpoint, data, signal, onProgress) => {
+	const job = app.submit(endpoint, data);
+	const cancel = () => job.cancel().catch(() => {});
+	signal.addEventListener("abort", cancel, { once: true });
+
+	try {
+		for await (const event of job) {
+			if (event.type === "data") {
+				return event;
+			}
+			if (event.type === "status" && event.stage === "error") {
+				throw createJobError(event.message);
+			}
+			if (event.type === "status") {
+				const progress = getQueueProgress(event);
+				if (progress) onProgress?.(progress);
+			}
+		}
+		throw new Error("The Space closed the connection without a result");
+	} finally {
+		signal.removeEventListener("abort", cancel);
+	}
+};
 
 /**
  * Remove background from image using Hugging Face RMBG-1.4 model
  * @param {HTMLCanvasElement} canvas - Canvas containing the image
+ * @param {Object} [options]
+ * @param {string} [options.spaceUrl] - Gradio Space to call
+ * @param {string} [options.endpoint] - Named endpoint that takes one image
+ * @param {AbortSignal} [options.signal] - Cancels the queued job
+ * @param {Function} [options.onProgress] - Called with {phase: "space" | "queue" | "retry", ...}
  * @returns {Promise<Blob>} - Processed image blob
  */
-export const removeBackground = async (canvas) => {
+export const removeBackground = async (
+	canvas,
+	{ spaceUrl = HF_SPACE_URL, endpoint = HF_ENDPOINT, signal, onProgress } = {}
+) => {
 	if (!canvas) {
 		throw new Error("No canvas provided");
 	}
@@ -30,124 +92,121 @@ export const removeBackground = async (canvas) => {
 			}, "image/png", 1.0);
 		});
 
-		// Connect to Hugging Face Space
-		const app = await client(HF_SPACE_URL);
-		
-		// Process image using RMBG-1.4 model
-		const result = await app.predict("/predict", [blob]);
-		
-		// Extract the file information from the response
-		if (!result.data || !result.data[0]) {
-			throw new Error("Invalid response format from Hugging Face API");
-		}
-		
-		const fileInfo = result.data[0];
-		
-		// The response contains a file path, we need to download it
-		// Gradio typically serves files at /file={path} endpoint
-		let imageUrl;
-		
-		if (fileInfo.url) {
-			// If URL is provided, use it directly
-			imageUrl = fileInfo.url;
-		} else if (fileInfo.path) {
-			// Construct the file URL from the path
-			imageUrl = `${HF_SPACE_URL}file=${fileInfo.path}`;
-		} else {
-			throw new Error("No file path or URL in response");
-		}
-		
-		// Fetch the actual image file
-		const imageResponse = await fetch(imageUrl);
-		
-		if (!imageResponse.ok) {
-			throw new Error(`Failed to fetch processed image: ${imageResponse.status}`);
-		}
-		
-		// Get the image as blob
-		const processedBlob = await imageResponse.blob();
-		
-		return processedBlob;
-		
+		return await withRetry(
+			async (attemptSignal) => {
+				// Connect to Hugging Face Space; failures here are usually a
+				// Space that is still starting, so they are retried
+				const app = await client(spaceUrl, {
+					events: ["data", "status"],
+					// Sleeping and building Spaces report while they start
+					status_callback: (space) => onProgress?.({ phase: "space", message: space.message }),
+				}).catch((error) => {
+					throw createRequestError("Error", `Could not connect to the Space: ${error.message}`, {
+						status: 503,
+					});
+				});
+
+				// Process image using RMBG-1.4 model
+				const result = await predict(app, endpoint, [blob], attemptSignal, onProgress);
+
+				// Extract the file information from the response
+				if (!result.data || !result.data[0]) {
+					throw new Error("Invalid response format from Hugging Face API");
+				}
+
+				const fileInfo = result.data[0];
+
+				// The response contains a file path, we need to download it
+				// Gradio typically serves files at /file={path} endpoint
+				let imageUrl;
+
+				if (fileInfo.url) {
+					// If URL is provided, use it directly
+					imageUrl = fileInfo.url;
+				} else if (fileInfo.path) {
+					// Construct the file URL from the path
+					imageUrl = `${spaceUrl.replace(/\/?$/, "/")}file=${fileInfo.path}`;
+				} else {
+					throw new Error("No file path or URL in response");
+				}
+
+				// Fetch the actual image file
+				const imageResponse = await fetch(imageUrl, { signal: attemptSignal });
+
+				if (!imageResponse.ok) {
+					throw new Error(`Failed to fetch processed image: ${imageResponse.status}`);
+				}
+
+				return imageResponse.blob();
+			},
+			{
+				label: "Hugging Face Space",
+				timeout: HF_TIMEOUT,
+				signal,
+				onRetry: (retry) =>
+					onProgress?.({ phase: "retry", message: describeRetry("Hugging Face Space", retry) }),
+			}
+		);
+
 	} catch (error) {
+		if (error.name === "AbortError") throw error;
+
 		console.error("❌ Hugging Face API error:", error);
-		throw new Error(`Background removal failed: ${error.message}`);
+		throw createRequestError(error.name, `Background removal failed: ${error.message}`, error);
+	}
+};
+
+// Decoded mattes, so live mask refinement does not decode the PNG per frame
+const decodedMattes = new WeakMap();
+
+const decodeMatte = (imageBlob) => {
+	if (!decodedMattes.has(imageBlob)) {
+		const decoding = createImageBitmap(imageBlob).catch((error) => {
+			decodedMattes.delete(imageBlob);
+			console.error("❌ Failed to load processed image:", error);
+			throw new Error("Failed to load processed image");
+		});
+		decodedMattes.set(imageBlob, decoding);
 	}
+	return decodedMattes.get(imageBlob);
 };
 
 /**
  * Apply the background-removed image to canvas
+ * Only the alpha of the processed image is used, as a mask kept separate
+ * from the pixels, so whatever is already on the canvas (filters, shapes) is
+ * kept and cut out along the subject. Refinement strokes are painted onto
+ * the mask first.
  * @param {HTMLCanvasElement} canvas - Target canvas
  * @param {Blob} imageBlob - Processed image blob
+ * @param {Array} [strokes] - Mask refinement strokes, see paintMaskStrokes
  * @returns {Promise<void>}
  */
-export const applyBackgroundRemovedImage = (canvas, imageBlob) => {
-	return new Promise((resolve, reject) => {
-		if (!canvas || !imageBlob) {
-			reject(new Error("Missing canvas or image blob"));
-			return;
-		}
+export const applyBackgroundRemovedImage = async (canvas, imageBlob, strokes = []) => {
+	if (!canvas || !imageBlob) {
+		throw new Error("Missing canvas or image blob");
+	}
 
-		const ctx = canvas.getContext("2d");
-		const img = new Image();
-
-		img.onload = () => {
-			
-			// Clear canvas with transparent background
-			ctx.clearRect(0, 0, canvas.width, canvas.height);
-			
-			// Draw the background-removed image preserving canvas dimensions
-			ctx.globalCompositeOperation = 'source-over';
-			ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-			
-			// Clean up
-			URL.revokeObjectURL(img.src);
-			resolve();
-		};
-
-		img.onerror = (error) => {
-			console.error("❌ Failed to load processed image:", error);
-			URL.revokeObjectURL(img.src);
-			reject(new Error("Failed to load processed image"));
-		};
-
-		// Create object URL and load image
-		try {
-			const objectURL = URL.createObjectURL(imageBlob);
-			img.src = objectURL;
-		} catch (error) {
-			console.error("❌ Failed to create object URL:", error);
-			reject(new Error("Failed to create object URL for processed image"));
-		}
-	});
+	const matte = await decodeMatte(imageBlob);
+
+	const mask = document.createElement("canvas");
+	mask.width = canvas.width;
+	mask.height = canvas.height;
+	const maskCtx = mask.getContext("2d");
+	maskCtx.drawImage(matte, 0, 0, canvas.width, canvas.height);
+	paintMaskStrokes(maskCtx, strokes);
+
+	// Keep canvas pixels only where the mask is opaque
+	const ctx = canvas.getContext("2d");
+	ctx.save();
+	ctx.globalCompositeOperation = "destination-in";
+	ctx.drawImage(mask, 0, 0);
+	ctx.restore();
 };
 
 /**
- * Get Hugging Face service status
- * @returns {Promise<Object>} - Service information
+ * Check the Space: its runtime state and how fast it answers
+ * @param {string} [spaceUrl] - Gradio Space to check
+ * @returns {Promise<Object>} - {ok, degraded, message, details}, see getSpaceHealth
  */
-export const getAccountInfo = async () => {
-	try {
-		// Test connection to Hugging Face Space
-		await client(HF_SPACE_URL);
-		
-		return {
-			data: {
-				attributes: {
-					api: {
-						free_calls: "unlimited",
-						sizes: "all"
-					},
-					credits: {
-						total: "unlimited"
-					}
-				}
-			},
-			service: "Hugging Face Spaces",
-			model: "RMBG-1.4",
-			provider: "BRIA AI"
-		};
-	} catch (error) {
-		throw new Error("Hugging Face Space not available");
-	}
-};
+export const checkSpaceHealth = (spaceUrl = HF_SPACE_URL) => getSpaceHealth(spaceUrl);
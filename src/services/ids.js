@@ -0,0 +1,13 @@
+/**
+ * Ids
+ * Unique ids for filters, stages and drawn objects
+ */
+
+let nextId = 1;
+
+/**
+ * Create a unique id
+ * @param {string} prefix - e.g. "filter", "stage", "shape"
+ * @returns {string}
+ */
+export const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${nextId++}`;
@@ -0,0 +1,219 @@
+/**
+ * Image Export Service
+ * Encodes the working canvas in the formats the browser supports, at its
+ * original resolution or a resized copy, with optional embedded metadata
+ */
+
+export const EXPORT_FORMATS = {
+	png: { label: "PNG", type: "image/png", extension: "png", lossy: false, alpha: true },
+	jpeg: { label: "JPEG", type: "image/jpeg", extension: "jpg", lossy: true, alpha: false },
+	webp: { label: "WebP", type: "image/webp", extension: "webp", lossy: true, alpha: true },
+	avif: { label: "AVIF", type: "image/avif", extension: "avif", lossy: true, alpha: true },
+};
+
+// Formats that can carry a text comment written by embedMetadata
+const METADATA_FORMATS = new Set(["image/png", "image/jpeg"]);
+
+let supportedFormats = null;
+
+/**
+ * List the formats this browser can encode; unsupported types fall back to
+ * PNG in toDataURL, which is how they are detected
+ * @returns {Array} - Keys of EXPORT_FORMATS
+ */
+export const getSupportedFormats = () => {
+	if (!supportedFormats) {
+		const probe = document.createElement("canvas");
+		probe.width = 1;
+		probe.height = 1;
+		supportedFormats = Object.keys(EXPORT_FORMATS).filter((key) =>
+			probe.toDataURL(EXPORT_FORMATS[key].type).startsWith(`data:${EXPORT_FORMATS[key].type}`)
+		);
+	}
+	return supportedFormats;
+};
+
+/**
+ * Whether embedMetadata can write into this format
+ * @param {string} type - MIME type
+ * @returns {boolean}
+ */
+export const supportsMetadata = (type) => METADATA_FORMATS.has(type);
+
+/**
+ * Encode a canvas, optionally resized
+ * @param {HTMLCanvasElement} canvas - Full-resolution working canvas
+ * @param {Object} [options]
+ * @param {number} [options.width] - Output width (defaults to the canvas width)
+ * @param {number} [options.height] - Output height (defaults to the canvas height)
+ * @param {string} [options.type] - MIME type
+ * @param {number} [options.quality] - 0-1 for lossy formats
+ * @param {string} [options.background] - Color painted behind transparent pixels
+ * @returns {Promise<Blob>}
+ */
+export const exportImage = (
+	canvas,
+	{ width = canvas.width, height = canvas.height, type = "image/png", quality, background } = {}
+) => {
+	let output = canvas;
+	if (width !== canvas.width || height !== canvas.height || background) {
+		output = document.createElement("canvas");
+		output.width = width;
+		output.height = height;
+		const ctx = output.getContext("2d");
+		if (background) {
+			ctx.fillStyle = background;
+			ctx.fillRect(0, 0, width, height);
+		}
+		ctx.imageSmoothingQuality = "high";
+		ctx.drawImage(canvas, 0, 0, width, height);
+	}
+
+	return new Promise((resolve, reject) => {
+		output.toBlob(
+			(blob) => {
+				if (blob) {
+					resolve(blob);
+				} else {
+					reject(new Error("Failed to encode image"));
+				}
+			},
+			type,
+			quality
+		);
+	});
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+	let crc = 0xffffffff;
+	for (const byte of bytes) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a PNG tEXt chunk
+ * @param {string} keyword
+ * @param {string} text - Latin-1 text
+ * @returns {Uint8Array}
+ */
+const createTextChunk = (keyword, text) => {
+	const data = Uint8Array.from(`${keyword}\0${text}`, (char) => char.charCodeAt(0) & 0xff);
+	const chunk = new Uint8Array(data.length + 12);
+	const view = new DataView(chunk.buffer);
+	view.setUint32(0, data.length);
+	chunk.set([0x74, 0x45, 0x58, 0x74], 4); // "tEXt"
+	chunk.set(data, 8);
+	view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+	return chunk;
+};
+
+// Bytes of text a JPEG COM segment holds: its 16-bit length counts itself
+const MAX_COMMENT_BYTES = 65533;
+
+/**
+ * Build JPEG COM segments, splitting text that does not fit one segment
+ * between UTF-8 characters
+ * @param {string} text
+ * @returns {Array} - Uint8Array segments
+ */
+const createCommentSegments = (text) => {
+	const data = new TextEncoder().encode(text);
+	const segments = [];
+	for (let start = 0; start < data.length; ) {
+		let end = Math.min(start + MAX_COMMENT_BYTES, data.length);
+		// Continuation bytes (10xxxxxx) belong to the character before them
+		while (end < data.length && (data[end] & 0xc0) === 0x80) end--;
+
+		const segment = new Uint8Array(end - start + 4);
+		segment.set([0xff, 0xfe, (end - start + 2) >> 8, (end - start + 2) & 0xff]);
+		segment.set(data.subarray(start, end), 4);
+		segments.push(segment);
+		start = end;
+	}
+	return segments;
+};
+
+/**
+ * Offset after the SOI marker and the APPn segments (JFIF, Exif, ICC
+ * profile...) that decoders expect right after it
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {number}
+ */
+const findJpegCommentOffset = (bytes) => {
+	let offset = 2;
+	while (bytes[offset] === 0xff && bytes[offset + 1] >= 0xe0 && bytes[offset + 1] <= 0xef) {
+		offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+	}
+	return offset;
+};
+
+/**
+ * Write text metadata into an encoded PNG (tEXt chunks) or JPEG (comments)
+ * @param {Blob} blob - Output of exportImage
+ * @param {Object} fields - {keyword: text}, e.g. {Software, Description}
+ * @returns {Promise<Blob>} - The original blob for other formats
+ */
+export const embedMetadata = async (blob, fields) => {
+	const entries = Object.entries(fields).filter(([, text]) => text);
+	if (!supportsMetadata(blob.type) || entries.length === 0) return blob;
+
+	const bytes = new Uint8Array(await blob.arrayBuffer());
+
+	if (blob.type === "image/png") {
+		// Chunks go right after IHDR: 8 byte signature + 25 byte IHDR
+		const chunks = entries.map(([keyword, text]) => createTextChunk(keyword, text));
+		return new Blob([bytes.subarray(0, 33), ...chunks, bytes.subarray(33)], { type: blob.type });
+	}
+
+	const offset = findJpegCommentOffset(bytes);
+	const comments = createCommentSegments(entries.map(([key, text]) => `${key}: ${text}`).join("\n"));
+	return new Blob([bytes.subarray(0, offset), ...comments, bytes.subarray(offset)], {
+		type: blob.type,
+	});
+};
+
+/**
+ * Copy an image to the clipboard. Browsers only accept PNG here.
+ * @param {Blob} blob - PNG image
+ * @returns {Promise<void>}
+ */
+export const copyImageToClipboard = async (blob) => {
+	if (!navigator.clipboard?.write || typeof ClipboardItem === "undefined") {
+		throw new Error("This browser cannot copy images to the clipboard");
+	}
+	await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+};
+
+/**
+ * Save a blob through the browser's download prompt
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.download = fileName;
+	link.href = url;
+	link.click();
+	// Give the browser a moment to start the download
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Name the exported file after the original, with the right extension
+ * @param {string} fileName - Original file name
+ * @param {string} extension - Without the dot
+ * @returns {string}
+ */
+export const getExportFileName = (fileName = "image", extension) =>
+	`edited-${fileName.replace(/\.[^.]+$/, "")}.${extension}`;
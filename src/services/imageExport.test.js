@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { embedMetadata } from "./imageExport";
+
+/**
+ * Marker segment with its 16-bit length
+ * @param {number} marker - Second marker byte, e.g. 0xe0 for APP0
+ * @param {number} size - Bytes of data
+ * @returns {Array}
+ */
+const segment = (marker, size) => [
+	0xff,
+	marker,
+	(size + 2) >> 8,
+	(size + 2) & 0xff,
+	...Array(size).fill(1),
+];
+
+// SOI, APP0 (JFIF), APP1 (Exif), DQT, then the rest of the image
+const JPEG = Uint8Array.from([
+	...[0xff, 0xd8],
+	...segment(0xe0, 14),
+	...segment(0xe1, 30),
+	...segment(0xdb, 4),
+	...[0xff, 0xd9],
+]);
+const DQT_OFFSET = 2 + 18 + 34;
+
+/**
+ * COM segments of a JPEG, in order
+ * @param {Uint8Array} bytes
+ * @returns {Array} - {offset, bytes} with the comment's text bytes
+ */
+const readComments = (bytes) => {
+	const comments = [];
+	for (let offset = 2; bytes[offset] === 0xff && bytes[offset + 1] !== 0xd9; ) {
+		const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+		if (bytes[offset + 1] === 0xfe) {
+			comments.push({ offset, bytes: bytes.subarray(offset + 4, offset + 2 + length) });
+		}
+		offset += 2 + length;
+	}
+	return comments;
+};
+
+const embed = async (fields) => {
+	const blob = await embedMetadata(new Blob([JPEG], { type: "image/jpeg" }), fields);
+	return new Uint8Array(await blob.arrayBuffer());
+};
+
+describe("embedMetadata for JPEG", () => {
+	it("puts the comment after the APPn segments", async () => {
+		const bytes = await embed({ Software: "Editor", Description: "Café" });
+		const [comment] = readComments(bytes);
+
+		expect(comment.offset).toBe(DQT_OFFSET);
+		expect(new TextDecoder().decode(comment.bytes)).toBe("Software: Editor\nDescription: Café");
+		expect(bytes.subarray(0, DQT_OFFSET)).toEqual(JPEG.subarray(0, DQT_OFFSET));
+		expect(bytes.subarray(comment.offset + comment.bytes.length + 4)).toEqual(
+			JPEG.subarray(DQT_OFFSET)
+		);
+	});
+
+	it("splits comments too long for one segment between characters", async () => {
+		// "Description: " is 13 bytes, so a 3-byte character straddles the 65533 byte limit
+		const text = `${"a".repeat(65533 - 13 - 1)}€${"b".repeat(10000)}`;
+
+		const comments = readComments(await embed({ Description: text }));
+
+		expect(comments.map((comment) => comment.bytes.length)).toEqual([65533 - 1, 10003]);
+		expect(comments[1].offset).toBe(comments[0].offset + 65532 + 4);
+		expect(comments.map((comment) => new TextDecoder().decode(comment.bytes)).join("")).toBe(
+			`Description: ${text}`
+		);
+	});
+
+	it("leaves formats without comments as they are", async () => {
+		const blob = new Blob([JPEG], { type: "image/webp" });
+
+		expect(await embedMetadata(blob, { Software: "Editor" })).toBe(blob);
+	});
+});
@@ -0,0 +1,109 @@
+/**
+ * Image Files
+ * Reads image files picked or dropped by the user into the image descriptor
+ * the editor works on ({originalImage, width, height, fileName}), and walks
+ * dropped folders for batch processing
+ */
+
+// Also the limit of the hosted background removal services
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Check that a file can be edited
+ * @param {File} file
+ * @returns {string|null} - Why the file is rejected, or null
+ */
+export const validateImageFile = (file) => {
+	if (!file.type.startsWith("image/")) {
+		return "Please select a valid image file";
+	}
+	if (file.size > MAX_FILE_SIZE) {
+		return "Image size must be less than 10MB";
+	}
+	return null;
+};
+
+/**
+ * Decode an image file at full resolution
+ * @param {File} file
+ * @returns {Promise<Object>} - Image descriptor {originalImage, width, height, fileName,
+ *   source}; source is the file itself, kept for autosave
+ */
+export const loadImageFile = (file) =>
+	new Promise((resolve, reject) => {
+		const url = URL.createObjectURL(file);
+		const img = new Image();
+		img.onload = () => {
+			URL.revokeObjectURL(url);
+			resolve({
+				originalImage: img,
+				width: img.naturalWidth,
+				height: img.naturalHeight,
+				fileName: file.name,
+				source: file,
+			});
+		};
+		img.onerror = () => {
+			URL.revokeObjectURL(url);
+			reject(new Error("Failed to load image. Please try another file."));
+		};
+		img.src = url;
+	});
+
+/**
+ * Read every entry of a dropped directory; readEntries returns them in chunks
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<Array>} - FileSystemEntry objects
+ */
+const readDirectory = async (directory) => {
+	const reader = directory.createReader();
+	const entries = [];
+	for (;;) {
+		const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+		if (chunk.length === 0) return entries;
+		entries.push(...chunk);
+	}
+};
+
+/**
+ * Files below a dropped entry, each with the path it had in the drop
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<Array>} - [{file, path}]
+ */
+const collectEntry = async (entry) => {
+	if (entry.isFile) {
+		const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+		return [{ file, path: entry.fullPath.replace(/^\//, "") }];
+	}
+
+	const children = await readDirectory(entry);
+	const nested = await Promise.all(children.map(collectEntry));
+	return nested.flat();
+};
+
+/**
+ * Files of a drop, including the contents of dropped folders
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array>} - [{file, path}] in drop order
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+	// Entries must be taken synchronously, before the drop event ends
+	const entries = [...dataTransfer.items]
+		.filter((item) => item.kind === "file")
+		.map((item) => item.webkitGetAsEntry?.());
+
+	if (entries.length === 0 || entries.some((entry) => !entry)) {
+		return [...dataTransfer.files].map((file) => ({ file, path: file.name }));
+	}
+
+	const collected = await Promise.all(entries.map(collectEntry));
+	return collected.flat();
+};
+
+/**
+ * Files chosen in a file input, keeping folder paths for directory pickers
+ * @param {FileList} files
+ * @returns {Array} - [{file, path}]
+ */
+export const collectInputFiles = (files) =>
+	[...files].map((file) => ({ file, path: file.webkitRelativePath || file.name }));
@@ -0,0 +1,35 @@
+/**
+ * Image Scale
+ * The working document keeps the image at full resolution while the view
+ * fits it to the screen. Sizes that users and the language model think of in
+ * on-screen terms (shape sizes, brush widths, blur radii) are given for an
+ * image fitted to VIEW_WIDTH × VIEW_HEIGHT and scaled up to image pixels.
+ */
+
+export const VIEW_WIDTH = 800;
+export const VIEW_HEIGHT = 600;
+
+/**
+ * Image pixels per view pixel for an image of the given size
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} - 1 for images that already fit the view
+ */
+export const getViewScale = (width, height) =>
+	Math.max(width / VIEW_WIDTH, height / VIEW_HEIGHT, 1);
+
+/**
+ * Fit dimensions inside a bounding box, never scaling up
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxWidth
+ * @param {number} maxHeight
+ * @returns {Object} - {width, height} rounded to whole pixels
+ */
+export const fitSize = (width, height, maxWidth, maxHeight) => {
+	const ratio = Math.min(maxWidth / width, maxHeight / height, 1);
+	return {
+		width: Math.max(1, Math.round(width * ratio)),
+		height: Math.max(1, Math.round(height * ratio)),
+	};
+};
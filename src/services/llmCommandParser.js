@@ -0,0 +1,135 @@
+/**
+ * LLM Command Parser
+ * Handles natural language command parsing with any provider from
+ * llmProviders
+ */
+
+import { validateCommandReply, getReplyJsonSchema } from "./commandSchema";
+import { ACTIONS } from "./actionRegistry";
+import { describeScene } from "./sceneModel";
+import { getLlmProvider } from "./llmProviders";
+import { createRequestError } from "./requestPolicy";
+
+// Extra requests allowed when the model's reply fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Tool the model is made to call with the actions, when tools are supported
+const ACTIONS_TOOL = {
+	name: "apply_actions",
+	description: "Apply editing actions to the image, in order",
+	parameters: getReplyJsonSchema(),
+};
+
+/**
+ * System prompt describing every action in the registry
+ * @returns {string}
+ */
+const buildSystemPrompt = () => {
+	const actions = Object.entries(ACTIONS);
+	const formatExample = ([text, actionOrList]) =>
+		`- "${text}" → ${JSON.stringify({
+			actions: Array.isArray(actionOrList) ? actionOrList : [actionOrList],
+		})}`;
+
+	return `You are an image editor command parser. Convert natural language commands into JSON actions for the editor. A command may ask for several actions; return every one of them, in the order they were asked for.
+
+Supported actions:
+${actions.map(([, action], index) => `${index + 1}. ${action.label}: ${action.prompt.commands}`).join("\n")}
+
+Return JSON in this exact format, with one entry per action:
+{"actions": [ACTION, ...]}
+
+where each ACTION has "action": ${actions.map(([name]) => `"${name}"`).join(" | ")} and the fields of that action:
+${actions
+	.map(([name, action]) => `"${name}":\n${action.prompt.fields.map((field) => `  ${field}`).join("\n")}`)
+	.join("\n")}
+
+Drawn objects are listed in the next message with their ids. To change, move or delete one, use its id as "target"; "the circle" or "the last triangle" means the newest matching object. Never invent ids.
+
+Position Guidelines:
+- Use decimal values between 0.0 and 1.0 for relative positioning
+- 0.5, 0.5 = center
+- 0.2, 0.2 = top-left area
+- 0.8, 0.2 = top-right area
+- 0.2, 0.8 = bottom-left area
+- 0.8, 0.8 = bottom-right area
+- If no position mentioned, use center (0.5, 0.5)
+
+Examples:
+${actions.flatMap(([, action]) => action.prompt.examples).map(formatExample).join("\n")}
+- "draw a red circle top left and a blue square bottom right, then brighten 10%" → {"actions": [{"action": "draw", "shape": "circle", "color": "red", "position": {"x": 0.2, "y": 0.2}, "size": 80}, {"action": "draw", "shape": "square", "color": "blue", "position": {"x": 0.8, "y": 0.8}, "size": 80}, {"action": "adjust", "adjustment": "brightness", "value": 10}]}
+
+Only return valid JSON, no explanations or code fences.`;
+};
+
+/**
+ * Parse natural language command into canvas actions
+ * @param {string} command - User's natural language command
+ * @param {Object} [options]
+ * @param {Array} [options.scene] - Drawn objects the command may refer to, see getSceneObjects
+ * @param {string} options.provider - Key in LLM_PROVIDERS
+ * @param {string} [options.model] - Defaults to the provider's first model
+ * @param {number} [options.temperature]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.onRetry] - See withRetry
+ * @returns {Promise<Array>} - Parsed command objects, in the order to run them
+ */
+export const parseCommand = async (
+	command,
+	{ scene = [], provider: providerId, model, temperature, signal, onRetry } = {}
+) => {
+	const provider = getLlmProvider(providerId);
+	if (!provider.isConfigured()) {
+		throw new Error(`${provider.label} not configured. ${provider.setupHint || ""}`.trim());
+	}
+
+	const systemPrompt = buildSystemPrompt();
+
+	const messages = [
+		{ role: "system", content: systemPrompt },
+		// Lets modify, move and delete refer to objects by id
+		{ role: "system", content: describeScene(scene) },
+		{ role: "user", content: command },
+	];
+
+	try {
+		// Invalid replies go back to the model with the errors, a bounded
+		// number of times
+		for (let attempt = 0; ; attempt++) {
+			const content = await provider.complete(messages, {
+				model: model || provider.defaultModel,
+				temperature,
+				tool: ACTIONS_TOOL,
+				signal,
+				onRetry,
+			});
+			const { commands, errors } = validateCommandReply(content, {
+				targets: scene.map((object) => object.id),
+			});
+			if (commands) {
+				return commands;
+			}
+
+			console.warn(`Invalid AI response (attempt ${attempt + 1}):`, content, errors);
+			if (attempt >= MAX_REPAIR_ATTEMPTS) {
+				throw new Error(`AI returned an invalid command: ${errors.join("; ")}`);
+			}
+
+			messages.push(
+				{ role: "assistant", content },
+				{
+					role: "user",
+					content: `Your reply did not match the schema:\n${errors
+						.map((error) => `- ${error}`)
+						.join("\n")}\nReply again with the corrected JSON only.`,
+				}
+			);
+		}
+	} catch (error) {
+		if (error.name === "AbortError") throw error;
+
+		console.error(`${provider.label} error:`, error);
+		// Keeps the name, so rate limits and quota errors stay recognizable
+		throw createRequestError(error.name, `Command parsing failed: ${error.message}`, error);
+	}
+};
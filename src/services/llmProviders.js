@@ -0,0 +1,219 @@
+/**
+ * LLM Providers
+ * Chat completion backends for the command parser. All of them speak the
+ * OpenAI chat completions format, which Groq, OpenAI, Ollama and the
+ * llama.cpp server share:
+ *   complete(messages, {model, temperature, tool, signal, onRetry}) => Promise<string>  reply JSON text
+ *   isConfigured() => boolean
+ *   capabilities: {tools, jsonMode}
+ *   models, defaultModel, setupHint
+ * The reply is requested as a forced tool call when the provider supports
+ * tools, else in JSON mode, else with the prompt alone. A mode the server
+ * rejects is not tried again for that model. Requests time out, and are
+ * retried on rate limits and server errors, as set out in requestPolicy.
+ */
+
+import { withRetry, createHttpError } from "./requestPolicy";
+
+// Groq retired llama3-8b-8192; this is its replacement
+const GROQ_DEFAULT_MODEL = "llama-3.1-8b-instant";
+
+const GROQ_URL =
+	import.meta.env.VITE_GROQ_API_URL || "https://api.groq.com/openai/v1/chat/completions";
+const GROQ_API_KEY = import.meta.env.VITE_GROQ_API_KEY;
+
+const OPENAI_BASE_URL = import.meta.env.VITE_OPENAI_BASE_URL;
+const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
+
+// Ollama's OpenAI-compatible API; a llama.cpp server uses http://localhost:8080/v1
+const LOCAL_LLM_URL = import.meta.env.VITE_LOCAL_LLM_URL || "http://localhost:11434/v1";
+
+// The mock server (yarn mock:llm) is offered in development or when configured
+const MOCK_URL =
+	import.meta.env.VITE_LLM_MOCK_URL || (import.meta.env.DEV ? "http://localhost:3002" : null);
+
+// Per attempt; local models can be slow to load
+const LLM_TIMEOUT = Number(import.meta.env.VITE_LLM_TIMEOUT_MS) || 30000;
+
+// Ways of asking for JSON, most structured first
+const OUTPUT_MODES = ["tools", "jsonMode", "prompt"];
+
+// Statuses servers answer with when they do not support a request option
+const UNSUPPORTED_STATUSES = [400, 404, 422, 501];
+
+/**
+ * Request body options for an output mode
+ * @param {string} mode - One of OUTPUT_MODES
+ * @param {Object} [tool] - {name, description, parameters}
+ * @returns {Object}
+ */
+const getOutputOptions = (mode, tool) => {
+	if (mode === "tools") {
+		return {
+			tools: [{ type: "function", function: tool }],
+			tool_choice: { type: "function", function: { name: tool.name } },
+		};
+	}
+	if (mode === "jsonMode") {
+		return { response_format: { type: "json_object" } };
+	}
+	return {};
+};
+
+/**
+ * Create a provider for a chat completions endpoint
+ * @param {Object} config
+ * @param {string} config.label - Name shown in the UI
+ * @param {string} config.url - Chat completions URL
+ * @param {string} [config.apiKey] - Sent as a bearer token
+ * @param {boolean} [config.requiresKey] - Whether requests need apiKey
+ * @param {Array} config.models - Suggested model names, default first
+ * @param {Object} config.capabilities - {tools, jsonMode}
+ * @param {string} [config.setupHint] - Shown when not configured
+ * @returns {Object} - Provider
+ */
+export const createOpenAICompatibleProvider = ({
+	label,
+	url,
+	apiKey,
+	requiresKey = false,
+	models,
+	capabilities,
+	setupHint,
+}) => {
+	// "model:mode" pairs the server turned down
+	const unsupported = new Set();
+
+	const post = (body, { signal, onRetry }) =>
+		withRetry(
+			async (attemptSignal) => {
+				const response = await fetch(url, {
+					method: "POST",
+					headers: {
+						...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+						"Content-Type": "application/json",
+					},
+					body: JSON.stringify(body),
+					signal: attemptSignal,
+				});
+
+				if (!response.ok) {
+					const errorData = await response.json().catch(() => ({}));
+					throw createHttpError(
+						response,
+						errorData.error?.message || `API Error: ${response.status}`
+					);
+				}
+				return response.json();
+			},
+			{ label, timeout: LLM_TIMEOUT, signal, onRetry }
+		);
+
+	return {
+		label,
+		models,
+		defaultModel: models[0],
+		capabilities,
+		setupHint,
+
+		isConfigured: () => !requiresKey || (Boolean(apiKey) && !apiKey.startsWith("your_")),
+
+		complete: async (
+			messages,
+			{ model = models[0], temperature = 0.1, tool, signal, onRetry } = {}
+		) => {
+			const modes = OUTPUT_MODES.filter(
+				(mode) =>
+					(mode === "prompt" || (capabilities[mode] && (mode !== "tools" || tool))) &&
+					!unsupported.has(`${model}:${mode}`)
+			);
+
+			for (const mode of modes) {
+				try {
+					const data = await post(
+						{
+							model,
+							messages,
+							temperature,
+							max_tokens: 500,
+							...getOutputOptions(mode, tool),
+						},
+						{ signal, onRetry }
+					);
+					const message = data.choices?.[0]?.message;
+					// Servers that ignore tool_choice answer in the content instead
+					const content = (
+						message?.tool_calls?.[0]?.function?.arguments ?? message?.content
+					)?.trim();
+
+					if (!content) {
+						throw new Error("No response from AI");
+					}
+					return content;
+				} catch (error) {
+					if (mode === "prompt" || !UNSUPPORTED_STATUSES.includes(error.status)) {
+						throw error;
+					}
+					console.warn(`${label} rejected ${mode} for ${model}, retrying without it:`, error.message);
+					unsupported.add(`${model}:${mode}`);
+				}
+			}
+		},
+	};
+};
+
+export const LLM_PROVIDERS = {
+	groq: createOpenAICompatibleProvider({
+		label: "Groq",
+		url: GROQ_URL,
+		apiKey: GROQ_API_KEY,
+		requiresKey: true,
+		models: [
+			import.meta.env.VITE_GROQ_MODEL || GROQ_DEFAULT_MODEL,
+			"llama-3.3-70b-versatile",
+			"openai/gpt-oss-20b",
+		].filter((model, index, list) => list.indexOf(model) === index),
+		capabilities: { tools: true, jsonMode: true },
+		setupHint: "Add VITE_GROQ_API_KEY to your .env file",
+	}),
+	...(OPENAI_BASE_URL && {
+		openai: createOpenAICompatibleProvider({
+			label: "OpenAI-compatible",
+			url: `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`,
+			apiKey: OPENAI_API_KEY,
+			models: [import.meta.env.VITE_OPENAI_MODEL || "gpt-4o-mini"],
+			capabilities: { tools: true, jsonMode: true },
+		}),
+	}),
+	local: createOpenAICompatibleProvider({
+		label: "Local (Ollama / llama.cpp)",
+		url: `${LOCAL_LLM_URL.replace(/\/$/, "")}/chat/completions`,
+		models: [import.meta.env.VITE_LOCAL_LLM_MODEL || "llama3.2", "qwen2.5", "mistral"],
+		// Only some local models take tools; the others fall back to JSON mode
+		capabilities: { tools: true, jsonMode: true },
+	}),
+	...(MOCK_URL && {
+		mock: createOpenAICompatibleProvider({
+			label: "Mock server",
+			url: `${MOCK_URL}/v1/chat/completions`,
+			models: ["mock"],
+			capabilities: { tools: true, jsonMode: true },
+		}),
+	}),
+};
+
+export const DEFAULT_LLM_PROVIDER =
+	import.meta.env.VITE_LLM_PROVIDER in LLM_PROVIDERS ? import.meta.env.VITE_LLM_PROVIDER : "groq";
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Key in LLM_PROVIDERS
+ * @returns {Object} - Provider
+ */
+export const getLlmProvider = (id) => {
+	const provider = LLM_PROVIDERS[id];
+	if (!provider) {
+		throw new Error(`Unknown AI provider: ${id}`);
+	}
+	return provider;
+};
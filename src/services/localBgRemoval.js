@@ -0,0 +1,135 @@
+/**
+ * Local Background Removal Service
+ * Runs RMBG-1.4 in a Web Worker with ONNX Runtime, so images never leave the
+ * browser. The model is served from the app's own assets: the build
+ * downloads `rmbg-1.4.onnx` (briaai/RMBG-1.4 on Hugging Face) into
+ * `public/models/`, see scripts/localModel.js, or VITE_LOCAL_BG_MODEL_URL
+ * points at another copy.
+ */
+
+import { createAbortError, withRetry } from "./requestPolicy";
+
+const MODEL_URL =
+	import.meta.env.VITE_LOCAL_BG_MODEL_URL || `${import.meta.env.BASE_URL}models/rmbg-1.4.onnx`;
+const HEALTH_TIMEOUT = 10000;
+
+let worker = null;
+let nextRequestId = 1;
+const requests = new Map(); // id -> {resolve, reject, onProgress}
+
+const handleMessage = ({ data }) => {
+	const request = requests.get(data.id);
+	if (!request) return;
+
+	switch (data.type) {
+		case "progress":
+			request.onProgress?.({ phase: data.phase, loaded: data.loaded, total: data.total });
+			break;
+		case "result":
+			requests.delete(data.id);
+			request.resolve(data.blob);
+			break;
+		case "error":
+			requests.delete(data.id);
+			request.reject(new Error(data.message));
+			break;
+		default:
+			break;
+	}
+};
+
+const getWorker = () => {
+	if (!worker) {
+		worker = new Worker(new URL("../workers/bgRemoval.worker.js", import.meta.url), {
+			type: "module",
+		});
+		worker.addEventListener("message", handleMessage);
+		worker.addEventListener("error", (event) => {
+			// A crashed worker fails every pending request and is replaced next time
+			const error = new Error(event.message || "Background removal worker crashed");
+			requests.forEach((request) => request.reject(error));
+			requests.clear();
+			worker.terminate();
+			worker = null;
+		});
+	}
+	return worker;
+};
+
+/**
+ * Remove the background without uploading the image
+ * @param {HTMLCanvasElement} canvas - Canvas containing the image
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with {phase: "download" | "compile" | "inference", loaded, total}
+ * @param {AbortSignal} [options.signal] - Rejects this request only; the worker is stopped
+ *   when no other request needs it, and loads the model again next time
+ * @returns {Promise<Blob>} - Transparent PNG, same shape as removeBackground's result
+ */
+export const removeBackgroundLocally = (canvas, { onProgress, signal } = {}) => {
+	if (!canvas) {
+		return Promise.reject(new Error("No canvas provided"));
+	}
+	if (signal?.aborted) {
+		return Promise.reject(createAbortError());
+	}
+
+	const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+
+	return new Promise((resolve, reject) => {
+		const id = nextRequestId++;
+		const handleAbort = () => {
+			requests.get(id)?.reject(createAbortError());
+			requests.delete(id);
+			// Inference cannot be interrupted, so an idle worker goes with it;
+			// otherwise its result is ignored when it arrives
+			if (requests.size === 0) {
+				worker?.terminate();
+				worker = null;
+			}
+		};
+		const settle = (callback) => (value) => {
+			signal?.removeEventListener("abort", handleAbort);
+			callback(value);
+		};
+
+		requests.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+		signal?.addEventListener("abort", handleAbort);
+		getWorker().postMessage({ id, type: "remove", imageData, modelUrl: MODEL_URL }, [
+			imageData.data.buffer,
+		]);
+	}).catch((error) => {
+		if (error.name === "AbortError") throw error;
+
+		console.error("❌ Local background removal error:", error);
+		throw new Error(`Background removal failed: ${error.message}`);
+	});
+};
+
+/**
+ * Check that the model is available without downloading it
+ * @returns {Promise<Object>} - {ok, message}
+ */
+export const checkLocalModel = async () => {
+	try {
+		const response = await withRetry((signal) => fetch(MODEL_URL, { method: "HEAD", signal }), {
+			label: "Model check",
+			timeout: HEALTH_TIMEOUT,
+			retries: 0,
+		});
+		// The dev server answers unknown paths with index.html instead of a 404
+		const isPage = response.headers.get("Content-Type")?.includes("text/html");
+		if (!response.ok || isPage) {
+			return { ok: false, message: `Model not found at ${MODEL_URL}` };
+		}
+
+		const size = Number(response.headers.get("Content-Length")) || 0;
+		return {
+			ok: true,
+			message: size > 0
+				? `Model available (${(size / (1024 * 1024)).toFixed(1)} MB)`
+				: "Model available",
+		};
+	} catch (error) {
+		return { ok: false, message: `Model unavailable: ${error.message}` };
+	}
+};
@@ -0,0 +1,46 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { checkLocalModel } from "./localBgRemoval";
+
+afterEach(() => {
+	vi.useRealTimers();
+	vi.unstubAllGlobals();
+});
+
+describe("checkLocalModel", () => {
+	it("reports the size of the model", async () => {
+		const headers = { "Content-Length": String(176 * 1024 * 1024) };
+		vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response(null, { headers })));
+
+		await expect(checkLocalModel()).resolves.toEqual({
+			ok: true,
+			message: "Model available (176.0 MB)",
+		});
+		expect(fetch).toHaveBeenCalledWith(
+			"/models/rmbg-1.4.onnx",
+			expect.objectContaining({ method: "HEAD" })
+		);
+	});
+
+	it("does not take the dev server's index page for the model", async () => {
+		const page = new Response("<!doctype html>", { headers: { "Content-Type": "text/html" } });
+		vi.stubGlobal("fetch", vi.fn().mockResolvedValue(page));
+
+		await expect(checkLocalModel()).resolves.toEqual({
+			ok: false,
+			message: "Model not found at /models/rmbg-1.4.onnx",
+		});
+	});
+
+	it("gives up when the model does not answer", async () => {
+		vi.useFakeTimers();
+		vi.stubGlobal("fetch", vi.fn(() => new Promise(() => {})));
+
+		const status = checkLocalModel();
+		await vi.advanceTimersByTimeAsync(10000);
+
+		await expect(status).resolves.toEqual({
+			ok: false,
+			message: "Model unavailable: Model check timed out after 10s",
+		});
+	});
+});
@@ -0,0 +1,390 @@
+/**
+ * Local Command Parser
+ * Rule-based parser for the documented command grammar. Produces the same
+ * command objects as the AI parser, without a network request.
+ */
+
+import { SHAPES, COLORS, validateCommands } from "./commandSchema";
+
+// Named polygons, as [name, sides]
+const POLYGON_NAMES = [
+	["pentagon", 5],
+	["hexagon", 6],
+	["heptagon", 7],
+	["octagon", 8],
+];
+
+const COLOR_NOTATION = /#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)/;
+
+// Stands in for quoted text while the command is lowercased and split
+const QUOTE_TOKEN = "⟨quote⟩";
+// Each quote closes with its own pair. A single quote followed by a letter
+// is an apostrophe ("don't"), not the end of the quote.
+const QUOTE_PATTERN = /"(.+?)"|“(.+?)”|'(.+?)'(?!\w)|‘(.+?)’(?!\w)/g;
+
+// Longest phrases first so "top left" wins over "top"
+const POSITIONS = [
+	[/\b(?:top|upper)[\s-]*left\b/, { x: 0.2, y: 0.2 }],
+	[/\b(?:top|upper)[\s-]*right\b/, { x: 0.8, y: 0.2 }],
+	[/\b(?:bottom|lower)[\s-]*left\b/, { x: 0.2, y: 0.8 }],
+	[/\b(?:bottom|lower)[\s-]*right\b/, { x: 0.8, y: 0.8 }],
+	[/\b(?:top|upper)\b/, { x: 0.5, y: 0.2 }],
+	[/\b(?:bottom|lower)\b/, { x: 0.5, y: 0.8 }],
+	[/\bleft\b/, { x: 0.2, y: 0.5 }],
+	[/\bright\b/, { x: 0.8, y: 0.5 }],
+	[/\b(?:center|centre|middle)\b/, { x: 0.5, y: 0.5 }],
+];
+
+const SIZES = [
+	[/\btiny\b/, 20],
+	[/\bsmall\b/, 40],
+	[/\b(?:large|big)\b/, 120],
+	[/\b(?:huge|giant)\b/, 150],
+];
+
+// Used when a brightness or contrast command gives no amount
+const DEFAULT_ADJUSTMENT = 20;
+
+/**
+ * First number in the text, e.g. "20" in "brighten image 20%"
+ * @param {string} text
+ * @returns {number|null}
+ */
+const findNumber = (text) => {
+	const match = text.match(/-?\d+(?:\.\d+)?/);
+	return match ? Number(match[0]) : null;
+};
+
+/**
+ * Shape of a draw clause, with the polygon or star corner count
+ * @param {string} text
+ * @param {string|null} quote - Quoted text in the clause
+ * @returns {Object|null} - {shape, sides, points}
+ */
+const findShape = (text, quote) => {
+	if (quote !== null && /\b(?:write|text|label|caption|add)\b/.test(text)) {
+		return { shape: "text" };
+	}
+
+	const named = POLYGON_NAMES.find(([name]) => new RegExp(`\\b${name}s?\\b`).test(text));
+	if (named) return { shape: "polygon", sides: named[1] };
+
+	const shape = SHAPES.find((name) => name !== "text" && new RegExp(`\\b${name}s?\\b`).test(text));
+	if (!shape) return null;
+
+	// "7-sided polygon", "6 point star"
+	const corners = text.match(/(\d+)[\s-]*(?:sided|sides|pointed|points?)\b/);
+	return {
+		shape,
+		sides: shape === "polygon" && corners ? Number(corners[1]) : undefined,
+		points: shape === "star" && corners ? Number(corners[1]) : undefined,
+	};
+};
+
+const findColor = (text) =>
+	text.match(COLOR_NOTATION)?.[0] ||
+	COLORS.find((color) => new RegExp(`\\b${color}\\b`).test(text));
+
+const findOpacity = (text) => {
+	const percent = text.match(/(\d+)\s*%\s*opa(?:city|que)|opacity\s*(\d+)\s*%?/);
+	if (percent) return Number(percent[1] ?? percent[2]) / 100;
+	if (/\b(?:half|semi)[\s-]*transparent\b/.test(text)) return 0.5;
+	return undefined;
+};
+
+const parseDraw = (text, quote) => {
+	const found = findShape(text, quote);
+	if (!found) return null;
+
+	const position = POSITIONS.find(([pattern]) => pattern.test(text));
+	const explicitSize = text.match(/\bsize\s+(\d+)/);
+	const namedSize = SIZES.find(([pattern]) => pattern.test(text));
+	const box = text.match(/(\d+)\s*[x×]\s*(\d+)/);
+	const rotation = text.match(/\b(?:rotated|tilted)\s+(?:by\s+)?(-?\d+)/);
+
+	return {
+		action: "draw",
+		...found,
+		text: found.shape === "text" ? quote : undefined,
+		color: findColor(text),
+		fill: /\b(?:outlined?|hollow)\b/.test(text) ? "none" : undefined,
+		strokeWidth: /\bthick\b/.test(text) ? 8 : /\bthin\b/.test(text) ? 1 : undefined,
+		strokeStyle: text.match(/\b(dashed|dotted)\b/)?.[1],
+		opacity: findOpacity(text),
+		rotation: rotation ? Number(rotation[1]) : undefined,
+		position: position?.[1],
+		size: explicitSize ? Number(explicitSize[1]) : namedSize?.[1],
+		width: box ? Number(box[1]) : Number(text.match(/(\d+)\s*(?:px\s*)?wide/)?.[1]) || undefined,
+		height: box ? Number(box[2]) : Number(text.match(/(\d+)\s*(?:px\s*)?(?:tall|high)/)?.[1]) || undefined,
+		font: text.match(/\b(sans-serif|serif|monospace|cursive)\b/)?.[1],
+		fontWeight: /\bbold\b/.test(text) ? "bold" : undefined,
+		fontStyle: /\bitalic\b/.test(text) ? "italic" : undefined,
+	};
+};
+
+const parseAdjust = (text) => {
+	const amount = Math.abs(findNumber(text) ?? DEFAULT_ADJUSTMENT);
+
+	if (/\bcontrast\b/.test(text)) {
+		const decrease = /\b(?:decrease|reduce|lower|less)\b/.test(text);
+		return { action: "adjust", adjustment: "contrast", value: decrease ? -amount : amount };
+	}
+	if (/\b(?:brighten|lighten)\b/.test(text)) {
+		return { action: "adjust", adjustment: "brightness", value: amount };
+	}
+	if (/\b(?:darken|dim)\b/.test(text)) {
+		return { action: "adjust", adjustment: "brightness", value: -amount };
+	}
+	if (/\bbrightness\b/.test(text)) {
+		const decrease = /\b(?:decrease|reduce|lower|less)\b/.test(text);
+		return { action: "adjust", adjustment: "brightness", value: decrease ? -amount : amount };
+	}
+	return null;
+};
+
+const parseTransform = (text) => {
+	if (/\b(?:rotate|turn)\b/.test(text)) {
+		const angle = Math.abs(findNumber(text) ?? 90);
+		const counterClockwise = /\b(?:left|counter-?clockwise|anti-?clockwise)\b/.test(text);
+		return { action: "transform", operation: "rotate", angle: counterClockwise ? -angle : angle };
+	}
+	if (/\b(?:flip|mirror)\b/.test(text)) {
+		const vertical = /\b(?:vertical(?:ly)?|upside down)\b/.test(text);
+		return { action: "transform", operation: "flip", direction: vertical ? "vertical" : "horizontal" };
+	}
+	if (/\bcrop\b/.test(text)) {
+		const ratio = text.match(/(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)/);
+		return {
+			action: "transform",
+			operation: "crop",
+			aspect: ratio ? `${ratio[1]}:${ratio[2]}` : /\bsquare\b/.test(text) ? "1:1" : undefined,
+		};
+	}
+	if (/\b(?:resize|scale)\b/.test(text)) {
+		const dimensions = text.match(/(\d+)\s*[x×]\s*(\d+)/);
+		if (dimensions) {
+			return {
+				action: "transform",
+				operation: "resize",
+				width: Number(dimensions[1]),
+				height: Number(dimensions[2]),
+			};
+		}
+		if (/\bhalf\b/.test(text)) return { action: "transform", operation: "resize", scale: 0.5 };
+		if (/\b(?:double|twice)\b/.test(text)) return { action: "transform", operation: "resize", scale: 2 };
+
+		const percent = text.match(/(\d+(?:\.\d+)?)\s*%/);
+		if (percent) return { action: "transform", operation: "resize", scale: Number(percent[1]) / 100 };
+
+		const width = text.match(/(\d+)\s*(?:px)?\s*wide/);
+		if (width) return { action: "transform", operation: "resize", width: Number(width[1]) };
+	}
+	return null;
+};
+
+// [pattern, filter, params]; the first match wins
+const FILTER_PHRASES = [
+	[/\bblur\b.*\b(?:a lot|heavily|strongly|more)\b/, "blur", { intensity: 12 }],
+	[/\bblur\b.*\b(?:a bit|a little|slightly|lightly)\b/, "blur", { intensity: 3 }],
+	[/\bblur\b/, "blur", {}],
+	[/\bsharpen\b/, "sharpen", {}],
+	[/\bedges?\b/, "canny", {}],
+	[/\b(?:black and white|grayscale|greyscale)\b/, "grayscale", {}],
+	[/\bsepia\b/, "sepia", {}],
+	[/\binvert\b/, "invert", {}],
+	[/\bposterize\b/, "posterize", {}],
+];
+
+const parseBackground = (text) => {
+	// "put it on white" after a removal means the background too
+	if (!/\bbackground\b|\b(?:put|place) it on\b/.test(text)) return null;
+
+	if (/\b(?:remove|delete|cut out|erase)\b/.test(text)) {
+		return { action: "removeBackground" };
+	}
+	if (/\bblur\b/.test(text)) {
+		return { action: "replaceBackground", background: "blur" };
+	}
+	if (/\bgradient\b/.test(text)) {
+		const colors = text.match(/(\S+)\s+(?:to|and)\s+(\S+)\s+gradient/);
+		return {
+			action: "replaceBackground",
+			background: "gradient",
+			color: colors?.[1],
+			secondColor: colors?.[2],
+		};
+	}
+
+	const color = findColor(text);
+	return color ? { action: "replaceBackground", background: "color", color } : null;
+};
+
+const parseFilter = (text) => {
+	const match = FILTER_PHRASES.find(([pattern]) => pattern.test(text));
+	return match ? { action: "filter", filter: match[1], params: { ...match[2] } } : null;
+};
+
+// "the last red circle", "the text", "the shape"
+const OBJECT_REFERENCE = new RegExp(
+	`\\bthe\\s+(?:(last|latest|newest|first|oldest)\\s+)?(?:(${COLORS.join("|")})\\s+)?(${SHAPES.join("|")}|shape|object)\\b`
+);
+
+// Offsets for "move ... left/right/up/down", as fractions of the image
+const MOVE_STEP = 0.2;
+
+// "to the top left" is a place; plain "left" and "right" are directions
+const MOVE_PLACES = POSITIONS.filter(([, { x, y }]) => x === 0.5 || y !== 0.5);
+
+/**
+ * Find the drawn object a clause refers to
+ * @param {string} text
+ * @param {Array} scene - Scene objects, oldest first
+ * @param {boolean} allowPronoun - Whether "it" means the newest object
+ * @returns {Object|null} - {object, rest} with the text after the reference
+ */
+const findReference = (text, scene, allowPronoun) => {
+	const match = text.match(OBJECT_REFERENCE);
+	if (!match) {
+		const pronoun = allowPronoun && text.match(/\bit\b/);
+		return pronoun && scene.length > 0
+			? { object: scene[scene.length - 1], rest: text.slice(pronoun.index + 2) }
+			: null;
+	}
+
+	const [phrase, order, color, shape] = match;
+	const candidates = scene.filter(
+		(object) =>
+			(!color || object.color === color) &&
+			(shape === "shape" || shape === "object" || object.shape === shape)
+	);
+	if (candidates.length === 0) {
+		throw new Error(`There is no ${[color, shape].filter(Boolean).join(" ")} in the image`);
+	}
+
+	const oldest = order === "first" || order === "oldest";
+	return {
+		object: oldest ? candidates[0] : candidates[candidates.length - 1],
+		rest: text.slice(match.index + phrase.length),
+	};
+};
+
+/**
+ * Parse a change to a drawn object, e.g. "move the red circle to the right"
+ * @param {string} text
+ * @param {Array} scene - Scene objects, oldest first
+ * @returns {Object|null} - Raw modify, move or delete action
+ */
+const parseSceneEdit = (text, scene) => {
+	if (/\b(?:delete|remove|erase)\b/.test(text)) {
+		const reference = findReference(text, scene, true);
+		return reference && { action: "delete", target: reference.object.id };
+	}
+
+	if (/\bmove\b/.test(text)) {
+		const reference = findReference(text, scene, true);
+		if (!reference) return null;
+
+		const { rest } = reference;
+		const step = /\b(?:a bit|a little|slightly)\b/.test(rest) ? MOVE_STEP / 2 : MOVE_STEP;
+		const place = MOVE_PLACES.find(([pattern]) => pattern.test(rest));
+		if (place && !/\b(?:up|down)\b/.test(rest)) {
+			return { action: "move", target: reference.object.id, position: place[1] };
+		}
+
+		const dx = /\bright\b/.test(rest) ? step : /\bleft\b/.test(rest) ? -step : 0;
+		const dy = /\bdown\b/.test(rest) ? step : /\bup\b/.test(rest) ? -step : 0;
+		return dx || dy ? { action: "move", target: reference.object.id, dx, dy } : null;
+	}
+
+	if (/\b(?:make|change|recolou?r|rotate)\b/.test(text)) {
+		const reference = findReference(text, scene, false);
+		if (!reference) return null;
+
+		const { rest } = reference;
+		const rotation = rest.match(/(-?\d+)\s*(?:degrees|°)/);
+		const changes = {
+			scale: /\b(?:twice|double)\b/.test(rest)
+				? 2
+				: /\bhalf\b(?![\s-]*transparent)/.test(rest)
+					? 0.5
+					: /\b(?:bigger|larger)\b/.test(rest)
+						? 1.5
+						: /\bsmaller\b/.test(rest)
+							? 2 / 3
+							: undefined,
+			color: findColor(rest),
+			fill: /\b(?:outlined?|hollow)\b/.test(rest) ? "none" : undefined,
+			strokeStyle: rest.match(/\b(dashed|dotted|solid)\b/)?.[1],
+			opacity: findOpacity(rest),
+			rotation: rotation ? Number(rotation[1]) : undefined,
+			fontWeight: /\bbold\b/.test(rest) ? "bold" : undefined,
+			fontStyle: /\bitalic\b/.test(rest) ? "italic" : undefined,
+		};
+		// Filled again when recoloured, unless it was asked to be outlined
+		if (changes.color && reference.object.fill && reference.object.fill !== "none" && !changes.fill) {
+			changes.fill = changes.color;
+		}
+
+		return Object.values(changes).some((value) => value !== undefined)
+			? { action: "modify", target: reference.object.id, ...changes }
+			: null;
+	}
+
+	return null;
+};
+
+/**
+ * Parse one clause, e.g. "draw a small red circle at top left"
+ * @param {string} clause
+ * @param {string|null} quote - Quoted text in the clause
+ * @param {Array} scene - Drawn objects, oldest first
+ * @returns {Object|null} - Raw action, or null when nothing matched
+ */
+const parseClause = (clause, quote, scene) =>
+	parseBackground(clause) ||
+	parseSceneEdit(clause, scene) ||
+	parseTransform(clause) ||
+	parseAdjust(clause) ||
+	parseFilter(clause) ||
+	parseDraw(clause, quote);
+
+/**
+ * Parse a natural language command with the built-in grammar
+ * @param {string} command - User's command
+ * @param {Object} [options]
+ * @param {Array} [options.scene] - Drawn objects, see getSceneObjects
+ * @returns {Array} - Validated command objects, in the order to run them
+ */
+export const parseCommandLocally = (command, { scene = [] } = {}) => {
+	// Quoted text keeps its case and may contain separators
+	const quotes = [];
+	const clauses = command
+		.replace(QUOTE_PATTERN, (match, ...texts) => {
+			quotes.push(texts.find((text) => text !== undefined));
+			return QUOTE_TOKEN;
+		})
+		.toLowerCase()
+		// Commas inside rgb() and hsl(), "and" between dimensions ("300 wide
+		// and 100 tall") and "black and white" do not separate clauses
+		.split(
+			/\s*(?:;|,(?![^(]*\))|\band then\b|\bthen\b|(?<!\bblack )\band\b(?!\s*\d+\s*(?:px\s*)?(?:tall|high|wide)\b))\s*/
+		)
+		.filter(Boolean);
+
+	const actions = clauses.map((clause) => {
+		const quote = clause.includes(QUOTE_TOKEN) ? quotes.shift() : null;
+		const action = parseClause(clause.replace(QUOTE_TOKEN, " "), quote, scene);
+		if (!action) {
+			throw new Error(`Could not understand "${clause.replace(QUOTE_TOKEN, `"${quote}"`)}"`);
+		}
+		return action;
+	});
+
+	const { commands, errors } = validateCommands(actions, {
+		targets: scene.map((object) => object.id),
+	});
+	if (!commands) {
+		throw new Error(errors.join("; "));
+	}
+	return commands;
+};
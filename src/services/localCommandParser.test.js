@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { parseCommandLocally } from "./localCommandParser";
+
+describe("parseCommandLocally", () => {
+	it("parses drawing commands", () => {
+		expect(parseCommandLocally("draw a red circle")).toEqual([
+			{ action: "draw", shape: "circle", color: "red", position: { x: 0.5, y: 0.5 }, size: 80 },
+		]);
+	});
+
+	it("places shapes from position words", () => {
+		const [command] = parseCommandLocally("draw a green triangle at the top left");
+
+		expect(command).toMatchObject({ shape: "triangle", color: "green", position: { x: 0.2, y: 0.2 } });
+	});
+
+	it("splits commands joined with and", () => {
+		const commands = parseCommandLocally("draw red circle and blue square");
+
+		expect(commands.map(({ shape, color }) => [shape, color])).toEqual([
+			["circle", "red"],
+			["square", "blue"],
+		]);
+	});
+
+	it("parses adjustments and transforms", () => {
+		expect(parseCommandLocally("brighten 20%")).toEqual([
+			{ action: "adjust", adjustment: "brightness", value: 20 },
+		]);
+		expect(parseCommandLocally("darken by 15 percent")).toEqual([
+			{ action: "adjust", adjustment: "brightness", value: -15 },
+		]);
+		expect(parseCommandLocally("increase contrast 30%")).toEqual([
+			{ action: "adjust", adjustment: "contrast", value: 30 },
+		]);
+		expect(parseCommandLocally("rotate 90 degrees")).toEqual([
+			{ action: "transform", operation: "rotate", angle: 90 },
+		]);
+		expect(parseCommandLocally("flip vertically")).toEqual([
+			{ action: "transform", operation: "flip", direction: "vertical" },
+		]);
+	});
+
+	it("parses filters and background removal", () => {
+		expect(parseCommandLocally("blur")).toEqual([{ action: "filter", filter: "blur", params: {} }]);
+		expect(parseCommandLocally("remove background")).toEqual([{ action: "removeBackground" }]);
+	});
+
+	it("parses colors, stroke styles, fills and rotation", () => {
+		expect(parseCommandLocally("draw a dashed #ff8800 star")).toEqual([
+			expect.objectContaining({ shape: "star", color: "#ff8800", strokeStyle: "dashed" }),
+		]);
+		expect(parseCommandLocally("draw an outlined blue square rotated 45 degrees")).toEqual([
+			expect.objectContaining({ shape: "square", color: "blue", fill: "none", rotation: 45 }),
+		]);
+	});
+
+	it("does not end a single-quoted text at an apostrophe", () => {
+		const [command] = parseCommandLocally("write 'don't stop' in white");
+
+		expect(command).toMatchObject({ shape: "text", text: "don't stop", color: "white" });
+	});
+
+	it("closes quoted text with the quote that opened it", () => {
+		const [command] = parseCommandLocally("write \"it's 'fine'\" in blue");
+
+		expect(command).toMatchObject({ text: "it's 'fine'", color: "blue" });
+	});
+
+	it("keeps quoted text as written", () => {
+		expect(parseCommandLocally("write “SALE” at the top")).toEqual([
+			expect.objectContaining({ shape: "text", text: "SALE", position: { x: 0.5, y: 0.2 } }),
+		]);
+		expect(parseCommandLocally('write "Hello" in white')).toEqual([
+			expect.objectContaining({ shape: "text", text: "Hello", color: "white" }),
+		]);
+	});
+
+	it("rejects commands it does not understand", () => {
+		expect(() => parseCommandLocally("make it sparkle")).toThrow('Could not understand "make it sparkle"');
+	});
+});
@@ -0,0 +1,173 @@
+/**
+ * Macros
+ * Named lists of commands recorded from edits, replayed on any image as one
+ * undoable step. Steps are the same command objects the command parser
+ * returns, so they are validated with the command schema when loaded or
+ * imported. Saved macros live in localStorage.
+ */
+
+import { validateCommands } from "./commandSchema";
+import { createId } from "./ids";
+
+const STORAGE_KEY = "poc-image-editor:macros";
+const FORMAT_VERSION = 1;
+
+// Commands that refer to drawn objects by id only make sense on one image
+const isImageSpecific = (step) => step?.target !== undefined;
+
+/**
+ * Validate the steps of a macro
+ * @param {Array} steps - Raw command objects
+ * @returns {Object} - {commands, errors}, see validateCommands
+ */
+export const validateMacroSteps = (steps) => {
+	if (!Array.isArray(steps)) {
+		return { commands: null, errors: ["steps: must be an array"] };
+	}
+
+	const { commands, errors } = validateCommands(steps);
+	const specific = steps.flatMap((step, index) =>
+		isImageSpecific(step) ? [`actions[${index}]: refers to a drawn object of another image`] : []
+	);
+	return specific.length > 0
+		? { commands: null, errors: [...errors, ...specific] }
+		: { commands, errors };
+};
+
+/**
+ * @param {string} name
+ * @param {Array} steps - Validated command objects
+ * @returns {Object} - Macro
+ */
+export const createMacro = (name, steps) => ({
+	id: createId("macro"),
+	name: name.trim() || "Untitled macro",
+	steps,
+	createdAt: Date.now(),
+});
+
+/**
+ * Turn recorded steps into macro steps. Filters added while recording take
+ * their current settings, or are left out if they were removed or disabled
+ * again.
+ * @param {Array} recorded - Steps from the editor store; filter steps carry a filterId
+ * @param {Object} document - Current document
+ * @returns {Object} - {steps, skipped} with the number of steps left out
+ */
+export const finishRecording = (recorded, document) => {
+	const steps = recorded
+		.map(({ filterId, ...step }) => {
+			if (!filterId) return step;
+			const filter = document.filters.find((item) => item.id === filterId);
+			return filter && filter.enabled !== false && { ...step, params: { ...filter.params } };
+		})
+		.filter((step) => step && !isImageSpecific(step));
+	return { steps, skipped: recorded.length - steps.length };
+};
+
+/**
+ * Step for a transform made in the transform panel
+ * @param {string} operation - Transform type
+ * @param {Object} params - Transform params
+ * @returns {Object|null} - Command, or null when commands cannot express it
+ *   (crops to a drawn selection, canvas size changes)
+ */
+export const transformToStep = (operation, params) => {
+	switch (operation) {
+		case "rotate":
+			return { action: "transform", operation, angle: params.angle };
+		case "flip":
+			return {
+				action: "transform",
+				operation,
+				direction: params.vertical ? "vertical" : "horizontal",
+			};
+		case "resize":
+			return { action: "transform", operation, width: params.width, height: params.height };
+		default:
+			return null;
+	}
+};
+
+/**
+ * Check macros read from storage or a file
+ * @param {*} data - Parsed JSON, {version, macros} or a bare array
+ * @returns {Object} - {macros, errors}; invalid macros are left out
+ */
+const readMacros = (data) => {
+	const list = Array.isArray(data) ? data : data?.macros;
+	if (!Array.isArray(list)) {
+		return { macros: [], errors: ['Expected {"macros": [...]}'] };
+	}
+
+	const macros = [];
+	const errors = [];
+	list.forEach((item, index) => {
+		const name = typeof item?.name === "string" ? item.name : `Macro ${index + 1}`;
+		const { commands, errors: stepErrors } = validateMacroSteps(item?.steps);
+		if (commands) {
+			macros.push({
+				...createMacro(name, commands),
+				...(typeof item.id === "string" && { id: item.id }),
+				...(typeof item.createdAt === "number" && { createdAt: item.createdAt }),
+			});
+		} else {
+			errors.push(`${name}: ${stepErrors.join("; ")}`);
+		}
+	});
+	return { macros, errors };
+};
+
+/**
+ * Saved macros
+ * @returns {Array}
+ */
+export const loadMacros = () => {
+	try {
+		const stored = localStorage.getItem(STORAGE_KEY);
+		if (!stored) return [];
+
+		const { macros, errors } = readMacros(JSON.parse(stored));
+		if (errors.length > 0) {
+			console.warn("Skipped invalid saved macros:", errors);
+		}
+		return macros;
+	} catch (error) {
+		console.error("Failed to load macros:", error);
+		return [];
+	}
+};
+
+/**
+ * Save macros, replacing the stored list
+ * @param {Array} macros
+ */
+export const saveMacros = (macros) => {
+	localStorage.setItem(STORAGE_KEY, serializeMacros(macros));
+};
+
+/**
+ * JSON for export and storage
+ * @param {Array} macros
+ * @returns {string}
+ */
+export const serializeMacros = (macros) =>
+	JSON.stringify({ version: FORMAT_VERSION, macros }, null, 2);
+
+/**
+ * Read exported macros. Imported macros get new ids, so importing a file
+ * twice keeps both copies.
+ * @param {string} text - JSON file contents
+ * @returns {Object} - {macros, errors}
+ */
+export const parseMacros = (text) => {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		return { macros: [], errors: [`Not valid JSON: ${error.message}`] };
+	}
+
+	const { macros, errors } = readMacros(data);
+	return { macros: macros.map((macro) => ({ ...macro, id: createId("macro") })), errors };
+};
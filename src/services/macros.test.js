@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { finishRecording, loadMacros, parseMacros, saveMacros, serializeMacros } from "./macros";
+
+const STORAGE_KEY = "poc-image-editor:macros";
+
+const draw = { action: "draw", shape: "circle", color: "red", position: { x: 0.5, y: 0.5 }, size: 80 };
+const rotate = { action: "transform", operation: "rotate", angle: 90 };
+
+beforeEach(() => {
+	const items = new Map();
+	vi.stubGlobal("localStorage", {
+		getItem: (key) => items.get(key) ?? null,
+		setItem: (key, value) => items.set(key, String(value)),
+	});
+});
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+	vi.restoreAllMocks();
+});
+
+describe("finishRecording", () => {
+	it("gives filters their current settings and leaves out removed or disabled ones", () => {
+		const document = {
+			filters: [
+				{ id: "filter-1", type: "blur", params: { radius: 6 } },
+				{ id: "filter-2", type: "sepia", params: {}, enabled: false },
+			],
+			stages: [],
+		};
+		const recorded = [
+			draw,
+			{ action: "filter", filter: "blur", params: { radius: 2 }, filterId: "filter-1" },
+			{ action: "filter", filter: "sepia", params: {}, filterId: "filter-2" },
+			{ action: "filter", filter: "grayscale", params: {}, filterId: "filter-3" },
+			rotate,
+		];
+
+		expect(finishRecording(recorded, document)).toEqual({
+			steps: [draw, { action: "filter", filter: "blur", params: { radius: 6 } }, rotate],
+			skipped: 2,
+		});
+	});
+
+	it("leaves out changes to drawn objects of this image", () => {
+		const recorded = [draw, { action: "delete", target: "shape-1" }];
+
+		expect(finishRecording(recorded, { filters: [], stages: [] })).toEqual({
+			steps: [draw],
+			skipped: 1,
+		});
+	});
+});
+
+describe("saved macros", () => {
+	it("survive a round trip through localStorage", () => {
+		const macro = { id: "macro-1", name: "Stamp", steps: [draw, rotate], createdAt: 1700000000000 };
+
+		saveMacros([macro]);
+
+		expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual({ version: 1, macros: [macro] });
+		expect(loadMacros()).toEqual([macro]);
+	});
+
+	it("are an empty list when nothing is stored or the storage is corrupt", () => {
+		vi.spyOn(console, "error").mockImplementation(() => {});
+
+		expect(loadMacros()).toEqual([]);
+
+		localStorage.setItem(STORAGE_KEY, "{not json");
+		expect(loadMacros()).toEqual([]);
+		expect(console.error).toHaveBeenCalledWith("Failed to load macros:", expect.any(SyntaxError));
+	});
+
+	it("skip invalid macros and keep the rest", () => {
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+		localStorage.setItem(
+			STORAGE_KEY,
+			JSON.stringify({
+				version: 1,
+				macros: [
+					{ id: "macro-1", name: "Broken", steps: [{ action: "fly" }] },
+					{ id: "macro-2", name: "Rotate", steps: [rotate] },
+					{ name: "Not a list", steps: "rotate" },
+				],
+			})
+		);
+
+		expect(loadMacros()).toEqual([expect.objectContaining({ id: "macro-2", steps: [rotate] })]);
+		expect(console.warn).toHaveBeenCalledWith("Skipped invalid saved macros:", [
+			expect.stringMatching(/^Broken: actions\[0\]\.action: must be one of/),
+			"Not a list: steps: must be an array",
+		]);
+	});
+});
+
+describe("parseMacros", () => {
+	it("gives imported macros new ids", () => {
+		const exported = serializeMacros([{ id: "macro-1", name: "Rotate", steps: [rotate], createdAt: 1 }]);
+
+		const { macros, errors } = parseMacros(exported);
+
+		expect(errors).toEqual([]);
+		expect(macros).toEqual([{ id: expect.any(String), name: "Rotate", steps: [rotate], createdAt: 1 }]);
+		expect(macros[0].id).not.toBe("macro-1");
+	});
+
+	it("reports files that are not macros", () => {
+		expect(parseMacros("nope").errors[0]).toMatch(/^Not valid JSON/);
+		expect(parseMacros('{"version": 1}')).toEqual({ macros: [], errors: ['Expected {"macros": [...]}'] });
+	});
+});
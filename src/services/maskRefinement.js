@@ -0,0 +1,71 @@
+/**
+ * Mask Refinement
+ * Brush strokes painted over the background removal matte: "restore" brings
+ * back pixels the model cut away, "erase" removes leftover background.
+ * Strokes are stored in image pixels and replayed whenever the document is
+ * rendered.
+ */
+
+export const BRUSH_MODES = {
+	restore: "Restore",
+	erase: "Erase",
+};
+
+/**
+ * Default brush settings
+ * @returns {Object} - {mode, size, hardness}
+ */
+export const getDefaultBrush = () => ({ mode: "restore", size: 40, hardness: 0.5 });
+
+/**
+ * Paint one round dab; hardness 1 gives a solid disc, lower values fade the
+ * edge from hardness × radius outwards
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {number} hardness - 0-1
+ */
+const drawDab = (ctx, x, y, radius, hardness) => {
+	const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+	gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
+	gradient.addColorStop(Math.min(hardness, 0.99), "rgba(255, 255, 255, 1)");
+	gradient.addColorStop(1, "rgba(255, 255, 255, 0)");
+	ctx.fillStyle = gradient;
+	ctx.beginPath();
+	ctx.arc(x, y, radius, 0, Math.PI * 2);
+	ctx.fill();
+};
+
+/**
+ * Replay strokes onto a mask, where the alpha channel is the matte
+ * @param {CanvasRenderingContext2D} ctx - Mask context
+ * @param {Array} strokes - [{mode, size, hardness, points: [[x, y], ...]}]
+ */
+export const paintMaskStrokes = (ctx, strokes) => {
+	ctx.save();
+
+	strokes.forEach(({ mode, size, hardness, points }) => {
+		ctx.globalCompositeOperation = mode === "erase" ? "destination-out" : "source-over";
+		const radius = size / 2;
+		// Dabs close enough together to read as a continuous line
+		const spacing = Math.max(1, radius * 0.25);
+
+		points.forEach(([x, y], index) => {
+			if (index === 0) {
+				drawDab(ctx, x, y, radius, hardness);
+				return;
+			}
+
+			const [prevX, prevY] = points[index - 1];
+			const distance = Math.hypot(x - prevX, y - prevY);
+			const steps = Math.max(1, Math.ceil(distance / spacing));
+			for (let step = 1; step <= steps; step++) {
+				const t = step / steps;
+				drawDab(ctx, prevX + (x - prevX) * t, prevY + (y - prevY) * t, radius, hardness);
+			}
+		});
+	});
+
+	ctx.restore();
+};
@@ -0,0 +1,444 @@
+/**
+ * OpenCV Filters
+ * Filter library implemented with OpenCV.js. Every filter declares typed
+ * parameters so the UI can build its controls automatically. Filters run
+ * on ImageData with an explicit `cv` module, so they work inside a worker.
+ */
+
+import { TRANSFORMS } from "./opencvTransforms";
+
+/**
+ * Map intensity (1-20) to the valid Sobel kernel sizes (1, 3, 5, 7)
+ * @param {number} intensity
+ * @returns {number}
+ */
+export const sobelKernelSize = (intensity) => {
+	const kernelIndex = Math.floor(((intensity - 1) / 19) * 3); // Map 1-20 to 0-3 index
+	return [1, 3, 5, 7][Math.min(Math.max(kernelIndex, 0), 3)];
+};
+
+/**
+ * Copy the alpha channel of `src` into `dst` (both RGBA)
+ * @param {Object} cv
+ * @param {cv.Mat} src
+ * @param {cv.Mat} dst
+ */
+const restoreAlpha = (cv, src, dst) => {
+	const srcChannels = new cv.MatVector();
+	const dstChannels = new cv.MatVector();
+	cv.split(src, srcChannels);
+	cv.split(dst, dstChannels);
+
+	const alpha = srcChannels.get(3);
+	dstChannels.set(3, alpha);
+	cv.merge(dstChannels, dst);
+
+	alpha.delete();
+	srcChannels.delete();
+	dstChannels.delete();
+};
+
+/**
+ * Run an operation that needs a 3-channel image, keeping the source alpha
+ * @param {Object} cv
+ * @param {cv.Mat} src - RGBA input
+ * @param {cv.Mat} dst - RGBA output
+ * @param {Function} operation - (rgb, out) => void
+ */
+const withRGB = (cv, src, dst, operation) => {
+	const rgb = new cv.Mat();
+	const out = new cv.Mat();
+	cv.cvtColor(src, rgb, cv.COLOR_RGBA2RGB);
+	operation(rgb, out);
+	cv.cvtColor(out, dst, cv.COLOR_RGB2RGBA);
+	restoreAlpha(cv, src, dst);
+	rgb.delete();
+	out.delete();
+};
+
+/**
+ * Run an operation on the grayscale image, keeping the source alpha
+ * @param {Object} cv
+ * @param {cv.Mat} src - RGBA input
+ * @param {cv.Mat} dst - RGBA output
+ * @param {Function} operation - (gray, out) => void, `out` must be 8-bit
+ */
+const withGray = (cv, src, dst, operation) => {
+	const gray = new cv.Mat();
+	const out = new cv.Mat();
+	cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+	operation(gray, out);
+	cv.cvtColor(out, dst, cv.COLOR_GRAY2RGBA);
+	restoreAlpha(cv, src, dst);
+	gray.delete();
+	out.delete();
+};
+
+const odd = (radius) => radius * 2 + 1;
+
+/**
+ * Filter registry
+ * Each filter has a label, a category for grouping in the UI, typed params
+ * ({name, label, type: "int" | "float" | "select" | "boolean", ...}) and a
+ * `run(cv, src, dst, params)` function that writes an RGBA result to `dst`.
+ * An optional `hint(params)` describes derived values for the UI.
+ */
+export const FILTERS = {
+	blur: {
+		label: "Gaussian Blur",
+		category: "Blur",
+		params: [{ name: "intensity", label: "Intensity", type: "int", min: 1, max: 20, default: 5 }],
+		run: (cv, src, dst, { intensity }) => {
+			const ksize = new cv.Size(odd(intensity), odd(intensity));
+			cv.GaussianBlur(src, dst, ksize, 0, 0, cv.BORDER_DEFAULT);
+		},
+	},
+	median: {
+		label: "Median Blur",
+		category: "Blur",
+		params: [{ name: "radius", label: "Radius", type: "int", min: 1, max: 10, default: 2 }],
+		run: (cv, src, dst, { radius }) => {
+			cv.medianBlur(src, dst, odd(radius));
+		},
+	},
+	bilateral: {
+		label: "Bilateral Filter",
+		category: "Blur",
+		params: [
+			{ name: "diameter", label: "Diameter", type: "int", min: 3, max: 15, default: 9 },
+			{ name: "sigmaColor", label: "Color sigma", type: "int", min: 10, max: 150, default: 75 },
+			{ name: "sigmaSpace", label: "Space sigma", type: "int", min: 10, max: 150, default: 75 },
+		],
+		run: (cv, src, dst, { diameter, sigmaColor, sigmaSpace }) => {
+			withRGB(cv, src, dst, (rgb, out) =>
+				cv.bilateralFilter(rgb, out, diameter, sigmaColor, sigmaSpace, cv.BORDER_DEFAULT)
+			);
+		},
+	},
+	boxBlur: {
+		label: "Box Blur",
+		category: "Blur",
+		params: [{ name: "radius", label: "Radius", type: "int", min: 1, max: 20, default: 3 }],
+		run: (cv, src, dst, { radius }) => {
+			const ksize = new cv.Size(odd(radius), odd(radius));
+			cv.blur(src, dst, ksize, new cv.Point(-1, -1), cv.BORDER_DEFAULT);
+		},
+	},
+	sharpen: {
+		label: "Unsharp Mask",
+		category: "Sharpen",
+		params: [
+			{ name: "amount", label: "Amount", type: "float", min: 0.1, max: 3, step: 0.1, default: 1 },
+			{ name: "radius", label: "Radius", type: "float", min: 0.5, max: 10, step: 0.5, default: 2 },
+		],
+		run: (cv, src, dst, { amount, radius }) => {
+			const blurred = new cv.Mat();
+			cv.GaussianBlur(src, blurred, new cv.Size(0, 0), radius, radius, cv.BORDER_DEFAULT);
+			cv.addWeighted(src, 1 + amount, blurred, -amount, 0, dst);
+			restoreAlpha(cv, src, dst);
+			blurred.delete();
+		},
+	},
+	edge: {
+		label: "Sobel Edges",
+		category: "Edges",
+		params: [{ name: "intensity", label: "Intensity", type: "int", min: 1, max: 20, default: 5 }],
+		hint: ({ intensity }) => `kernel: ${sobelKernelSize(intensity)}`,
+		run: (cv, src, dst, { intensity }) => {
+			const gray = new cv.Mat();
+			const sobelX = new cv.Mat();
+			const sobelY = new cv.Mat();
+			const sobel = new cv.Mat();
+			const edges = new cv.Mat();
+
+			// Convert to grayscale
+			cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+			// Apply Sobel operators
+			const ksize = sobelKernelSize(intensity);
+			cv.Sobel(gray, sobelX, cv.CV_64F, 1, 0, ksize);
+			cv.Sobel(gray, sobelY, cv.CV_64F, 0, 1, ksize);
+
+			// Combine X and Y gradients
+			cv.magnitude(sobelX, sobelY, sobel);
+
+			// Convert back to 8-bit, scaling the intensity for better visual effect
+			const scaleFactor = intensity / 5; // Gives range 0.2 to 4.0
+			sobel.convertTo(edges, cv.CV_8U, scaleFactor);
+
+			// Convert grayscale back to RGBA
+			cv.cvtColor(edges, dst, cv.COLOR_GRAY2RGBA);
+
+			gray.delete();
+			sobelX.delete();
+			sobelY.delete();
+			sobel.delete();
+			edges.delete();
+		},
+	},
+	canny: {
+		label: "Canny Edges",
+		category: "Edges",
+		params: [
+			{ name: "low", label: "Low threshold", type: "int", min: 0, max: 255, default: 50 },
+			{ name: "high", label: "High threshold", type: "int", min: 0, max: 255, default: 150 },
+		],
+		run: (cv, src, dst, { low, high }) => {
+			withGray(cv, src, dst, (gray, out) => cv.Canny(gray, out, low, high, 3, false));
+		},
+	},
+	laplacian: {
+		label: "Laplacian",
+		category: "Edges",
+		params: [
+			{
+				name: "ksize",
+				label: "Kernel",
+				type: "select",
+				default: 3,
+				options: [1, 3, 5, 7].map((size) => ({ value: size, label: `${size}×${size}` })),
+			},
+			{ name: "scale", label: "Scale", type: "float", min: 0.5, max: 5, step: 0.5, default: 1 },
+		],
+		run: (cv, src, dst, { ksize, scale }) => {
+			withGray(cv, src, dst, (gray, out) => {
+				const laplacian = new cv.Mat();
+				cv.Laplacian(gray, laplacian, cv.CV_16S, ksize, scale, 0, cv.BORDER_DEFAULT);
+				cv.convertScaleAbs(laplacian, out, 1, 0);
+				laplacian.delete();
+			});
+		},
+	},
+	adaptiveThreshold: {
+		label: "Adaptive Threshold",
+		category: "Threshold",
+		params: [
+			{
+				name: "method",
+				label: "Method",
+				type: "select",
+				default: "gaussian",
+				options: [
+					{ value: "mean", label: "Mean" },
+					{ value: "gaussian", label: "Gaussian" },
+				],
+			},
+			{ name: "blockRadius", label: "Block radius", type: "int", min: 1, max: 25, default: 5 },
+			{ name: "offset", label: "Offset", type: "int", min: -20, max: 20, default: 2 },
+		],
+		hint: ({ blockRadius }) => `block: ${odd(blockRadius)}px`,
+		run: (cv, src, dst, { method, blockRadius, offset }) => {
+			const adaptiveMethod =
+				method === "mean" ? cv.ADAPTIVE_THRESH_MEAN_C : cv.ADAPTIVE_THRESH_GAUSSIAN_C;
+			withGray(cv, src, dst, (gray, out) =>
+				cv.adaptiveThreshold(gray, out, 255, adaptiveMethod, cv.THRESH_BINARY, odd(blockRadius), offset)
+			);
+		},
+	},
+	otsuThreshold: {
+		label: "Otsu Threshold",
+		category: "Threshold",
+		params: [{ name: "invert", label: "Invert", type: "boolean", default: false }],
+		run: (cv, src, dst, { invert }) => {
+			const type = (invert ? cv.THRESH_BINARY_INV : cv.THRESH_BINARY) + cv.THRESH_OTSU;
+			withGray(cv, src, dst, (gray, out) => cv.threshold(gray, out, 0, 255, type));
+		},
+	},
+	morphology: {
+		label: "Morphology",
+		category: "Morphology",
+		params: [
+			{
+				name: "operation",
+				label: "Operation",
+				type: "select",
+				default: "erode",
+				options: [
+					{ value: "erode", label: "Erode" },
+					{ value: "dilate", label: "Dilate" },
+					{ value: "open", label: "Open" },
+					{ value: "close", label: "Close" },
+				],
+			},
+			{
+				name: "shape",
+				label: "Kernel shape",
+				type: "select",
+				default: "rect",
+				options: [
+					{ value: "rect", label: "Rectangle" },
+					{ value: "ellipse", label: "Ellipse" },
+					{ value: "cross", label: "Cross" },
+				],
+			},
+			{ name: "size", label: "Kernel size", type: "int", min: 1, max: 15, default: 3 },
+			{ name: "iterations", label: "Iterations", type: "int", min: 1, max: 10, default: 1 },
+		],
+		run: (cv, src, dst, { operation, shape, size, iterations }) => {
+			const operations = {
+				erode: cv.MORPH_ERODE,
+				dilate: cv.MORPH_DILATE,
+				open: cv.MORPH_OPEN,
+				close: cv.MORPH_CLOSE,
+			};
+			const shapes = {
+				rect: cv.MORPH_RECT,
+				ellipse: cv.MORPH_ELLIPSE,
+				cross: cv.MORPH_CROSS,
+			};
+			const kernel = cv.getStructuringElement(shapes[shape], new cv.Size(size, size));
+			cv.morphologyEx(
+				src,
+				dst,
+				operations[operation],
+				kernel,
+				new cv.Point(-1, -1),
+				iterations,
+				cv.BORDER_CONSTANT,
+				cv.morphologyDefaultBorderValue()
+			);
+			restoreAlpha(cv, src, dst);
+			kernel.delete();
+		},
+	},
+	grayscale: {
+		label: "Grayscale",
+		category: "Color",
+		params: [],
+		run: (cv, src, dst) => {
+			withGray(cv, src, dst, (gray, out) => gray.copyTo(out));
+		},
+	},
+	sepia: {
+		label: "Sepia",
+		category: "Color",
+		params: [{ name: "amount", label: "Amount", type: "float", min: 0, max: 1, step: 0.05, default: 1 }],
+		run: (cv, src, dst, { amount }) => {
+			// Blend the classic sepia matrix with identity; alpha passes through
+			const sepia = [
+				[0.393, 0.769, 0.189, 0],
+				[0.349, 0.686, 0.168, 0],
+				[0.272, 0.534, 0.131, 0],
+				[0, 0, 0, 1],
+			];
+			const weights = sepia.flatMap((row, r) =>
+				row.map((value, c) => (1 - amount) * (r === c ? 1 : 0) + amount * value)
+			);
+			const kernel = cv.matFromArray(4, 4, cv.CV_32F, weights);
+			cv.transform(src, dst, kernel);
+			kernel.delete();
+		},
+	},
+	invert: {
+		label: "Invert",
+		category: "Color",
+		params: [],
+		run: (cv, src, dst) => {
+			cv.bitwise_not(src, dst);
+			restoreAlpha(cv, src, dst);
+		},
+	},
+	posterize: {
+		label: "Posterize",
+		category: "Color",
+		params: [{ name: "levels", label: "Levels", type: "int", min: 2, max: 16, default: 4 }],
+		run: (cv, src, dst, { levels }) => {
+			const table = Array.from({ length: 256 }, (_, value) => {
+				const level = Math.min(Math.floor((value * levels) / 256), levels - 1);
+				return Math.round((level * 255) / (levels - 1));
+			});
+			const lut = cv.matFromArray(1, 256, cv.CV_8UC1, table);
+			cv.LUT(src, lut, dst);
+			restoreAlpha(cv, src, dst);
+			lut.delete();
+		},
+	},
+};
+
+/**
+ * Look up a filter or geometric transform
+ * @param {string} type - Key in FILTERS or TRANSFORMS
+ * @returns {Object|undefined}
+ */
+export const getOperation = (type) => FILTERS[type] || TRANSFORMS[type];
+
+/**
+ * Default parameter values of a filter
+ * @param {string} type - Key in FILTERS or TRANSFORMS
+ * @returns {Object}
+ */
+export const getFilterDefaults = (type) =>
+	Object.fromEntries(getOperation(type).params.map((param) => [param.name, param.default]));
+
+/**
+ * Coerce parameters to their declared types, clamp them to their ranges and
+ * fill in defaults for missing values
+ * @param {string} type - Key in FILTERS or TRANSFORMS
+ * @param {Object} [params]
+ * @returns {Object}
+ */
+export const normalizeFilterParams = (type, params = {}) => {
+	const filter = getOperation(type);
+	if (!filter) {
+		throw new Error(`Unknown filter: ${type}`);
+	}
+
+	return Object.fromEntries(
+		filter.params.map((param) => {
+			const raw = params[param.name];
+			let value;
+
+			switch (param.type) {
+				case "int":
+				case "float": {
+					const number = Number(raw);
+					if (raw === undefined || raw === null || Number.isNaN(number)) {
+						value = param.default;
+					} else {
+						const rounded = param.type === "int" ? Math.round(number) : number;
+						value = Math.min(Math.max(rounded, param.min), param.max);
+					}
+					break;
+				}
+				case "select":
+					value = param.options.some((option) => option.value === raw)
+						? raw
+						: param.default;
+					break;
+				case "boolean":
+					value = typeof raw === "boolean" ? raw : param.default;
+					break;
+				default:
+					value = param.default;
+			}
+
+			return [param.name, value];
+		})
+	);
+};
+
+/**
+ * Run a filter on image pixels
+ * @param {Object} cv - OpenCV.js module
+ * @param {ImageData} imageData - RGBA input
+ * @param {string} type - Key in FILTERS or TRANSFORMS
+ * @param {Object} [params]
+ * @returns {ImageData} - Filtered pixels, resized by geometric transforms
+ */
+export const runFilter = (cv, imageData, type, params) => {
+	const filter = getOperation(type);
+	if (!filter) {
+		throw new Error(`Unknown filter: ${type}`);
+	}
+
+	const src = cv.matFromImageData(imageData);
+	const dst = new cv.Mat();
+
+	try {
+		filter.run(cv, src, dst, normalizeFilterParams(type, params));
+		return new ImageData(new Uint8ClampedArray(dst.data), dst.cols, dst.rows);
+	} finally {
+		src.delete();
+		dst.delete();
+	}
+};
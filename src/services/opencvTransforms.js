@@ -0,0 +1,282 @@
+/**
+ * OpenCV Transforms
+ * Geometric operations (crop, rotate, flip, resize) with the same shape as
+ * the filter library, so they run through the same worker. Unlike filters
+ * they may change the image size, and they are applied as document stages
+ * rather than as part of the filter stack.
+ */
+
+const INTERPOLATION_OPTIONS = [
+	{ value: "nearest", label: "Nearest neighbour" },
+	{ value: "linear", label: "Bilinear" },
+	{ value: "cubic", label: "Bicubic" },
+	{ value: "area", label: "Area (best for shrinking)" },
+	{ value: "lanczos", label: "Lanczos" },
+];
+
+const interpolationFlag = (cv, interpolation) =>
+	({
+		nearest: cv.INTER_NEAREST,
+		linear: cv.INTER_LINEAR,
+		cubic: cv.INTER_CUBIC,
+		area: cv.INTER_AREA,
+		lanczos: cv.INTER_LANCZOS4,
+	})[interpolation];
+
+// Largest output side; browsers refuse bigger canvases
+const MAX_SIZE = 16384;
+
+const TRANSPARENT = (cv) => new cv.Scalar(0, 0, 0, 0);
+
+/**
+ * Transform registry, see FILTERS in opencvFilters for the entry format
+ */
+export const TRANSFORMS = {
+	crop: {
+		label: "Crop",
+		category: "Geometry",
+		// Fractions of the current image, so a crop survives earlier resizes
+		params: [
+			{ name: "x", label: "Left", type: "float", min: 0, max: 1, default: 0 },
+			{ name: "y", label: "Top", type: "float", min: 0, max: 1, default: 0 },
+			{ name: "width", label: "Width", type: "float", min: 0, max: 1, default: 1 },
+			{ name: "height", label: "Height", type: "float", min: 0, max: 1, default: 1 },
+		],
+		run: (cv, src, dst, { x, y, width, height }) => {
+			const left = Math.min(Math.round(x * src.cols), src.cols - 1);
+			const top = Math.min(Math.round(y * src.rows), src.rows - 1);
+			const rect = new cv.Rect(
+				left,
+				top,
+				Math.max(1, Math.min(Math.round(width * src.cols), src.cols - left)),
+				Math.max(1, Math.min(Math.round(height * src.rows), src.rows - top))
+			);
+			const roi = src.roi(rect);
+			roi.copyTo(dst);
+			roi.delete();
+		},
+	},
+	rotate: {
+		label: "Rotate",
+		category: "Geometry",
+		params: [
+			{ name: "angle", label: "Angle", type: "float", min: -360, max: 360, step: 1, default: 90 },
+			{
+				name: "interpolation",
+				label: "Resampling",
+				type: "select",
+				options: INTERPOLATION_OPTIONS,
+				default: "linear",
+			},
+		],
+		// Positive angles turn clockwise; the canvas grows to fit the corners
+		run: (cv, src, dst, { angle, interpolation }) => {
+			const turns = (((angle % 360) + 360) % 360) / 90;
+			if (Number.isInteger(turns)) {
+				// Quarter turns are lossless
+				if (turns === 0) {
+					src.copyTo(dst);
+				} else {
+					const code = [cv.ROTATE_90_CLOCKWISE, cv.ROTATE_180, cv.ROTATE_90_COUNTERCLOCKWISE];
+					cv.rotate(src, dst, code[turns - 1]);
+				}
+				return;
+			}
+
+			const radians = (angle * Math.PI) / 180;
+			const cos = Math.abs(Math.cos(radians));
+			const sin = Math.abs(Math.sin(radians));
+			const width = Math.round(src.cols * cos + src.rows * sin);
+			const height = Math.round(src.cols * sin + src.rows * cos);
+
+			// OpenCV angles are counter-clockwise
+			const matrix = cv.getRotationMatrix2D(new cv.Point(src.cols / 2, src.rows / 2), -angle, 1);
+			// Shift so the rotated image is centred in the larger canvas
+			matrix.doublePtr(0, 2)[0] += (width - src.cols) / 2;
+			matrix.doublePtr(1, 2)[0] += (height - src.rows) / 2;
+
+			cv.warpAffine(
+				src,
+				dst,
+				matrix,
+				new cv.Size(width, height),
+				interpolationFlag(cv, interpolation),
+				cv.BORDER_CONSTANT,
+				TRANSPARENT(cv)
+			);
+			matrix.delete();
+		},
+	},
+	flip: {
+		label: "Flip",
+		category: "Geometry",
+		params: [
+			{ name: "horizontal", label: "Horizontal", type: "boolean", default: true },
+			{ name: "vertical", label: "Vertical", type: "boolean", default: false },
+		],
+		run: (cv, src, dst, { horizontal, vertical }) => {
+			if (horizontal && vertical) {
+				cv.flip(src, dst, -1);
+			} else if (horizontal) {
+				cv.flip(src, dst, 1);
+			} else if (vertical) {
+				cv.flip(src, dst, 0);
+			} else {
+				src.copyTo(dst);
+			}
+		},
+	},
+	resize: {
+		label: "Resize Image",
+		category: "Geometry",
+		params: [
+			{ name: "width", label: "Width", type: "int", min: 1, max: MAX_SIZE, default: 800 },
+			{ name: "height", label: "Height", type: "int", min: 1, max: MAX_SIZE, default: 600 },
+			{
+				name: "interpolation",
+				label: "Resampling",
+				type: "select",
+				options: INTERPOLATION_OPTIONS,
+				default: "area",
+			},
+		],
+		run: (cv, src, dst, { width, height, interpolation }) => {
+			cv.resize(src, dst, new cv.Size(width, height), 0, 0, interpolationFlag(cv, interpolation));
+		},
+	},
+	canvasSize: {
+		label: "Resize Canvas",
+		category: "Geometry",
+		// Keeps the image at its size, centred; new area is transparent
+		params: [
+			{ name: "width", label: "Width", type: "int", min: 1, max: MAX_SIZE, default: 800 },
+			{ name: "height", label: "Height", type: "int", min: 1, max: MAX_SIZE, default: 600 },
+		],
+		run: (cv, src, dst, { width, height }) => {
+			const canvas = new cv.Mat(height, width, cv.CV_8UC4, TRANSPARENT(cv));
+			const offsetX = Math.round((width - src.cols) / 2);
+			const offsetY = Math.round((height - src.rows) / 2);
+
+			// Overlap of the source and the new canvas
+			const copyWidth = Math.min(src.cols, width);
+			const copyHeight = Math.min(src.rows, height);
+			const srcRoi = src.roi(
+				new cv.Rect(Math.max(0, -offsetX), Math.max(0, -offsetY), copyWidth, copyHeight)
+			);
+			const dstRoi = canvas.roi(
+				new cv.Rect(Math.max(0, offsetX), Math.max(0, offsetY), copyWidth, copyHeight)
+			);
+			srcRoi.copyTo(dstRoi);
+
+			canvas.copyTo(dst);
+			srcRoi.delete();
+			dstRoi.delete();
+			canvas.delete();
+		},
+	},
+};
+
+/**
+ * Where a transform moves pixels, for mapping points between the image
+ * before and after it. Follows the sizes and rounding of each run above.
+ * @param {string} type - Key in TRANSFORMS
+ * @param {Object} params - Transform params
+ * @param {number} width - Input width
+ * @param {number} height - Input height
+ * @returns {Object} - {matrix, width, height} with the output size; matrix
+ *   [a, b, c, d, e, f] maps (x, y) to (a·x + c·y + e, b·x + d·y + f)
+ */
+export const getTransformGeometry = (type, params, width, height) => {
+	switch (type) {
+		case "crop": {
+			const left = Math.min(Math.round(params.x * width), width - 1);
+			const top = Math.min(Math.round(params.y * height), height - 1);
+			return {
+				matrix: [1, 0, 0, 1, -left, -top],
+				width: Math.max(1, Math.min(Math.round(params.width * width), width - left)),
+				height: Math.max(1, Math.min(Math.round(params.height * height), height - top)),
+			};
+		}
+		case "rotate": {
+			const turns = (((params.angle % 360) + 360) % 360) / 90;
+			const radians = (params.angle * Math.PI) / 180;
+			const cos = Math.cos(radians);
+			const sin = Math.sin(radians);
+			const [outWidth, outHeight] = Number.isInteger(turns)
+				? turns % 2 === 1
+					? [height, width]
+					: [width, height]
+				: [
+						Math.round(width * Math.abs(cos) + height * Math.abs(sin)),
+						Math.round(width * Math.abs(sin) + height * Math.abs(cos)),
+					];
+			// Clockwise about the centre, which stays in the centre of the output
+			return {
+				matrix: [
+					cos,
+					sin,
+					-sin,
+					cos,
+					outWidth / 2 - (cos * width) / 2 + (sin * height) / 2,
+					outHeight / 2 - (sin * width) / 2 - (cos * height) / 2,
+				],
+				width: outWidth,
+				height: outHeight,
+			};
+		}
+		case "flip": {
+			const { horizontal, vertical } = params;
+			return {
+				matrix: [
+					horizontal ? -1 : 1,
+					0,
+					0,
+					vertical ? -1 : 1,
+					horizontal ? width : 0,
+					vertical ? height : 0,
+				],
+				width,
+				height,
+			};
+		}
+		case "resize":
+			return {
+				matrix: [params.width / width, 0, 0, params.height / height, 0, 0],
+				width: params.width,
+				height: params.height,
+			};
+		case "canvasSize":
+			return {
+				matrix: [
+					1,
+					0,
+					0,
+					1,
+					Math.round((params.width - width) / 2),
+					Math.round((params.height - height) / 2),
+				],
+				width: params.width,
+				height: params.height,
+			};
+		default:
+			throw new Error(`Unknown transform: ${type}`);
+	}
+};
+
+/**
+ * Largest centred crop with the given aspect ratio
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} aspect - Width / height
+ * @returns {Object} - Crop params {x, y, width, height} as fractions
+ */
+export const getCenteredCrop = (width, height, aspect) => {
+	const cropWidth = Math.min(width, height * aspect);
+	const cropHeight = cropWidth / aspect;
+	return {
+		x: (width - cropWidth) / 2 / width,
+		y: (height - cropHeight) / 2 / height,
+		width: cropWidth / width,
+		height: cropHeight / height,
+	};
+};
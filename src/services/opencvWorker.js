@@ -0,0 +1,287 @@
+/**
+ * OpenCV Worker Client
+ * Sends filter chains to the OpenCV worker so heavy processing never blocks
+ * the UI, with progress reporting and cancellation
+ */
+
+import { getOperation } from "./opencvFilters";
+
+// Give up when loading makes no progress for this long
+const LOAD_STALL_TIMEOUT = 30000;
+// A cancelled job stops after its current filter; the worker is stopped if
+// that takes longer than this
+const CANCEL_GRACE_PERIOD = 5000;
+
+export const OPENCV_VERSION = import.meta.env.OPENCV_VERSION;
+
+// Abort reason for jobs replaced by a newer request: the worker finishes the
+// current filter and skips the rest instead of being restarted
+export const SUPERSEDED = "superseded";
+
+let worker = null;
+let readyPromise = null;
+let rejectLoad = null;
+let nextJobId = 1;
+const jobs = new Map(); // id -> {resolve, reject, filters, onProgress, cancelled}
+const loadListeners = new Set();
+let loadStatus = { phase: "idle", loaded: 0, total: 0 };
+
+/**
+ * Publish loading progress to subscribers
+ * @param {Object} status - {phase: "idle" | "download" | "compile" | "ready" | "error", loaded, total}
+ */
+const setLoadStatus = (status) => {
+	loadStatus = { loaded: 0, total: 0, ...status };
+	loadListeners.forEach((listener) => listener(loadStatus));
+};
+
+const createAbortError = (message = "Filter cancelled") =>
+	new DOMException(message, "AbortError");
+
+const handleMessage = ({ data }) => {
+	const job = jobs.get(data.id);
+	if (!job) return;
+
+	switch (data.type) {
+		case "progress":
+			job.onProgress?.({
+				progress: data.progress,
+				label: getOperation(job.filters[data.step].type).label,
+			});
+			break;
+		case "result":
+			jobs.delete(data.id);
+			// Finished before it saw the cancel
+			if (job.cancelled) {
+				job.reject(createAbortError());
+			} else {
+				job.resolve(data.imageData);
+			}
+			break;
+		case "cancelled":
+			jobs.delete(data.id);
+			job.reject(createAbortError());
+			break;
+		case "error":
+			jobs.delete(data.id);
+			job.reject(new Error(data.message));
+			break;
+		default:
+			break;
+	}
+};
+
+const spawnWorker = () => {
+	const instance = new Worker(new URL("../workers/opencv.worker.js", import.meta.url), {
+		type: "module",
+	});
+	instance.addEventListener("message", handleMessage);
+	worker = instance;
+
+	const loading = new Promise((resolve, reject) => {
+		rejectLoad = reject;
+		let timeout = null;
+		const armTimeout = () => {
+			clearTimeout(timeout);
+			timeout = setTimeout(
+				() => reject(new Error("OpenCV stopped loading. Check your connection and retry.")),
+				LOAD_STALL_TIMEOUT
+			);
+		};
+
+		const handleLoad = ({ data }) => {
+			switch (data.type) {
+				case "loadProgress":
+					armTimeout();
+					setLoadStatus({ phase: data.phase, loaded: data.loaded, total: data.total });
+					break;
+				case "ready":
+					clearTimeout(timeout);
+					instance.removeEventListener("message", handleLoad);
+					resolve();
+					break;
+				case "loadError":
+					clearTimeout(timeout);
+					reject(new Error(data.message));
+					break;
+				default:
+					break;
+			}
+		};
+
+		armTimeout();
+		instance.addEventListener("message", handleLoad);
+		instance.addEventListener("error", (event) => {
+			clearTimeout(timeout);
+			reject(new Error(event.message || "OpenCV worker crashed"));
+		});
+	});
+
+	readyPromise = loading;
+	loading.then(
+		() => {
+			if (readyPromise === loading) setLoadStatus({ phase: "ready" });
+		},
+		(error) => {
+			if (readyPromise !== loading && readyPromise !== null) return;
+
+			// A failed load is retried with a fresh worker next time
+			terminateOpenCVWorker();
+			setLoadStatus({ phase: "error", error: error.message });
+		}
+	);
+	setLoadStatus({ phase: "download" });
+
+	instance.postMessage({ type: "load" });
+};
+
+/**
+ * Start the worker (once) and wait for OpenCV to initialize
+ * @returns {Promise<void>}
+ */
+export const loadOpenCVWorker = () => {
+	if (!worker) {
+		spawnWorker();
+	}
+	return readyPromise;
+};
+
+/**
+ * Get the current loading status
+ * @returns {Object} - {phase, loaded, total, error}
+ */
+export const getOpenCVLoadStatus = () => loadStatus;
+
+/**
+ * Listen for loading progress
+ * @param {Function} listener - Called with {phase, loaded, total, error}
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeOpenCVLoad = (listener) => {
+	loadListeners.add(listener);
+	return () => loadListeners.delete(listener);
+};
+
+/**
+ * Stop the worker immediately, rejecting every running job. The next
+ * request starts a fresh worker.
+ */
+export const terminateOpenCVWorker = () => {
+	if (!worker) return;
+
+	worker.terminate();
+	worker = null;
+	readyPromise = null;
+	rejectLoad?.(createAbortError("OpenCV loading cancelled"));
+	rejectLoad = null;
+	jobs.forEach((job) => job.reject(createAbortError()));
+	jobs.clear();
+};
+
+/**
+ * Run a chain of filters in the worker
+ * @param {ImageData} imageData - Input pixels; its buffer is transferred
+ * @param {Array} filters - [{type, params}] applied in order
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting skips the filters after the
+ *   current one. The job rejects once the worker stops it, or, unless the
+ *   reason is SUPERSEDED, when the worker is stopped after CANCEL_GRACE_PERIOD.
+ * @param {Function} [options.onProgress] - Called with {progress, label}
+ * @returns {Promise<ImageData>} - Filtered pixels
+ */
+export const runFilters = (imageData, filters, { signal, onProgress } = {}) =>
+	new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(createAbortError());
+			return;
+		}
+
+		const id = nextJobId++;
+		let posted = false;
+		let graceTimer = null;
+
+		const handleAbort = () => {
+			const job = jobs.get(id);
+			if (!job) return;
+
+			if (!posted) {
+				// Still waiting for OpenCV to load; just drop the job
+				job.reject(createAbortError());
+				jobs.delete(id);
+				return;
+			}
+
+			worker.postMessage({ type: "cancel", id });
+			job.cancelled = true;
+			// A superseded job's result is simply ignored; a cancel must settle
+			if (signal.reason !== SUPERSEDED) {
+				graceTimer = setTimeout(() => {
+					if (jobs.has(id)) terminateOpenCVWorker();
+				}, CANCEL_GRACE_PERIOD);
+			}
+		};
+		const settle = (callback) => (value) => {
+			clearTimeout(graceTimer);
+			signal?.removeEventListener("abort", handleAbort);
+			callback(value);
+		};
+
+		jobs.set(id, {
+			resolve: settle(resolve),
+			reject: settle(reject),
+			filters,
+			onProgress,
+		});
+		signal?.addEventListener("abort", handleAbort);
+
+		loadOpenCVWorker().then(
+			() => {
+				if (!jobs.has(id)) return;
+
+				posted = true;
+				worker.postMessage({ id, type: "filter", imageData, filters }, [imageData.data.buffer]);
+			},
+			(error) => {
+				jobs.get(id)?.reject(error);
+				jobs.delete(id);
+			}
+		);
+	});
+
+/**
+ * Apply a filter or geometric transform to the canvas, resizing the canvas
+ * when the result has a different size
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type - Key in FILTERS or TRANSFORMS
+ * @param {Object} [params]
+ * @param {Object} [options] - See runFilters
+ * @returns {Promise<void>}
+ */
+export const applyFilter = async (canvas, type, params, options) => {
+	const ctx = canvas.getContext("2d");
+	const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+	const filtered = await runFilters(imageData, [{ type, params }], options);
+	if (filtered.width !== canvas.width || filtered.height !== canvas.height) {
+		canvas.width = filtered.width;
+		canvas.height = filtered.height;
+	}
+	ctx.putImageData(filtered, 0, 0);
+};
+
+/**
+ * Apply Gaussian blur filter
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} intensity - Blur intensity (1-20)
+ * @returns {Promise<void>}
+ */
+export const applyGaussianBlur = (canvas, intensity = 5) =>
+	applyFilter(canvas, "blur", { intensity });
+
+/**
+ * Apply Sobel edge detection
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} intensity - Edge intensity (1-20)
+ * @returns {Promise<void>}
+ */
+export const applySobelEdges = (canvas, intensity = 5) =>
+	applyFilter(canvas, "edge", { intensity });
@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { runFilters, SUPERSEDED, terminateOpenCVWorker } from "./opencvWorker";
+
+let workers;
+
+/**
+ * Stand-in for the OpenCV worker: loads right away and records messages
+ */
+class FakeWorker {
+	constructor() {
+		this.listeners = new Set();
+		this.messages = [];
+		this.terminated = false;
+		workers.push(this);
+	}
+
+	addEventListener(type, listener) {
+		if (type === "message") this.listeners.add(listener);
+	}
+
+	removeEventListener(type, listener) {
+		this.listeners.delete(listener);
+	}
+
+	postMessage(data) {
+		this.messages.push(data);
+		if (data.type === "load") {
+			queueMicrotask(() => this.emit({ type: "ready" }));
+		}
+	}
+
+	emit(data) {
+		this.listeners.forEach((listener) => listener({ data }));
+	}
+
+	terminate() {
+		this.terminated = true;
+	}
+}
+
+const createImageData = () => ({ width: 1, height: 1, data: new Uint8ClampedArray(4) });
+
+/**
+ * Start a job and wait until it is posted to the worker
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object>} - {job, worker, id}
+ */
+const startJob = async (signal) => {
+	const job = runFilters(createImageData(), [{ type: "blur", params: {} }], { signal });
+	job.catch(() => {});
+	await vi.advanceTimersByTimeAsync(0);
+
+	const [worker] = workers;
+	const { id } = worker.messages.find((message) => message.type === "filter");
+	return { job, worker, id };
+};
+
+beforeEach(() => {
+	workers = [];
+	vi.useFakeTimers();
+	vi.stubGlobal("Worker", FakeWorker);
+});
+
+afterEach(() => {
+	terminateOpenCVWorker();
+	vi.useRealTimers();
+	vi.unstubAllGlobals();
+});
+
+describe("runFilters cancellation", () => {
+	it("asks the worker to stop a cancelled job and keeps the worker", async () => {
+		const controller = new AbortController();
+		const { job, worker, id } = await startJob(controller.signal);
+
+		controller.abort();
+		expect(worker.messages.at(-1)).toEqual({ type: "cancel", id });
+
+		worker.emit({ id, type: "cancelled" });
+		await expect(job).rejects.toMatchObject({ name: "AbortError" });
+
+		await vi.advanceTimersByTimeAsync(10000);
+		expect(worker.terminated).toBe(false);
+	});
+
+	it("rejects a cancelled job whose result crosses the cancel", async () => {
+		const controller = new AbortController();
+		const { job, worker, id } = await startJob(controller.signal);
+
+		controller.abort();
+		worker.emit({ id, type: "result", imageData: createImageData() });
+
+		await expect(job).rejects.toMatchObject({ name: "AbortError" });
+		expect(worker.terminated).toBe(false);
+	});
+
+	it("stops the worker when a cancelled job does not settle in time", async () => {
+		const controller = new AbortController();
+		const { job, worker } = await startJob(controller.signal);
+
+		controller.abort();
+		await vi.advanceTimersByTimeAsync(4999);
+		expect(worker.terminated).toBe(false);
+
+		await vi.advanceTimersByTimeAsync(1);
+		expect(worker.terminated).toBe(true);
+		await expect(job).rejects.toMatchObject({ name: "AbortError" });
+	});
+
+	it("leaves superseded jobs running however long they take", async () => {
+		const controller = new AbortController();
+		const { job, worker, id } = await startJob(controller.signal);
+
+		controller.abort(SUPERSEDED);
+		await vi.advanceTimersByTimeAsync(60000);
+		expect(worker.terminated).toBe(false);
+
+		worker.emit({ id, type: "cancelled" });
+		await expect(job).rejects.toMatchObject({ name: "AbortError" });
+	});
+});
@@ -0,0 +1,202 @@
+/**
+ * Request Policy
+ * Cancellation, timeouts and retries for calls to AI services. Failures are
+ * told apart by error name:
+ *   AbortError      cancelled by the user; never reported
+ *   TimeoutError    no answer within the service's timeout
+ *   RateLimitError  too many requests; retried after Retry-After
+ *   QuotaError      quota or credits used up; not retried
+ * Network failures and 408/5xx responses are retried with exponential
+ * backoff.
+ */
+
+const MAX_RETRIES = 3;
+const BASE_DELAY = 1000;
+// Longer waits are reported instead of slept through
+const MAX_DELAY = 30000;
+
+const TRANSIENT_STATUSES = [408, 425, 500, 502, 503, 504];
+const QUOTA_PATTERN = /quota|credits?\b|billing|insufficient/i;
+
+/**
+ * @param {string} [message]
+ * @returns {DOMException}
+ */
+export const createAbortError = (message = "Cancelled") => new DOMException(message, "AbortError");
+
+/**
+ * Create an error named by its kind
+ * @param {string} name - "TimeoutError", "RateLimitError", "QuotaError" or "Error"
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {number} [details.status] - HTTP status
+ * @param {number} [details.retryAfter] - Milliseconds the server asked us to wait
+ * @returns {Error}
+ */
+export const createRequestError = (name, message, { status, retryAfter } = {}) => {
+	const error = new Error(message);
+	error.name = name;
+	error.status = status;
+	error.retryAfter = retryAfter;
+	return error;
+};
+
+/**
+ * Read a Retry-After header, in seconds or as an HTTP date
+ * @param {string|null} value
+ * @returns {number|undefined} - Milliseconds
+ */
+export const parseRetryAfter = (value) => {
+	if (!value) return undefined;
+
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+	const date = Date.parse(value);
+	return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Error for a failed HTTP response
+ * @param {Response} response
+ * @param {string} [message] - From the response body, when it has one
+ * @returns {Error}
+ */
+export const createHttpError = (
+	response,
+	message = `${response.status} ${response.statusText}`.trim()
+) => {
+	const details = {
+		status: response.status,
+		retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+	};
+
+	if (response.status === 402 || (response.status === 429 && QUOTA_PATTERN.test(message))) {
+		return createRequestError("QuotaError", `Quota exceeded: ${message}`, details);
+	}
+	if (response.status === 429) {
+		return createRequestError("RateLimitError", `Rate limited: ${message}`, details);
+	}
+	return createRequestError("Error", message, details);
+};
+
+/**
+ * Whether trying again may succeed
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isTransient = (error) =>
+	error.name === "RateLimitError" ||
+	// fetch rejects with a TypeError when the network fails
+	error.name === "TypeError" ||
+	TRANSIENT_STATUSES.includes(error.status);
+
+/**
+ * Milliseconds to wait before an attempt: what the server asked for, or
+ * exponential backoff with jitter
+ * @param {Error} error
+ * @param {number} attempt - Retries so far
+ * @returns {number}
+ */
+const getRetryDelay = (error, attempt) =>
+	error.retryAfter ?? BASE_DELAY * 2 ** attempt + Math.random() * BASE_DELAY * 0.25;
+
+/**
+ * Wait, unless cancelled first
+ * @param {number} delay - Milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const sleep = (delay, signal) =>
+	new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", handleAbort);
+			resolve();
+		}, delay);
+		const handleAbort = () => {
+			clearTimeout(timer);
+			reject(createAbortError());
+		};
+		signal?.addEventListener("abort", handleAbort, { once: true });
+	});
+
+/**
+ * Run one attempt, aborting it when the caller cancels or it takes too long.
+ * Settles right away on abort even if the request ignores its signal.
+ * @param {Function} request - (signal) => Promise
+ * @param {Object} options - {signal, timeout, label}
+ * @returns {Promise}
+ */
+const withTimeout = (request, { signal, timeout, label }) => {
+	const controller = new AbortController();
+	const cancel = () => controller.abort(createAbortError());
+	signal?.addEventListener("abort", cancel, { once: true });
+	const timer =
+		timeout &&
+		setTimeout(
+			() =>
+				controller.abort(
+					createRequestError("TimeoutError", `${label} timed out after ${Math.round(timeout / 1000)}s`)
+				),
+			timeout
+		);
+
+	const aborted = new Promise((_, reject) => {
+		controller.signal.addEventListener("abort", () => reject(controller.signal.reason), {
+			once: true,
+		});
+	});
+
+	return Promise.race([request(controller.signal), aborted]).finally(() => {
+		clearTimeout(timer);
+		signal?.removeEventListener("abort", cancel);
+	});
+};
+
+/**
+ * Run a request with a timeout per attempt, retrying transient failures
+ * @param {Function} request - (signal) => Promise; the signal aborts on cancel or timeout
+ * @param {Object} options
+ * @param {string} options.label - Service name for messages
+ * @param {number} options.timeout - Milliseconds per attempt
+ * @param {AbortSignal} [options.signal] - Cancels the request and any wait
+ * @param {number} [options.retries]
+ * @param {Function} [options.onRetry] - Called with {attempt, delay, error} before waiting
+ * @returns {Promise}
+ */
+export const withRetry = async (
+	request,
+	{ label, timeout, signal, retries = MAX_RETRIES, onRetry }
+) => {
+	for (let attempt = 0; ; attempt++) {
+		if (signal?.aborted) {
+			throw createAbortError();
+		}
+
+		try {
+			return await withTimeout(request, { signal, timeout, label });
+		} catch (error) {
+			if (signal?.aborted) throw createAbortError();
+
+			const delay = getRetryDelay(error, attempt);
+			if (attempt >= retries || !isTransient(error) || delay > MAX_DELAY) {
+				throw error;
+			}
+
+			console.warn(`${label} failed, retrying in ${Math.round(delay)}ms:`, error.message);
+			onRetry?.({ attempt: attempt + 1, delay, error });
+			await sleep(delay, signal);
+		}
+	}
+};
+
+/**
+ * Loading text for a retry
+ * @param {string} label - Service name
+ * @param {Object} retry - {attempt, delay, error}, see withRetry
+ * @returns {string}
+ */
+export const describeRetry = (label, { attempt, delay, error }) =>
+	`${label} ${error.name === "RateLimitError" ? "is rate limiting requests" : "did not answer"}; retrying in ${Math.ceil(
+		delay / 1000
+	)}s (attempt ${attempt + 1})...`;
@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+	createAbortError,
+	createHttpError,
+	parseRetryAfter,
+	withRetry,
+} from "./requestPolicy";
+
+const httpError = (status, headers = {}, message) =>
+	createHttpError(new Response(null, { status, headers }), message);
+
+describe("parseRetryAfter", () => {
+	it("reads seconds", () => {
+		expect(parseRetryAfter("2")).toBe(2000);
+		expect(parseRetryAfter("0")).toBe(0);
+	});
+
+	it("reads HTTP dates", () => {
+		const delay = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+		expect(delay).toBeGreaterThan(3000);
+		expect(delay).toBeLessThanOrEqual(5000);
+	});
+
+	it("ignores missing and malformed values", () => {
+		expect(parseRetryAfter(null)).toBeUndefined();
+		expect(parseRetryAfter("soon")).toBeUndefined();
+	});
+});
+
+describe("createHttpError", () => {
+	it("names rate limits and keeps Retry-After", () => {
+		const error = httpError(429, { "Retry-After": "3" });
+		expect(error.name).toBe("RateLimitError");
+		expect(error.status).toBe(429);
+		expect(error.retryAfter).toBe(3000);
+	});
+
+	it("tells quota errors from rate limits", () => {
+		expect(httpError(429, {}, "You exceeded your current quota").name).toBe("QuotaError");
+		expect(httpError(402).name).toBe("QuotaError");
+	});
+
+	it("keeps other statuses as plain errors", () => {
+		const error = httpError(503);
+		expect(error.name).toBe("Error");
+		expect(error.status).toBe(503);
+	});
+});
+
+describe("withRetry", () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it("retries transient failures with backoff", async () => {
+		const request = vi
+			.fn()
+			.mockRejectedValueOnce(httpError(503))
+			.mockRejectedValueOnce(new TypeError("Failed to fetch"))
+			.mockResolvedValue("done");
+		const onRetry = vi.fn();
+
+		const result = withRetry(request, { label: "Test", timeout: 1000, onRetry });
+		await vi.runAllTimersAsync();
+
+		await expect(result).resolves.toBe("done");
+		expect(request).toHaveBeenCalledTimes(3);
+		expect(onRetry.mock.calls.map(([retry]) => retry.attempt)).toEqual([1, 2]);
+		// Exponential, with up to a quarter of the base delay of jitter
+		expect(onRetry.mock.calls[0][0].delay).toBeGreaterThanOrEqual(1000);
+		expect(onRetry.mock.calls[1][0].delay).toBeGreaterThanOrEqual(2000);
+	});
+
+	it("waits as long as Retry-After asks", async () => {
+		const request = vi
+			.fn()
+			.mockRejectedValueOnce(httpError(429, { "Retry-After": "5" }))
+			.mockResolvedValue("done");
+		const onRetry = vi.fn();
+
+		const result = withRetry(request, { label: "Test", timeout: 1000, onRetry });
+		await vi.advanceTimersByTimeAsync(4999);
+		expect(request).toHaveBeenCalledTimes(1);
+		await vi.advanceTimersByTimeAsync(1);
+
+		await expect(result).resolves.toBe("done");
+		expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delay: 5000 }));
+	});
+
+	it("gives up when Retry-After is too long to wait", async () => {
+		const request = vi.fn().mockRejectedValue(httpError(429, { "Retry-After": "120" }));
+
+		await expect(withRetry(request, { label: "Test", timeout: 1000 })).rejects.toMatchObject({
+			name: "RateLimitError",
+		});
+		expect(request).toHaveBeenCalledTimes(1);
+	});
+
+	it("does not retry quota errors or client errors", async () => {
+		const quota = vi.fn().mockRejectedValue(httpError(402));
+		const invalid = vi.fn().mockRejectedValue(httpError(400));
+
+		await expect(withRetry(quota, { label: "Test", timeout: 1000 })).rejects.toMatchObject({
+			name: "QuotaError",
+		});
+		await expect(withRetry(invalid, { label: "Test", timeout: 1000 })).rejects.toMatchObject({
+			status: 400,
+		});
+		expect(quota).toHaveBeenCalledTimes(1);
+		expect(invalid).toHaveBeenCalledTimes(1);
+	});
+
+	it("stops after the last retry", async () => {
+		const request = vi.fn().mockRejectedValue(httpError(503));
+
+		const result = withRetry(request, { label: "Test", timeout: 1000, retries: 2 });
+		const settled = expect(result).rejects.toMatchObject({ status: 503 });
+		await vi.runAllTimersAsync();
+
+		await settled;
+		expect(request).toHaveBeenCalledTimes(3);
+	});
+
+	it("times out attempts that never answer", async () => {
+		const request = vi.fn(
+			(signal) =>
+				new Promise((_, reject) => {
+					signal.addEventListener("abort", () => reject(signal.reason));
+				})
+		);
+
+		const result = withRetry(request, { label: "Test", timeout: 2000, retries: 0 });
+		const settled = expect(result).rejects.toMatchObject({
+			name: "TimeoutError",
+			message: "Test timed out after 2s",
+		});
+		await vi.advanceTimersByTimeAsync(2000);
+
+		await settled;
+	});
+
+	it("rejects with an AbortError when cancelled, even while waiting to retry", async () => {
+		const controller = new AbortController();
+		const request = vi.fn().mockRejectedValue(httpError(503));
+
+		const result = withRetry(request, {
+			label: "Test",
+			timeout: 1000,
+			signal: controller.signal,
+		});
+		const settled = expect(result).rejects.toMatchObject({ name: "AbortError" });
+		await vi.advanceTimersByTimeAsync(0);
+		controller.abort(createAbortError());
+
+		await settled;
+		expect(request).toHaveBeenCalledTimes(1);
+	});
+});
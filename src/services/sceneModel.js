@@ -0,0 +1,158 @@
+/**
+ * Scene Model
+ * The objects drawn by draw commands, read from the document's command
+ * stages. Objects keep their place in the stage order, so changing one
+ * re-renders it where it was drawn, over the image as it was then.
+ */
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Objects listed in the prompt, newest kept
+const MAX_DESCRIBED_OBJECTS = 30;
+
+/**
+ * Id of a drawn object; commands stored before objects had ids get one
+ * from their place in the stage
+ * @param {Object} stage
+ * @param {Object} command
+ * @param {number} index - Position in stage.commands
+ * @returns {string}
+ */
+const getObjectId = (stage, command, index) => command.id ?? `${stage.id}-${index}`;
+
+/**
+ * Drawn objects, oldest first
+ * @param {Object} document - {filters, stages}
+ * @returns {Array} - Draw commands with their id and stageId
+ */
+export const getSceneObjects = (document) =>
+	document.stages
+		.filter((stage) => stage.type === "command")
+		.flatMap((stage) =>
+			stage.commands
+				.map((command, index) => ({
+					...command,
+					id: getObjectId(stage, command, index),
+					stageId: stage.id,
+				}))
+				.filter((command) => command.action === "draw")
+		);
+
+/**
+ * Short name of an object, e.g. `red circle` or `white text "SALE"`
+ * @param {Object} object - Scene object
+ * @returns {string}
+ */
+export const nameObject = (object) =>
+	object.shape === "text"
+		? `${object.color || "red"} text "${object.text}"`
+		: `${object.fill === "none" ? "outlined " : ""}${object.color || "red"} ${object.shape}`;
+
+/**
+ * One-line description of an object, e.g. `red circle at (0.2, 0.2), size 40`
+ * @param {Object} object - Scene object
+ * @returns {string}
+ */
+export const describeObject = (object) => {
+	const { x, y } = object.position || { x: 0.5, y: 0.5 };
+	const size =
+		object.width || object.height
+			? `${object.width ?? "auto"}×${object.height ?? "auto"}`
+			: `size ${object.size ?? 50}`;
+	return `${nameObject(object)} at (${Number(x.toFixed(2))}, ${Number(y.toFixed(2))}), ${size}${
+		object.rotation ? `, rotated ${object.rotation}°` : ""
+	}`;
+};
+
+/**
+ * Compact scene listing for the AI prompt
+ * @param {Array} objects - From getSceneObjects
+ * @returns {string}
+ */
+export const describeScene = (objects) => {
+	if (objects.length === 0) {
+		return "The image has no drawn objects.";
+	}
+
+	const listed = objects.slice(-MAX_DESCRIBED_OBJECTS);
+	return [
+		`Drawn objects, oldest first${listed.length < objects.length ? ` (last ${listed.length})` : ""}:`,
+		...listed.map((object) => `- ${object.id}: ${describeObject(object)}`),
+	].join("\n");
+};
+
+/**
+ * Look up an object
+ * @param {Object} document
+ * @param {string} id
+ * @returns {Object} - Scene object
+ */
+export const findSceneObject = (document, id) => {
+	const object = getSceneObjects(document).find((item) => item.id === id);
+	if (!object) {
+		throw new Error(`No drawn object "${id}" in the image`);
+	}
+	return object;
+};
+
+/**
+ * Replace or remove a drawn object
+ * @param {Object} document
+ * @param {string} id - Object id
+ * @param {Function} updater - (command) => next command, or null to remove it
+ * @returns {Object} - Next document
+ */
+export const updateSceneObject = (document, id, updater) => {
+	const { stageId } = findSceneObject(document, id);
+
+	const stages = document.stages
+		.map((stage) => {
+			if (stage.id !== stageId) return stage;
+
+			const commands = stage.commands
+				.map((command, index) =>
+					getObjectId(stage, command, index) === id
+						? updater({ ...command, id })
+						: command
+				)
+				.filter(Boolean);
+			return { ...stage, commands };
+		})
+		// A command stage with nothing left draws nothing
+		.filter((stage) => stage.type !== "command" || stage.commands.length > 0);
+
+	return { ...document, stages };
+};
+
+/**
+ * Apply a modify command's changes to an object
+ * @param {Object} object - Draw command
+ * @param {Object} command - Validated modify command
+ * @returns {Object} - Next draw command
+ */
+export const modifyObject = (object, { action, target, scale, ...changes }) => {
+	const next = { ...object, ...changes };
+	if (scale) {
+		if (next.width) next.width = Math.round(next.width * scale);
+		if (next.height) next.height = Math.round(next.height * scale);
+		if (!next.width && !next.height) {
+			next.size = clamp(Math.round((next.size ?? 50) * scale), 20, 150);
+		}
+	}
+	return next;
+};
+
+/**
+ * Apply a move command to an object
+ * @param {Object} object - Draw command
+ * @param {Object} command - Validated move command, {position} or {dx, dy}
+ * @returns {Object} - Next draw command
+ */
+export const moveObject = (object, { position, dx = 0, dy = 0 }) => {
+	if (position) {
+		return { ...object, position };
+	}
+
+	const { x, y } = object.position || { x: 0.5, y: 0.5 };
+	return { ...object, position: { x: clamp(x + dx, 0, 1), y: clamp(y + dy, 0, 1) } };
+};
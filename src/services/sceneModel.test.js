@@ -0,0 +1,126 @@
+import { describe, expect, it } from "vitest";
+import { parseCommandLocally } from "./localCommandParser";
+import {
+	findSceneObject,
+	getSceneObjects,
+	modifyObject,
+	moveObject,
+	updateSceneObject,
+} from "./sceneModel";
+
+const draw = (id, color, shape, extra = {}) => ({
+	action: "draw",
+	id,
+	shape,
+	color,
+	position: { x: 0.5, y: 0.5 },
+	size: 80,
+	...extra,
+});
+
+const createSceneDocument = () => ({
+	filters: [],
+	stages: [
+		{
+			id: "stage-1",
+			type: "command",
+			commands: [
+				draw("square-1", "red", "square"),
+				{ action: "adjust", adjustment: "contrast", value: 10 },
+			],
+		},
+		{ id: "stage-2", type: "removal" },
+		{
+			id: "stage-3",
+			type: "command",
+			commands: [draw("triangle-1", "blue", "triangle"), draw("triangle-2", "green", "triangle")],
+		},
+	],
+});
+
+const scene = getSceneObjects(createSceneDocument());
+
+// Target of the single command parsed from a clause
+const resolve = (command) => parseCommandLocally(command, { scene })[0].target;
+
+describe("getSceneObjects", () => {
+	it("lists drawn objects oldest first, with their stage", () => {
+		expect(scene.map(({ id, stageId }) => [id, stageId])).toEqual([
+			["square-1", "stage-1"],
+			["triangle-1", "stage-3"],
+			["triangle-2", "stage-3"],
+		]);
+	});
+
+	it("gives objects stored without an id one from their place", () => {
+		const stage = { id: "stage-1", type: "command", commands: [{ action: "draw", shape: "star" }] };
+
+		expect(getSceneObjects({ filters: [], stages: [stage] })[0].id).toBe("stage-1-0");
+	});
+});
+
+describe("target resolution", () => {
+	it("finds objects by color and shape", () => {
+		expect(resolve("delete the red square")).toBe("square-1");
+		expect(resolve("make the blue triangle bigger")).toBe("triangle-1");
+	});
+
+	it("takes the newest match unless asked for the first", () => {
+		expect(resolve("delete the triangle")).toBe("triangle-2");
+		expect(resolve("delete the last triangle")).toBe("triangle-2");
+		expect(resolve("delete the first triangle")).toBe("triangle-1");
+		expect(resolve("move the shape to the top left")).toBe("triangle-2");
+	});
+
+	it("reads it as the newest object when moving or deleting", () => {
+		expect(parseCommandLocally("move it a bit to the right", { scene })).toEqual([
+			{ action: "move", target: "triangle-2", dx: 0.1, dy: 0 },
+		]);
+		expect(resolve("delete it")).toBe("triangle-2");
+	});
+
+	it("reports references to objects that are not there", () => {
+		expect(() => resolve("delete the green circle")).toThrow("There is no green circle in the image");
+		expect(() => resolve("delete the red triangle")).toThrow("There is no red triangle in the image");
+		expect(() => parseCommandLocally("delete it")).toThrow('Could not understand "delete it"');
+	});
+});
+
+describe("updateSceneObject", () => {
+	it("changes an object where it was drawn", () => {
+		const document = updateSceneObject(createSceneDocument(), "triangle-1", (object) =>
+			modifyObject(object, { action: "modify", target: "triangle-1", color: "yellow", scale: 0.5 })
+		);
+
+		expect(document.stages[2].commands[0]).toMatchObject({ id: "triangle-1", color: "yellow", size: 40 });
+		expect(document.stages[2].commands[1]).toMatchObject({ id: "triangle-2", color: "green", size: 80 });
+	});
+
+	it("drops a command stage once its last object is removed", () => {
+		const document = updateSceneObject(createSceneDocument(), "square-1", () => null);
+
+		expect(document.stages.map((stage) => stage.id)).toEqual(["stage-1", "stage-2", "stage-3"]);
+		expect(document.stages[0].commands).toEqual([{ action: "adjust", adjustment: "contrast", value: 10 }]);
+
+		const emptied = ["triangle-1", "triangle-2"].reduce(
+			(current, id) => updateSceneObject(current, id, () => null),
+			document
+		);
+		expect(emptied.stages.map((stage) => stage.id)).toEqual(["stage-1", "stage-2"]);
+	});
+
+	it("rejects ids that are not in the image", () => {
+		expect(() => findSceneObject(createSceneDocument(), "circle-9")).toThrow(
+			'No drawn object "circle-9" in the image'
+		);
+	});
+});
+
+describe("moveObject", () => {
+	it("moves by an offset, staying inside the image", () => {
+		const object = draw("square-1", "red", "square", { position: { x: 0.9, y: 0.5 } });
+
+		expect(moveObject(object, { dx: 0.2, dy: -0.2 }).position).toEqual({ x: 1, y: 0.3 });
+		expect(moveObject(object, { position: { x: 0.2, y: 0.2 } }).position).toEqual({ x: 0.2, y: 0.2 });
+	});
+});
@@ -0,0 +1,182 @@
+/**
+ * Session Persistence
+ * Autosaved documents in IndexedDB: the source image, the document, its
+ * undo history and panel settings, so reloading the page or opening another
+ * image does not lose work. Summaries with thumbnails are kept apart from
+ * the session records, so listing recent documents does not read whole
+ * histories.
+ */
+
+import { exportImage } from "./imageExport";
+import { fitSize } from "./imageScale";
+
+const DB_NAME = "poc-image-editor";
+const DB_VERSION = 1;
+const SUMMARIES = "documents";
+const SESSIONS = "sessions";
+
+// Older documents are deleted when a new one is saved
+export const MAX_RECENT_DOCUMENTS = 5;
+const THUMBNAIL_SIZE = 160;
+
+// Saved histories are trimmed to this, so each save stays small however long
+// the editor history grows; older steps can only be undone until reload
+export const MAX_SAVED_STEPS = 20;
+export const MAX_SAVED_HISTORY_BYTES = 16 * 1024 * 1024;
+
+let database = null;
+
+/**
+ * Open the database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+	if (!database) {
+		database = new Promise((resolve, reject) => {
+			if (typeof indexedDB === "undefined") {
+				reject(new Error("This browser cannot store documents"));
+				return;
+			}
+
+			const request = indexedDB.open(DB_NAME, DB_VERSION);
+			request.onupgradeneeded = () => {
+				request.result.createObjectStore(SUMMARIES, { keyPath: "id" });
+				request.result.createObjectStore(SESSIONS, { keyPath: "id" });
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => reject(new Error("Saved documents are in use by another tab"));
+		});
+		// Let the next call try again
+		database.catch(() => {
+			database = null;
+		});
+	}
+	return database;
+};
+
+/**
+ * Run requests in one transaction over both stores
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - (summaries, sessions) => IDBRequest whose result is
+ *   returned, or nothing; requests must be made right away
+ * @returns {Promise<*>} - Settles when the transaction completes
+ */
+const transact = async (mode, work) => {
+	const db = await openDatabase();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction([SUMMARIES, SESSIONS], mode);
+		const request = work(
+			transaction.objectStore(SUMMARIES),
+			transaction.objectStore(SESSIONS)
+		);
+		transaction.oncomplete = () => resolve(request?.result);
+		// Also fires for a full disk (QuotaExceededError)
+		transaction.onabort = () => reject(transaction.error ?? new Error("Saving was interrupted"));
+	});
+};
+
+/**
+ * Small preview of a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+export const createThumbnail = (canvas) =>
+	exportImage(canvas, {
+		...fitSize(canvas.width, canvas.height, THUMBNAIL_SIZE, THUMBNAIL_SIZE),
+		type: "image/png",
+	});
+
+/**
+ * Trim a history for saving: redo steps go first, then the oldest undo steps,
+ * until it fits MAX_SAVED_STEPS and MAX_SAVED_HISTORY_BYTES. The current
+ * state is kept, so the trimmed history restores onto the same canvas.
+ * @param {Object} history - See canvasHistory exportState
+ * @returns {Object} - {meta, entries, index}
+ */
+export const trimHistory = ({ meta, entries, index }) => {
+	let kept = entries.slice(0, index);
+	let bytes = kept.reduce((total, entry) => total + entry.bytes, 0);
+	while (kept.length > 0 && (kept.length > MAX_SAVED_STEPS || bytes > MAX_SAVED_HISTORY_BYTES)) {
+		bytes -= kept[0].bytes;
+		kept = kept.slice(1);
+	}
+
+	const redo = [];
+	for (const entry of entries.slice(index)) {
+		if (kept.length + redo.length >= MAX_SAVED_STEPS || bytes + entry.bytes > MAX_SAVED_HISTORY_BYTES) {
+			break;
+		}
+		bytes += entry.bytes;
+		redo.push(entry);
+	}
+
+	return { meta, entries: [...kept, ...redo], index: kept.length };
+};
+
+/**
+ * Recently edited documents, newest first
+ * @returns {Promise<Array>} - [{id, fileName, width, height, thumbnail, updatedAt}]
+ */
+export const listRecentDocuments = async () => {
+	const summaries = await transact("readonly", (store) => store.getAll());
+	return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Save a session, replacing its earlier save, and forget the oldest
+ * documents beyond MAX_RECENT_DOCUMENTS
+ * @param {Object} session
+ * @param {string} session.id
+ * @param {string} session.fileName
+ * @param {Blob} session.source - Original image file
+ * @param {number} session.width
+ * @param {number} session.height
+ * @param {Blob} session.thumbnail
+ * @param {Object} session.document
+ * @param {Object} session.history - See canvasHistory exportState; saved
+ *   trimmed, see trimHistory
+ * @param {Object} session.settings - Panel settings
+ * @returns {Promise<void>}
+ */
+export const saveSession = async ({ thumbnail, history, ...session }) => {
+	const { id, fileName, width, height } = session;
+	await transact("readwrite", (summaries, sessions) => {
+		summaries.put({ id, fileName, width, height, thumbnail, updatedAt: Date.now() });
+		sessions.put({ ...session, history: trimHistory(history) });
+	});
+
+	const stale = (await listRecentDocuments()).slice(MAX_RECENT_DOCUMENTS);
+	if (stale.length > 0) {
+		await transact("readwrite", (summaries, sessions) => {
+			stale.forEach((summary) => {
+				summaries.delete(summary.id);
+				sessions.delete(summary.id);
+			});
+		});
+	}
+};
+
+/**
+ * Read a saved session
+ * @param {string} id
+ * @returns {Promise<Object>} - See saveSession, without the thumbnail
+ */
+export const loadSession = async (id) => {
+	const session = await transact("readonly", (summaries, sessions) => sessions.get(id));
+	if (!session) {
+		throw new Error("This document is no longer saved");
+	}
+	return session;
+};
+
+/**
+ * Forget a saved session
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = (id) =>
+	transact("readwrite", (summaries, sessions) => {
+		summaries.delete(id);
+		sessions.delete(id);
+	});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { MAX_SAVED_HISTORY_BYTES, MAX_SAVED_STEPS, trimHistory } from "./sessionPersistence";
+
+const MB = 1024 * 1024;
+
+/**
+ * History as exportState returns it, with entries named by their position
+ * @param {number} undoSteps - Entries before the current state
+ * @param {number} redoSteps - Entries after it
+ * @param {number} [bytes] - Size of each entry
+ */
+const createHistory = (undoSteps, redoSteps, bytes = 1000) => ({
+	meta: { filters: [], stages: [] },
+	entries: Array.from({ length: undoSteps + redoSteps }, (_, index) => ({
+		label: `Step ${index + 1}`,
+		bytes,
+	})),
+	index: undoSteps,
+});
+
+const labels = ({ entries }) => entries.map((entry) => entry.label);
+
+describe("trimHistory", () => {
+	it("keeps histories within the limits as they are", () => {
+		const history = createHistory(3, 2);
+
+		expect(trimHistory(history)).toEqual(history);
+	});
+
+	it("drops the oldest undo steps beyond MAX_SAVED_STEPS", () => {
+		const trimmed = trimHistory(createHistory(MAX_SAVED_STEPS + 5, 0));
+
+		expect(trimmed.entries).toHaveLength(MAX_SAVED_STEPS);
+		expect(trimmed.index).toBe(MAX_SAVED_STEPS);
+		expect(labels(trimmed)[0]).toBe("Step 6");
+	});
+
+	it("drops redo steps before undo steps", () => {
+		const trimmed = trimHistory(createHistory(MAX_SAVED_STEPS - 5, 10));
+
+		expect(trimmed.entries).toHaveLength(MAX_SAVED_STEPS);
+		expect(trimmed.index).toBe(MAX_SAVED_STEPS - 5);
+		expect(labels(trimmed)[0]).toBe("Step 1");
+		expect(labels(trimmed).at(-1)).toBe(`Step ${MAX_SAVED_STEPS}`);
+	});
+
+	it("keeps the saved bytes under MAX_SAVED_HISTORY_BYTES", () => {
+		const bytes = MAX_SAVED_HISTORY_BYTES / 2 - MB;
+
+		const undoOnly = trimHistory(createHistory(4, 0, bytes));
+		expect(labels(undoOnly)).toEqual(["Step 3", "Step 4"]);
+		expect(undoOnly.index).toBe(2);
+
+		const withRedo = trimHistory(createHistory(1, 3, bytes));
+		expect(labels(withRedo)).toEqual(["Step 1", "Step 2"]);
+		expect(withRedo.index).toBe(1);
+	});
+
+	it("keeps the current state when a single step is over the budget", () => {
+		const trimmed = trimHistory(createHistory(1, 1, MAX_SAVED_HISTORY_BYTES + 1));
+
+		expect(trimmed).toMatchObject({ entries: [], index: 0 });
+	});
+});
@@ -0,0 +1,156 @@
+/**
+ * Space Status
+ * Health of a Gradio app: the Hugging Face runtime stage for *.hf.space
+ * URLs (running, sleeping, building...) and the measured latency of the
+ * app's /config, which every Gradio server answers. Also turns Gradio queue
+ * events into progress for the loading overlay.
+ */
+
+import { withRetry, createHttpError } from "./requestPolicy";
+
+const STATUS_TIMEOUT = 10000;
+// Slower answers mark the Space as degraded
+const SLOW_LATENCY = 2000;
+
+// Hugging Face runtime stages, by what they mean for a request
+const RUNTIME_STATES = {
+	RUNNING: "running",
+	RUNNING_BUILDING: "running",
+	APP_STARTING: "starting",
+	RUNNING_APP_STARTING: "starting",
+	SLEEPING: "sleeping",
+	STOPPED: "sleeping",
+	BUILDING: "building",
+	PAUSED: "paused",
+	BUILD_ERROR: "error",
+	RUNTIME_ERROR: "error",
+	CONFIG_ERROR: "error",
+	NO_APP_FILE: "error",
+};
+
+// Usable, but the first request waits for the Space to start
+const WAKING_MESSAGES = {
+	sleeping: "Space is asleep; the first request wakes it, which can take a minute",
+	starting: "Space is starting",
+	building: "Space is building; requests wait until it is done",
+};
+
+/**
+ * The subdomain of a Space URL, e.g. "briaai-bria-rmbg-1-4"
+ * @param {string} spaceUrl
+ * @returns {string|null} - Null for apps not hosted on hf.space
+ */
+const getSubdomain = (spaceUrl) => {
+	const { hostname } = new URL(spaceUrl);
+	return hostname.endsWith(".hf.space") ? hostname.slice(0, -".hf.space".length) : null;
+};
+
+/**
+ * GET a URL with the status timeout and no retries
+ * @param {string} url
+ * @param {string} label - For the timeout message
+ * @returns {Promise<Response>} - A successful response
+ */
+const probe = (url, label) =>
+	withRetry(
+		async (signal) => {
+			const response = await fetch(url, { signal });
+			if (!response.ok) {
+				throw createHttpError(response);
+			}
+			return response;
+		},
+		{ label, timeout: STATUS_TIMEOUT, retries: 0 }
+	);
+
+/**
+ * Runtime of a Space from the Hugging Face API
+ * @param {string} subdomain
+ * @returns {Promise<Object>} - {id, stage, hardware}
+ */
+const getRuntime = async (subdomain) => {
+	const response = await probe(
+		`https://huggingface.co/api/spaces/by-subdomain/${subdomain}`,
+		"Hugging Face status"
+	);
+	const { id, runtime } = await response.json();
+	return { id, stage: runtime?.stage, hardware: runtime?.hardware?.current ?? null };
+};
+
+/**
+ * Milliseconds to fetch the app's config
+ * @param {string} spaceUrl
+ * @returns {Promise<number>}
+ */
+const measureLatency = async (spaceUrl) => {
+	const started = performance.now();
+	await probe(new URL("config", spaceUrl.replace(/\/?$/, "/")), "Space");
+	return Math.round(performance.now() - started);
+};
+
+/**
+ * Check a Gradio app. Sleeping Spaces are not pinged, so checking does not
+ * wake them.
+ * @param {string} spaceUrl
+ * @returns {Promise<Object>} - {ok, degraded, message, details: {state, latency, hardware, space}};
+ *   never rejects
+ */
+export const getSpaceHealth = async (spaceUrl) => {
+	const details = { state: "unknown", latency: null, hardware: null, space: null };
+
+	const subdomain = getSubdomain(spaceUrl);
+	if (subdomain) {
+		try {
+			const runtime = await getRuntime(subdomain);
+			details.state = RUNTIME_STATES[runtime.stage] ?? "unknown";
+			details.hardware = runtime.hardware;
+			details.space = runtime.id;
+		} catch (error) {
+			// The app itself may still answer
+			console.warn("Hugging Face status unavailable:", error.message);
+		}
+	}
+
+	if (details.state === "paused") {
+		return { ok: false, degraded: false, message: "Space is paused by its owner", details };
+	}
+	if (details.state === "error") {
+		return { ok: false, degraded: false, message: "Space failed to start", details };
+	}
+	if (WAKING_MESSAGES[details.state]) {
+		return { ok: true, degraded: true, message: WAKING_MESSAGES[details.state], details };
+	}
+
+	try {
+		details.latency = await measureLatency(spaceUrl);
+	} catch (error) {
+		return { ok: false, degraded: false, message: `Space is unreachable: ${error.message}`, details };
+	}
+
+	if (details.state === "unknown") details.state = "running";
+	return details.latency > SLOW_LATENCY
+		? { ok: true, degraded: true, message: `Space is slow to respond (${details.latency} ms)`, details }
+		: { ok: true, degraded: false, message: `Space is running (${details.latency} ms)`, details };
+};
+
+/**
+ * Progress for a Gradio status event
+ * @param {Object} event - Status event from a submitted job
+ * @returns {Object|null} - {phase: "queue", position, size, eta, progress}, or null
+ *   when there is nothing to show
+ */
+export const getQueueProgress = (event) => {
+	const step = event.progress_data?.find((item) => item.progress !== null || item.length);
+	const progress = step?.length > 0 ? step.index / step.length : (step?.progress ?? null);
+
+	if (event.stage === "pending" && event.position === undefined && progress === null) {
+		return null;
+	}
+	return {
+		phase: "queue",
+		position: event.stage === "pending" ? (event.position ?? null) : null,
+		size: event.size ?? null,
+		eta: event.eta ?? null,
+		progress,
+	};
+};
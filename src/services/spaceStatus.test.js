@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getQueueProgress, getSpaceHealth } from "./spaceStatus";
+
+const SPACE_URL = "https://briaai-bria-rmbg-1-4.hf.space";
+const RUNTIME_URL = "https://huggingface.co/api/spaces/by-subdomain/briaai-bria-rmbg-1-4";
+
+/**
+ * Stub fetch with answers by URL
+ * @param {Object} routes - URL => Response, or a function returning one
+ */
+const stubFetch = (routes) =>
+	vi.stubGlobal(
+		"fetch",
+		vi.fn((url) => {
+			const route = routes[String(url)];
+			if (!route) return Promise.reject(new TypeError("Failed to fetch"));
+			return Promise.resolve(typeof route === "function" ? route() : route);
+		})
+	);
+
+const runtime = (stage) =>
+	Response.json({
+		id: "briaai/BRIA-RMBG-1.4",
+		runtime: { stage, hardware: { current: "cpu-basic" } },
+	});
+
+beforeEach(() => {
+	vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+	vi.useRealTimers();
+	vi.unstubAllGlobals();
+	vi.restoreAllMocks();
+});
+
+describe("getSpaceHealth", () => {
+	it("reports a running Space with its latency and hardware", async () => {
+		stubFetch({
+			[RUNTIME_URL]: () => runtime("RUNNING"),
+			[`${SPACE_URL}/config`]: () => Response.json({}),
+		});
+
+		const health = await getSpaceHealth(SPACE_URL);
+
+		expect(health).toMatchObject({
+			ok: true,
+			degraded: false,
+			message: expect.stringMatching(/^Space is running \(\d+ ms\)$/),
+		});
+		expect(health.details).toMatchObject({
+			state: "running",
+			hardware: "cpu-basic",
+			space: "briaai/BRIA-RMBG-1.4",
+		});
+	});
+
+	it("maps Hugging Face stages without waking sleeping Spaces", async () => {
+		const expectations = [
+			["SLEEPING", { ok: true, degraded: true, state: "sleeping" }],
+			["RUNNING_APP_STARTING", { ok: true, degraded: true, state: "starting" }],
+			["BUILDING", { ok: true, degraded: true, state: "building" }],
+			["PAUSED", { ok: false, degraded: false, state: "paused" }],
+			["RUNTIME_ERROR", { ok: false, degraded: false, state: "error" }],
+		];
+
+		for (const [stage, { state, ...status }] of expectations) {
+			stubFetch({ [RUNTIME_URL]: () => runtime(stage) });
+
+			const health = await getSpaceHealth(SPACE_URL);
+
+			expect(health).toMatchObject(status);
+			expect(health.details.state).toBe(state);
+			expect(fetch).toHaveBeenCalledTimes(1);
+		}
+	});
+
+	it("pings the app when the Hugging Face API is unavailable", async () => {
+		stubFetch({
+			[RUNTIME_URL]: () => new Response("", { status: 503 }),
+			[`${SPACE_URL}/config`]: () => Response.json({}),
+		});
+
+		const health = await getSpaceHealth(SPACE_URL);
+
+		expect(health).toMatchObject({ ok: true, details: { state: "running", space: null } });
+		expect(console.warn).toHaveBeenCalledWith("Hugging Face status unavailable:", "503");
+	});
+
+	it("only pings apps that are not hosted on hf.space", async () => {
+		stubFetch({});
+
+		const health = await getSpaceHealth("https://gradio.example.com/app");
+
+		expect(fetch).toHaveBeenCalledTimes(1);
+		expect(String(fetch.mock.calls[0][0])).toBe("https://gradio.example.com/app/config");
+		expect(health).toMatchObject({ ok: false, message: "Space is unreachable: Failed to fetch" });
+	});
+
+	it("gives up on an app that does not answer", async () => {
+		vi.useFakeTimers();
+		stubFetch({
+			[RUNTIME_URL]: () => runtime("RUNNING"),
+			[`${SPACE_URL}/config`]: () => new Promise(() => {}),
+		});
+
+		const health = getSpaceHealth(SPACE_URL);
+		await vi.advanceTimersByTimeAsync(10000);
+
+		await expect(health).resolves.toMatchObject({
+			ok: false,
+			message: "Space is unreachable: Space timed out after 10s",
+		});
+	});
+});
+
+describe("getQueueProgress", () => {
+	it("shows the place in the queue", () => {
+		expect(getQueueProgress({ stage: "pending", position: 2, size: 5, eta: 12.5 })).toEqual({
+			phase: "queue",
+			position: 2,
+			size: 5,
+			eta: 12.5,
+			progress: null,
+		});
+	});
+
+	it("reads step counts and fractions from progress data", () => {
+		const counted = { stage: "generating", progress_data: [{ index: 3, length: 4, progress: null }] };
+		const fraction = { stage: "generating", progress_data: [{ progress: 0.4, length: null }] };
+
+		expect(getQueueProgress(counted)).toMatchObject({ position: null, progress: 0.75 });
+		expect(getQueueProgress(fraction)).toMatchObject({ progress: 0.4 });
+	});
+
+	it("has nothing to show for a pending job without a position", () => {
+		expect(getQueueProgress({ stage: "pending" })).toBeNull();
+	});
+});
@@ -0,0 +1,89 @@
+/**
+ * Stage Geometry
+ * Maps points on the rendered document back to the image a stage was
+ * rendered onto, through the transforms after it, so mask strokes painted
+ * on a rotated or cropped cut-out land where they were painted
+ */
+
+import { getCommandTransform } from "./actionRegistry";
+import { getTransformGeometry } from "./opencvTransforms";
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Matrix applying one matrix, then another; see getTransformGeometry
+ * @param {Array} first
+ * @param {Array} second
+ * @returns {Array}
+ */
+const compose = ([a, b, c, d, e, f], [A, B, C, D, E, F]) => [
+	A * a + C * b,
+	B * a + D * b,
+	A * c + C * d,
+	B * c + D * d,
+	A * e + C * f + E,
+	B * e + D * f + F,
+];
+
+/**
+ * @param {Array} matrix
+ * @returns {Array}
+ */
+const invert = ([a, b, c, d, e, f]) => {
+	const det = a * d - b * c;
+	return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+/**
+ * The transforms a stage runs, in order: a transform stage, or the
+ * transform commands of a command stage
+ * @param {Object} stage
+ * @returns {Array} - Transform stages or commands
+ */
+const getTransformSteps = (stage) => {
+	if (stage.type === "transform") return [stage];
+	if (stage.type === "command") {
+		return stage.commands.filter((command) => command.action === "transform");
+	}
+	return [];
+};
+
+/**
+ * Map points on the rendered document to the image a stage was rendered onto
+ * @param {Object} document - {filters, stages}
+ * @param {Object} image - Image descriptor, for the source size
+ * @param {string} stageId
+ * @returns {Object|null} - {toStage, scale}: toStage([x, y]) gives the point
+ *   on the stage's image, scale converts lengths such as brush sizes. Null
+ *   when the document has no such stage.
+ */
+export const getStagePointMapper = (document, image, stageId) => {
+	let width = image.width;
+	let height = image.height;
+	let matrix = null; // From the stage's image to the current one, once past it
+
+	for (const stage of document.stages) {
+		if (stage.id === stageId) {
+			matrix = IDENTITY;
+			continue;
+		}
+
+		for (const step of getTransformSteps(stage)) {
+			const { type, params } =
+				step.type === "transform"
+					? { type: step.operation, params: step.params }
+					: getCommandTransform(step, width, height);
+			const geometry = getTransformGeometry(type, params, width, height);
+			if (matrix) matrix = compose(matrix, geometry.matrix);
+			width = geometry.width;
+			height = geometry.height;
+		}
+	}
+	if (!matrix) return null;
+
+	const [a, b, c, d, e, f] = invert(matrix);
+	return {
+		toStage: ([x, y]) => [a * x + c * y + e, b * x + d * y + f],
+		scale: Math.sqrt(Math.abs(a * d - b * c)),
+	};
+};
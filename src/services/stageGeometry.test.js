@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { getTransformGeometry } from "./opencvTransforms";
+import { getStagePointMapper } from "./stageGeometry";
+
+const IMAGE = { width: 200, height: 100 };
+const CUTOUT = { id: "cutout", type: "backgroundRemoval", strokes: [] };
+
+const transform = (operation, params) => ({ id: operation, type: "transform", operation, params });
+
+const expectPoint = (actual, expected) => {
+	expect(actual[0]).toBeCloseTo(expected[0]);
+	expect(actual[1]).toBeCloseTo(expected[1]);
+};
+
+describe("getTransformGeometry", () => {
+	it("follows the output size of each transform", () => {
+		expect(getTransformGeometry("rotate", { angle: 90 }, 200, 100)).toMatchObject({
+			width: 100,
+			height: 200,
+		});
+		expect(getTransformGeometry("rotate", { angle: 45 }, 200, 100)).toMatchObject({
+			width: 212,
+			height: 212,
+		});
+		expect(
+			getTransformGeometry("crop", { x: 0.25, y: 0.5, width: 0.5, height: 0.5 }, 200, 100)
+		).toEqual({ matrix: [1, 0, 0, 1, -50, -50], width: 100, height: 50 });
+		expect(getTransformGeometry("canvasSize", { width: 300, height: 50 }, 200, 100)).toEqual({
+			matrix: [1, 0, 0, 1, 50, -25],
+			width: 300,
+			height: 50,
+		});
+	});
+});
+
+describe("getStagePointMapper", () => {
+	it("leaves points alone without later transforms", () => {
+		const document = { filters: [], stages: [transform("rotate", { angle: 90 }), CUTOUT] };
+		const { toStage, scale } = getStagePointMapper(document, IMAGE, "cutout");
+
+		expect(toStage([10, 20])).toEqual([10, 20]);
+		expect(scale).toBe(1);
+	});
+
+	it("maps points back through a later rotation", () => {
+		const document = { filters: [], stages: [CUTOUT, transform("rotate", { angle: 90 })] };
+		const { toStage, scale } = getStagePointMapper(document, IMAGE, "cutout");
+
+		// The top left of the rotated image is the bottom left of the cut-out
+		expectPoint(toStage([10, 20]), [20, 90]);
+		expect(scale).toBeCloseTo(1);
+	});
+
+	it("sizes a later crop from the image after earlier transforms", () => {
+		const document = {
+			filters: [],
+			stages: [
+				transform("rotate", { angle: 90 }),
+				CUTOUT,
+				transform("crop", { x: 0, y: 0.5, width: 1, height: 0.5 }),
+			],
+		};
+		const { toStage } = getStagePointMapper(document, IMAGE, "cutout");
+
+		// The cut-out is 100×200, so the crop starts 100 pixels down
+		expectPoint(toStage([10, 20]), [10, 120]);
+	});
+
+	it("maps through transform commands and scales brush sizes", () => {
+		const document = {
+			filters: [],
+			stages: [
+				CUTOUT,
+				{
+					id: "commands",
+					type: "command",
+					commands: [
+						{ action: "draw", shape: "circle" },
+						{ action: "transform", operation: "resize", scale: 0.5 },
+						{ action: "transform", operation: "flip", direction: "horizontal" },
+					],
+				},
+			],
+		};
+		const { toStage, scale } = getStagePointMapper(document, IMAGE, "cutout");
+
+		expectPoint(toStage([10, 20]), [180, 40]);
+		expect(scale).toBeCloseTo(2);
+	});
+
+	it("round-trips points through an arbitrary rotation", () => {
+		const rotation = getTransformGeometry("rotate", { angle: 30 }, 200, 100);
+		const [a, b, c, d, e, f] = rotation.matrix;
+		const document = { filters: [], stages: [CUTOUT, transform("rotate", { angle: 30 })] };
+		const { toStage } = getStagePointMapper(document, IMAGE, "cutout");
+
+		expectPoint(toStage([a * 40 + c * 70 + e, b * 40 + d * 70 + f]), [40, 70]);
+		// The centre stays in the centre
+		expectPoint(toStage([rotation.width / 2, rotation.height / 2]), [100, 50]);
+	});
+
+	it("returns null for a stage that is not in the document", () => {
+		expect(getStagePointMapper({ filters: [], stages: [] }, IMAGE, "cutout")).toBeNull();
+	});
+});
@@ -0,0 +1,384 @@
+/**
+ * Editor Store
+ * Holds the working document (source image, filter stack and stages), the
+ * canvas it is rendered to, its history and panel settings, and exposes the
+ * actions that panels use to change the image
+ */
+
+import { createCanvasHistory } from "../services/canvasHistory";
+import {
+	createDocument,
+	createDocumentRenderer,
+} from "../services/documentRenderer";
+import { SUPERSEDED } from "../services/opencvWorker";
+import { createId } from "../services/ids";
+
+export { createId };
+
+const replaceStage = (document, id, updater) => ({
+	...document,
+	stages: document.stages.map((stage) => (stage.id === id ? updater(stage) : stage)),
+});
+
+/**
+ * Create an editor store
+ * @param {Object} [options]
+ * @param {Object} [options.history] - History engine (defaults to a new canvas history)
+ * @param {Function} [options.render] - Document renderer
+ * @returns {Object} - Store API
+ */
+export const createEditorStore = ({
+	history = createCanvasHistory(),
+	render = createDocumentRenderer(),
+} = {}) => {
+	let state = {
+		image: null, // Image descriptor from ImageUploader
+		canvas: null, // Working canvas element
+		document: createDocument(),
+		history: history.getState(),
+		tool: null, // Active canvas tool, e.g. {type: "refineMask", mode, size, hardness}
+		recording: null, // Steps recorded for a macro, while recording
+		settings: {}, // Panel settings by panel name, see usePanelSettings
+	};
+	const listeners = new Set();
+	let queue = Promise.resolve();
+	let activeRender = null; // AbortController of the render in progress
+	let previewing = null; // Latest document requested by previewStage
+	let session = null; // Saved session the image was restored from, see replaceImage
+
+	/**
+	 * Merge a state patch and notify listeners
+	 * @param {Object} patch
+	 * @param {Object} event - {type, ...details} describing the change
+	 */
+	const setState = (patch, event) => {
+		state = { ...state, ...patch };
+		listeners.forEach((listener) => listener(state, event));
+	};
+
+	history.subscribe((historyState) =>
+		setState({ history: historyState }, { type: "history" })
+	);
+
+	// Render and commit one change at a time, in the order they were requested
+	const enqueue = (task) => {
+		const run = queue.then(task);
+		queue = run.catch(() => {});
+		return run;
+	};
+
+	const requireCanvas = () => {
+		if (!state.canvas) {
+			throw new Error("No image loaded");
+		}
+		return state.canvas;
+	};
+
+	const loadDocument = () => {
+		const { canvas, image } = state;
+		const document = session?.document ?? createDocument();
+		previewing = null;
+		setState({ document, tool: null }, { type: "loadDocument" });
+
+		if (!canvas || !image) return Promise.resolve();
+
+		return enqueue(async () => {
+			await render(canvas, image, document);
+			if (session) {
+				await history.restore(canvas, session.history);
+			} else {
+				await history.reset(canvas, document);
+			}
+		});
+	};
+
+	/**
+	 * Change the document and record the result as one history step.
+	 * The new document is visible to subscribers right away; the canvas and
+	 * document are reverted if rendering fails. A newer change supersedes
+	 * older ones that have not finished rendering, so only the latest is
+	 * rendered and recorded.
+	 * @param {string} label - Human readable step name
+	 * @param {Function} updater - (document) => next document
+	 * @param {Object} [options]
+	 * @param {Function} [options.onProgress] - Called with {progress, label} while filtering
+	 * @returns {Promise<boolean>} - False when nothing changed or the change was superseded
+	 */
+	const updateDocument = (label, updater, { onProgress } = {}) => {
+		const canvas = requireCanvas();
+		const document = updater(state.document);
+		previewing = null;
+		setState({ document }, { type: "updateDocument", label });
+
+		activeRender?.abort(SUPERSEDED);
+
+		return enqueue(async () => {
+			if (document !== state.document) return false;
+
+			const controller = new AbortController();
+			activeRender = controller;
+
+			try {
+				await render(canvas, state.image, document, {
+					signal: controller.signal,
+					onProgress,
+				});
+			} catch (error) {
+				if (controller.signal.reason === SUPERSEDED) return false;
+
+				const committed = await history.revert(canvas);
+				setState({ document: committed }, { type: "revert", label });
+				throw error;
+			} finally {
+				if (activeRender === controller) {
+					activeRender = null;
+				}
+			}
+
+			if (document !== state.document) return false;
+
+			return history.commit(canvas, label, document);
+		});
+	};
+
+	/**
+	 * Render a document without recording it or making it the current one
+	 * @param {Object} document
+	 * @returns {Promise<boolean>} - False when a newer preview or change replaced it
+	 */
+	const previewDocument = (document) => {
+		const canvas = requireCanvas();
+		previewing = document;
+
+		activeRender?.abort(SUPERSEDED);
+
+		return enqueue(async () => {
+			if (previewing !== document) return false;
+
+			const controller = new AbortController();
+			activeRender = controller;
+
+			try {
+				await render(canvas, state.image, document, { signal: controller.signal });
+				return true;
+			} catch (error) {
+				if (controller.signal.reason === SUPERSEDED) return false;
+				throw error;
+			} finally {
+				if (activeRender === controller) {
+					activeRender = null;
+				}
+			}
+		});
+	};
+
+	/**
+	 * Move through history and restore the document of the landed step.
+	 * A preview on the canvas or still rendering is discarded first, as
+	 * history steps patch the committed pixels.
+	 * @param {Function} step - history.undo or history.redo
+	 * @param {string} type - Event type
+	 * @returns {Promise<boolean>}
+	 */
+	const travel = (step, type) => {
+		const canvas = requireCanvas();
+		const discarding = previewing !== null;
+		if (discarding) {
+			previewing = null;
+			activeRender?.abort(SUPERSEDED);
+		}
+
+		return enqueue(async () => {
+			if (discarding) {
+				await history.revert(canvas);
+			}
+			const moved = await step(canvas);
+			if (moved) {
+				setState({ document: history.getState().meta }, { type });
+			}
+			return moved;
+		});
+	};
+
+	return {
+		getState: () => state,
+
+		/**
+		 * Listen for state changes
+		 * @param {Function} listener - Called with (state, event)
+		 * @returns {Function} - Unsubscribe
+		 */
+		subscribe: (listener) => {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+
+		/**
+		 * Bind the store to the canvas element that displays the image
+		 * @param {HTMLCanvasElement|null} canvas
+		 * @returns {Promise<void>}
+		 */
+		attachCanvas: (canvas) => {
+			setState({ canvas }, { type: "attachCanvas" });
+			return loadDocument();
+		},
+
+		/**
+		 * Load a new image into the editor, discarding the document and history,
+		 * or continue a saved session of it
+		 * @param {Object|null} image - Image descriptor from ImageUploader
+		 * @param {Object} [saved] - {document, history, settings}, see exportSession
+		 * @returns {Promise<void>}
+		 */
+		replaceImage: (image, saved = null) => {
+			session = saved;
+			setState(
+				{ image, ...(saved && { settings: saved.settings }) },
+				{ type: "replaceImage", fileName: image?.fileName }
+			);
+			return loadDocument();
+		},
+
+		/**
+		 * The committed document with its history and panel settings, for
+		 * saving. Waits for changes in progress to finish.
+		 * @returns {Promise<Object>} - {document, history, settings}
+		 */
+		exportSession: () =>
+			enqueue(async () => {
+				const saved = await history.exportState();
+				return { document: saved.meta, history: saved, settings: state.settings };
+			}),
+
+		/**
+		 * Append a stage (shape command, AI result, ...) to the document
+		 * @param {string} label - Human readable step name
+		 * @param {Object} operation - Stage description, e.g. {type: "command", command}
+		 * @returns {Promise<boolean>}
+		 */
+		applyOperation: (label, operation) =>
+			updateDocument(label, (document) => ({
+				...document,
+				stages: [...document.stages, { id: createId("stage"), ...operation }],
+			})),
+
+		/**
+		 * Change the document as one history step, e.g. for a batch of
+		 * commands that touch filters and several stages
+		 * @param {string} label - Human readable step name
+		 * @param {Function} updater - (document) => next document
+		 * @param {Object} [options] - {onProgress}
+		 * @returns {Promise<boolean>}
+		 */
+		updateDocument,
+
+		/**
+		 * Change one stage in place, e.g. to adjust an earlier AI result
+		 * @param {string} label - Human readable step name
+		 * @param {string} id - Stage id
+		 * @param {Function} updater - (stage) => next stage
+		 * @returns {Promise<boolean>}
+		 */
+		updateStage: (label, id, updater) =>
+			updateDocument(label, (document) => replaceStage(document, id, updater)),
+
+		/**
+		 * Render a stage change without recording it, for live feedback while
+		 * an edit is in progress (e.g. a brush stroke). Finish with updateStage;
+		 * the document state itself is left untouched.
+		 * @param {string} id - Stage id
+		 * @param {Function} updater - (stage) => previewed stage
+		 * @returns {Promise<boolean>} - False when a newer preview or change replaced it
+		 */
+		previewStage: (id, updater) =>
+			previewDocument(replaceStage(state.document, id, updater)),
+
+		/**
+		 * Select the tool that handles pointer input on the canvas
+		 * @param {Object|null} tool - e.g. {type: "refineMask", mode, size, hardness}
+		 */
+		setTool: (tool) => setState({ tool }, { type: "setTool", tool: tool?.type }),
+
+		/**
+		 * Change the settings of one panel
+		 * @param {string} panel - Panel name
+		 * @param {Function} updater - (settings) => next settings; settings is
+		 *   undefined until the panel first saves some
+		 */
+		updateSettings: (panel, updater) =>
+			setState(
+				{ settings: { ...state.settings, [panel]: updater(state.settings[panel]) } },
+				{ type: "updateSettings", panel }
+			),
+
+		/**
+		 * Start recording the edits made from here on as macro steps
+		 */
+		startRecording: () => setState({ recording: [] }, { type: "startRecording" }),
+
+		/**
+		 * Add steps to the macro being recorded; ignored when not recording
+		 * @param {Array} steps - Command objects, see finishRecording
+		 */
+		recordSteps: (steps) => {
+			if (!state.recording) return;
+			setState(
+				{ recording: [...state.recording, ...steps] },
+				{ type: "recordSteps", count: steps.length }
+			);
+		},
+
+		/**
+		 * Stop recording
+		 * @returns {Array} - The recorded steps
+		 */
+		stopRecording: () => {
+			const steps = state.recording ?? [];
+			setState({ recording: null }, { type: "stopRecording" });
+			return steps;
+		},
+
+		/**
+		 * Replace the filter stack
+		 * @param {string} label - Human readable step name
+		 * @param {Function} updater - (filters) => next filters
+		 * @param {Object} [options] - {onProgress}
+		 * @returns {Promise<boolean>}
+		 */
+		updateFilters: (label, updater, options) =>
+			updateDocument(
+				label,
+				(document) => ({
+					...document,
+					filters: updater(document.filters),
+				}),
+				options
+			),
+
+		/**
+		 * Render a filter stack change without recording it, e.g. while a
+		 * slider is dragged. Finish with updateFilters.
+		 * @param {Function} updater - (filters) => previewed filters
+		 * @returns {Promise<boolean>} - False when a newer preview or change replaced it
+		 */
+		previewFilters: (updater) =>
+			previewDocument({ ...state.document, filters: updater(state.document.filters) }),
+
+		/**
+		 * Stop the render in progress; its change is reverted
+		 */
+		cancelRender: () => activeRender?.abort(),
+
+		/**
+		 * Record the current canvas contents without changing the document
+		 * @param {string} [label]
+		 * @returns {Promise<boolean>}
+		 */
+		snapshot: (label = "Edit") =>
+			enqueue(() => history.commit(requireCanvas(), label, state.document)),
+
+		undo: () => travel(history.undo, "undo"),
+
+		redo: () => travel(history.redo, "redo"),
+	};
+};
@@ -0,0 +1,90 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import { createEditorStore } from "./editorStore";
+import { createCanvasHistory } from "../services/canvasHistory";
+import { createFakeCanvas, stubImageData } from "../test/fakeCanvas";
+
+const draw = (color) => ({ action: "draw", shape: "circle", color, position: { x: 0.5, y: 0.5 }, size: 80 });
+
+/**
+ * Stand-in renderer: the source image is blank and each command step sets
+ * one pixel, so a failing step leaves the earlier ones half drawn
+ */
+const renderSteps = async (canvas, image, document) => {
+	canvas.pixels.fill(0);
+	document.stages
+		.flatMap((stage) => stage.commands ?? [])
+		.forEach((step, index) => {
+			if (step.shape === "broken") {
+				throw new Error("Step failed");
+			}
+			canvas.pixels[index * 4] = 255;
+		});
+};
+
+const createLoadedStore = async () => {
+	const canvas = createFakeCanvas();
+	const editor = createEditorStore({ history: createCanvasHistory(), render: renderSteps });
+	await editor.attachCanvas(canvas);
+	await editor.replaceImage({ fileName: "test.png", width: canvas.width, height: canvas.height });
+	return { editor, canvas };
+};
+
+const countPainted = (canvas) => canvas.pixels.filter((value) => value === 255).length;
+
+describe("editorStore transactions", () => {
+	beforeAll(stubImageData);
+
+	it("records a multi-step command as one history entry", async () => {
+		const { editor, canvas } = await createLoadedStore();
+
+		await editor.applyOperation("Two shapes", { type: "command", commands: [draw("red"), draw("blue")] });
+
+		expect(countPainted(canvas)).toBe(2);
+		expect(editor.getState().history).toMatchObject({ size: 1, undoLabel: "Two shapes" });
+
+		await editor.undo();
+		expect(countPainted(canvas)).toBe(0);
+		expect(editor.getState().document.stages).toEqual([]);
+	});
+
+	it("rolls back every step when one of them fails", async () => {
+		const { editor, canvas } = await createLoadedStore();
+		await editor.applyOperation("One shape", { type: "command", commands: [draw("red")] });
+		const committed = editor.getState().document;
+
+		await expect(
+			editor.applyOperation("Batch", {
+				type: "command",
+				commands: [draw("green"), { ...draw("blue"), shape: "broken" }, draw("black")],
+			})
+		).rejects.toThrow("Step failed");
+
+		expect(countPainted(canvas)).toBe(1);
+		expect(editor.getState().document).toBe(committed);
+		expect(editor.getState().history).toMatchObject({ size: 1, undoLabel: "One shape" });
+	});
+});
+
+describe("editorStore undo and redo", () => {
+	beforeAll(stubImageData);
+
+	it("discards a preview before undoing", async () => {
+		const { editor, canvas } = await createLoadedStore();
+		await editor.applyOperation("One shape", { type: "command", commands: [draw("red")] });
+		const [stage] = editor.getState().document.stages;
+
+		await editor.previewStage(stage.id, (current) => ({
+			...current,
+			commands: [...current.commands, draw("green"), draw("blue")],
+		}));
+		expect(countPainted(canvas)).toBe(3);
+
+		await editor.undo();
+		expect(countPainted(canvas)).toBe(0);
+		expect(editor.getState().document.stages).toEqual([]);
+
+		await editor.redo();
+		expect(countPainted(canvas)).toBe(1);
+		expect(editor.getState().document.stages).toEqual([stage]);
+	});
+});
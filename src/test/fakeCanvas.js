@@ -0,0 +1,43 @@
+/**
+ * Canvas stand-ins for tests, which run in Node without a DOM
+ */
+
+import { vi } from "vitest";
+
+/**
+ * Minimal canvas: whole-image reads and rectangle writes, which is all the
+ * history needs for small edits. Pixels are kept in `pixels`.
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {Object}
+ */
+export const createFakeCanvas = (width = 10, height = 10) => {
+	const canvas = { width, height, pixels: new Uint8ClampedArray(width * height * 4) };
+	const context = {
+		getImageData: (x, y, w, h) => ({ width: w, height: h, data: canvas.pixels.slice() }),
+		putImageData: (imageData, left, top) => {
+			for (let row = 0; row < imageData.height; row++) {
+				const start = row * imageData.width * 4;
+				canvas.pixels.set(
+					imageData.data.subarray(start, start + imageData.width * 4),
+					((top + row) * canvas.width + left) * 4
+				);
+			}
+		},
+	};
+	canvas.getContext = () => context;
+	return canvas;
+};
+
+/**
+ * Provide the ImageData constructor the history uses to apply diffs
+ */
+export const stubImageData = () =>
+	vi.stubGlobal(
+		"ImageData",
+		class {
+			constructor(data, width, height) {
+				Object.assign(this, { data, width, height });
+			}
+		}
+	);
@@ -0,0 +1,157 @@
+/**
+ * Background Removal Worker
+ * Runs the RMBG-1.4 segmentation model with ONNX Runtime (WASM) entirely in
+ * the browser and returns a transparent PNG of the subject
+ */
+
+import * as ort from "onnxruntime-web/wasm";
+
+// RMBG-1.4 expects a 1024×1024 RGB input normalized to [-0.5, 0.5]
+const MODEL_SIZE = 1024;
+
+let sessionPromise = null;
+
+/**
+ * Download the model, reporting bytes received
+ * @param {string} url
+ * @param {number} id - Request that triggered the download
+ * @returns {Promise<ArrayBuffer>}
+ */
+const downloadModel = async (url, id) => {
+	const response = await fetch(url);
+	// The dev server answers unknown paths with index.html instead of a 404
+	const isPage = response.headers.get("Content-Type")?.includes("text/html");
+	if (response.status === 404 || isPage) {
+		throw new Error(`Background removal model not found at ${url}`);
+	}
+	if (!response.ok) {
+		throw new Error(`Failed to download background removal model: ${response.status}`);
+	}
+
+	const total = Number(response.headers.get("Content-Length")) || 0;
+	if (!response.body) {
+		return response.arrayBuffer();
+	}
+
+	const reader = response.body.getReader();
+	const chunks = [];
+	let loaded = 0;
+
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+
+		chunks.push(value);
+		loaded += value.length;
+		self.postMessage({ id, type: "progress", phase: "download", loaded, total });
+	}
+
+	return new Blob(chunks).arrayBuffer();
+};
+
+const loadSession = (modelUrl, id) => {
+	if (!sessionPromise) {
+		ort.env.wasm.wasmPaths = `${import.meta.env.BASE_URL}${import.meta.env.ORT_WASM_PATH}`;
+		// Threads need cross-origin isolation, which the app does not require
+		ort.env.wasm.numThreads = 1;
+
+		sessionPromise = downloadModel(modelUrl, id)
+			.then((model) => {
+				self.postMessage({ id, type: "progress", phase: "compile" });
+				return ort.InferenceSession.create(model, { executionProviders: ["wasm"] });
+			})
+			.catch((error) => {
+				// Allow a later request to try again
+				sessionPromise = null;
+				throw error;
+			});
+	}
+	return sessionPromise;
+};
+
+/**
+ * Convert pixels to the model's NCHW float input
+ * @param {ImageData} imageData
+ * @returns {ort.Tensor}
+ */
+const toInputTensor = (imageData) => {
+	const source = new OffscreenCanvas(imageData.width, imageData.height);
+	source.getContext("2d").putImageData(imageData, 0, 0);
+
+	const resized = new OffscreenCanvas(MODEL_SIZE, MODEL_SIZE);
+	const ctx = resized.getContext("2d");
+	ctx.drawImage(source, 0, 0, MODEL_SIZE, MODEL_SIZE);
+	const { data } = ctx.getImageData(0, 0, MODEL_SIZE, MODEL_SIZE);
+
+	const plane = MODEL_SIZE * MODEL_SIZE;
+	const input = new Float32Array(plane * 3);
+	for (let i = 0; i < plane; i++) {
+		input[i] = data[i * 4] / 255 - 0.5;
+		input[plane + i] = data[i * 4 + 1] / 255 - 0.5;
+		input[plane * 2 + i] = data[i * 4 + 2] / 255 - 0.5;
+	}
+
+	return new ort.Tensor("float32", input, [1, 3, MODEL_SIZE, MODEL_SIZE]);
+};
+
+/**
+ * Turn the model output into the image with the matte as its alpha channel
+ * @param {ort.Tensor} output - [1, 1, MODEL_SIZE, MODEL_SIZE] matte
+ * @param {ImageData} imageData - Original pixels
+ * @returns {Promise<Blob>} - Transparent PNG at the original size
+ */
+const toTransparentPng = (output, imageData) => {
+	const matte = output.data;
+	let min = Infinity;
+	let max = -Infinity;
+	for (let i = 0; i < matte.length; i++) {
+		if (matte[i] < min) min = matte[i];
+		if (matte[i] > max) max = matte[i];
+	}
+	const range = max - min || 1;
+
+	// Draw the normalized matte as a grayscale image and scale it up
+	const maskPixels = new ImageData(MODEL_SIZE, MODEL_SIZE);
+	for (let i = 0; i < matte.length; i++) {
+		const alpha = Math.round(((matte[i] - min) / range) * 255);
+		maskPixels.data[i * 4] = alpha;
+		maskPixels.data[i * 4 + 1] = alpha;
+		maskPixels.data[i * 4 + 2] = alpha;
+		maskPixels.data[i * 4 + 3] = 255;
+	}
+	const mask = new OffscreenCanvas(MODEL_SIZE, MODEL_SIZE);
+	mask.getContext("2d").putImageData(maskPixels, 0, 0);
+
+	const scaled = new OffscreenCanvas(imageData.width, imageData.height);
+	const scaledCtx = scaled.getContext("2d");
+	scaledCtx.drawImage(mask, 0, 0, imageData.width, imageData.height);
+	const alpha = scaledCtx.getImageData(0, 0, imageData.width, imageData.height).data;
+
+	const result = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+	for (let i = 0; i < result.data.length; i += 4) {
+		result.data[i + 3] = Math.round((result.data[i + 3] * alpha[i]) / 255);
+	}
+
+	const png = new OffscreenCanvas(imageData.width, imageData.height);
+	png.getContext("2d").putImageData(result, 0, 0);
+	return png.convertToBlob({ type: "image/png" });
+};
+
+self.onmessage = async ({ data }) => {
+	if (data.type !== "remove") return;
+
+	const { id, modelUrl, imageData } = data;
+
+	try {
+		const session = await loadSession(modelUrl, id);
+		self.postMessage({ id, type: "progress", phase: "inference" });
+
+		const feeds = { [session.inputNames[0]]: toInputTensor(imageData) };
+		const results = await session.run(feeds);
+		const blob = await toTransparentPng(results[session.outputNames[0]], imageData);
+
+		self.postMessage({ id, type: "result", blob });
+	} catch (error) {
+		self.postMessage({ id, type: "error", message: error.message });
+	}
+};
@@ -0,0 +1,133 @@
+/**
+ * OpenCV Worker
+ * Loads OpenCV.js off the main thread and runs filter chains on transferred
+ * ImageData, reporting progress after each filter
+ */
+
+import { runFilter } from "../services/opencvFilters";
+
+// Bundled with the app (see vite.config.js); can point elsewhere if needed
+const OPENCV_URL =
+	import.meta.env.VITE_OPENCV_URL ||
+	`${import.meta.env.BASE_URL}${import.meta.env.OPENCV_ASSET}`;
+
+let cvPromise = null;
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+/**
+ * Wait until the OpenCV runtime (and its WASM) is initialized
+ * @param {Object} cv - Global created by opencv.js
+ * @returns {Promise<Object>} - Resolves with {cv}, wrapped so the module is never treated as a thenable
+ */
+const waitForRuntime = (cv) =>
+	new Promise((resolve) => {
+		if (cv.Mat) {
+			resolve({ cv });
+		} else if (cv instanceof Promise) {
+			cv.then((module) => resolve({ cv: module }));
+		} else {
+			cv.onRuntimeInitialized = () => resolve({ cv });
+		}
+	});
+
+/**
+ * Download opencv.js, reporting bytes received
+ * @returns {Promise<string>} - Script source
+ */
+const downloadOpenCV = async () => {
+	const response = await fetch(OPENCV_URL);
+	if (!response.ok) {
+		throw new Error(`Failed to download OpenCV.js: ${response.status}`);
+	}
+
+	const total = Number(response.headers.get("Content-Length")) || 0;
+	if (!response.body) {
+		return response.text();
+	}
+
+	const reader = response.body.getReader();
+	const chunks = [];
+	let loaded = 0;
+
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+
+		chunks.push(value);
+		loaded += value.length;
+		self.postMessage({ type: "loadProgress", phase: "download", loaded, total });
+	}
+
+	return new Blob(chunks).text();
+};
+
+const loadOpenCV = () => {
+	if (!cvPromise) {
+		cvPromise = downloadOpenCV()
+			.then((source) => {
+				self.postMessage({ type: "loadProgress", phase: "compile" });
+
+				// Module workers cannot importScripts; evaluate in global scope instead
+				(0, eval)(source);
+				return waitForRuntime(self.cv);
+			})
+			.then(({ cv }) => cv);
+	}
+	return cvPromise;
+};
+
+/**
+ * Run a filter chain, checking for cancellation between filters
+ * @param {Object} job - {id, imageData, filters}
+ */
+const runJob = async ({ id, imageData, filters }) => {
+	runningJobs.add(id);
+	try {
+		const cv = await loadOpenCV();
+		let result = imageData;
+
+		for (let index = 0; index < filters.length; index++) {
+			// Yield so pending cancel messages are delivered before the next filter
+			await new Promise((resolve) => setTimeout(resolve, 0));
+
+			if (cancelledJobs.has(id)) {
+				self.postMessage({ id, type: "cancelled" });
+				return;
+			}
+
+			self.postMessage({ id, type: "progress", step: index, progress: index / filters.length });
+			const { type, params } = filters[index];
+			result = runFilter(cv, result, type, params);
+		}
+
+		self.postMessage({ id, type: "result", imageData: result }, [result.data.buffer]);
+	} finally {
+		runningJobs.delete(id);
+		cancelledJobs.delete(id);
+	}
+};
+
+self.onmessage = ({ data }) => {
+	switch (data.type) {
+		case "load":
+			loadOpenCV().then(
+				() => self.postMessage({ type: "ready" }),
+				(error) => self.postMessage({ type: "loadError", message: error.message })
+			);
+			break;
+		case "cancel":
+			// Cancels can cross the result of a job that already finished
+			if (runningJobs.has(data.id)) {
+				cancelledJobs.add(data.id);
+			}
+			break;
+		case "filter":
+			runJob(data).catch((error) =>
+				self.postMessage({ id: data.id, type: "error", message: error.message })
+			);
+			break;
+		default:
+			break;
+	}
+};
@@ -1,9 +1,73 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { createReadStream, readFileSync, statSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { createRequire } from "node:module";
+import { localModel } from "./scripts/localModel.js";
+
+const require = createRequire(import.meta.url);
+
+// OpenCV.js and the ONNX Runtime WASM files are served from the app itself,
+// pinned to the installed package versions, so the editor works offline and
+// never follows a floating CDN URL
+const OPENCV_VERSION = require("@techstark/opencv-js/package.json").version;
+const OPENCV_ASSET = `vendor/opencv-${OPENCV_VERSION}/opencv.js`;
+
+// onnxruntime-web does not export its package.json, so locate it from dist/
+const ORT_DIST = dirname(require.resolve("onnxruntime-web"));
+const ORT_VERSION = JSON.parse(readFileSync(join(ORT_DIST, "../package.json"), "utf8")).version;
+const ORT_WASM_PATH = `vendor/onnxruntime-web-${ORT_VERSION}/`;
+
+const VENDOR_FILES = [
+	{
+		asset: OPENCV_ASSET,
+		source: require.resolve("@techstark/opencv-js/dist/opencv.js"),
+		type: "text/javascript",
+	},
+	{
+		asset: `${ORT_WASM_PATH}ort-wasm-simd-threaded.mjs`,
+		source: join(ORT_DIST, "ort-wasm-simd-threaded.mjs"),
+		type: "text/javascript",
+	},
+	{
+		asset: `${ORT_WASM_PATH}ort-wasm-simd-threaded.wasm`,
+		source: join(ORT_DIST, "ort-wasm-simd-threaded.wasm"),
+		type: "application/wasm",
+	},
+];
+
+/**
+ * Serve vendored files in development and emit them with the build. The dev
+ * middleware runs before Vite strips the base from request URLs, so it is
+ * mounted under the resolved base, like the emitted files.
+ */
+const vendorAssets = (files) => ({
+	name: "vendor-assets",
+	configureServer(server) {
+		const { base } = server.config;
+		files.forEach(({ asset, source, type }) => {
+			server.middlewares.use(`${base}${asset}`, (req, res) => {
+				res.setHeader("Content-Type", type);
+				res.setHeader("Content-Length", statSync(source).size);
+				res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+				createReadStream(source).pipe(res);
+			});
+		});
+	},
+	generateBundle() {
+		files.forEach(({ asset, source }) => {
+			this.emitFile({
+				type: "asset",
+				fileName: asset,
+				source: readFileSync(source),
+			});
+		});
+	},
+});
 
 // https://vitejs.dev/config/
 export default defineConfig({
-	plugins: [react()],
+	plugins: [react(), vendorAssets(VENDOR_FILES), localModel()],
 	server: {
 		port: 3000,
 		open: true,
@@ -11,5 +75,8 @@ export default defineConfig({
 	define: {
 		// Enable OpenCV.js in development
 		"process.env": {},
+		"import.meta.env.OPENCV_ASSET": JSON.stringify(OPENCV_ASSET),
+		"import.meta.env.OPENCV_VERSION": JSON.stringify(OPENCV_VERSION),
+		"import.meta.env.ORT_WASM_PATH": JSON.stringify(ORT_WASM_PATH),
 	},
 });